@@ -1,3 +1,7 @@
+import { validateResult } from '../server/grounding.js';
+import { complete } from '../server/llm/index.js';
+import { extractJSON } from '../server/responseContract.js';
+
 // Enhanced Claude API for super intelligent contract document analysis
 const CONTRACT_ANALYSIS_PROMPT = `Jste expert na analýzu smluv a právních dokumentů. Vaším úkolem je najít v textu přesně to, co uživatel hledá, s 100% přesností.
 
@@ -54,20 +58,10 @@ export default async function handler(req, res) {
     // Detect query intent and enhance for contract analysis
     const enhancedQuery = enhanceQueryForContracts(query);
     
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.VITE_CLAUDE_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 2048,
-        temperature: 0.1, // Low temperature for precise extraction
-        messages: [{
-          role: 'user',
-          content: `${CONTRACT_ANALYSIS_PROMPT}
+    const completion = await complete({
+      task: 'analyze',
+      variables: { query, document },
+      prompt: `${CONTRACT_ANALYSIS_PROMPT}
 
 UŽIVATELSKÝ DOTAZ: "${enhancedQuery}"
 
@@ -75,23 +69,21 @@ DOKUMENT K ANALÝZE:
 ${document}
 
 Analyzujte dokument a najděte vše související s dotazem. Vraťte pouze JSON odpověď s přesnými pozicemi a hodnotami.`
-        }]
-      })
     });
 
-    const data = await response.json();
-    
-    if (response.ok) {
-      // Validate and enhance the response
-      const processedData = validateAndProcessResponse(data, document, query);
-      res.status(200).json(processedData);
-    } else {
-      console.error('Claude API Error:', data);
-      res.status(response.status).json(data);
-    }
+    // Messages API shaped response - the client reads content[0].text
+    const data = {
+      content: [{ type: 'text', text: completion.text }],
+      model: completion.model,
+      stop_reason: completion.stopReason
+    };
+
+    // Validate and enhance the response
+    const processedData = validateAndProcessResponse(data, document, query);
+    res.status(200).json(processedData);
   } catch (error) {
     console.error('API Error:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
+    res.status(error.status || 500).json({ error: error.message || 'Internal server error', details: error.details });
   }
 }
 
@@ -152,25 +144,13 @@ function validateAndProcessResponse(data, document, originalQuery) {
 
     const responseText = data.content[0].text.trim();
     
-    // Try to parse as JSON
-    let parsedResponse;
-    try {
-      parsedResponse = JSON.parse(responseText);
-    } catch (parseError) {
-      // If not valid JSON, try to extract JSON from the response
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          parsedResponse = JSON.parse(jsonMatch[0]);
-        } catch (secondParseError) {
-          console.warn('Could not parse JSON from response');
-          return data;
-        }
-      } else {
-        console.warn('No JSON found in response');
-        return data;
-      }
+    // Plain JSON, fenced JSON or JSON inside chatty text
+    const json = extractJSON(responseText);
+    if (!json) {
+      console.warn('No JSON found in response');
+      return data;
     }
+    const parsedResponse = json.value;
 
     if (parsedResponse.results && Array.isArray(parsedResponse.results)) {
       // Validate each result
@@ -194,91 +174,3 @@ function validateAndProcessResponse(data, document, originalQuery) {
     return data;
   }
 }
-
-/**
- * Validate individual result for accuracy
- */
-function validateResult(result, document) {
-  if (!result.value || typeof result.start !== 'number' || typeof result.end !== 'number') {
-    return null;
-  }
-
-  const { start, end, value } = result;
-  
-  // Check if indices are valid
-  if (start < 0 || end > document.length || start >= end) {
-    console.warn('Invalid indices for result:', result);
-    return null;
-  }
-
-  // Extract actual text from document
-  const actualText = document.slice(start, end);
-  
-  // Check if extracted text matches the claimed value
-  if (actualText.trim() !== value.trim()) {
-    console.warn('Text mismatch:', { expected: value, actual: actualText });
-    
-    // Try to find the correct position
-    const correctMatch = findCorrectPosition(value, document, start);
-    if (correctMatch) {
-      return {
-        ...result,
-        start: correctMatch.start,
-        end: correctMatch.end,
-        value: correctMatch.text,
-        confidence: Math.max(0.5, (result.confidence || 0.8) - 0.2) // Reduce confidence for corrections
-      };
-    }
-    return null;
-  }
-
-  return result;
-}
-
-/**
- * Find correct position of text in document
- */
-function findCorrectPosition(searchText, document, hintPosition) {
-  const normalizedSearch = searchText.trim();
-  
-  // Try exact match first
-  let index = document.indexOf(normalizedSearch);
-  if (index !== -1) {
-    return {
-      start: index,
-      end: index + normalizedSearch.length,
-      text: normalizedSearch
-    };
-  }
-
-  // Try case insensitive match
-  const lowerDoc = document.toLowerCase();
-  const lowerSearch = normalizedSearch.toLowerCase();
-  index = lowerDoc.indexOf(lowerSearch);
-  if (index !== -1) {
-    const actualText = document.slice(index, index + normalizedSearch.length);
-    return {
-      start: index,
-      end: index + normalizedSearch.length,
-      text: actualText
-    };
-  }
-
-  // Try fuzzy match near hint position
-  const radius = 100;
-  const searchStart = Math.max(0, hintPosition - radius);
-  const searchEnd = Math.min(document.length, hintPosition + radius);
-  const vicinity = document.slice(searchStart, searchEnd);
-  
-  const fuzzyIndex = vicinity.toLowerCase().indexOf(lowerSearch);
-  if (fuzzyIndex !== -1) {
-    const actualIndex = searchStart + fuzzyIndex;
-    return {
-      start: actualIndex,
-      end: actualIndex + normalizedSearch.length,
-      text: document.slice(actualIndex, actualIndex + normalizedSearch.length)
-    };
-  }
-
-  return null;
-}
\ No newline at end of file
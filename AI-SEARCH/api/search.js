@@ -1,4 +1,3 @@
-import handler from './claude.js'
-
-export default handler
+import { search, vercelRoute } from '../server/routes.js'
 
+export default vercelRoute(search)
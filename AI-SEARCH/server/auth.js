@@ -0,0 +1,301 @@
+/**
+ * Authentication - user accounts with scrypt password hashes and signed session tokens
+ * The token travels in an HttpOnly cookie (scripts in the page cannot read it) and is checked
+ * on every API route, in the Express server and in the Vercel functions alike.
+ *   token  = base64url(payload) "." base64url(HMAC-SHA256(AUTH_SECRET, payload))
+ *   payload = { sid, sub, iat, exp } - sid identifies the session, logout revokes it
+ *
+ * Configuration (env):
+ *   AUTH_SECRET          signing key, at least 32 characters (random per process without it - dev only)
+ *   AUTH_USERS           JSON array of accounts [{ "username", "passwordHash", "roles" }]
+ *   AUTH_USERS_FILE      the same array in a file (instead of AUTH_USERS)
+ *   AUTH_SESSION_TTL_MS  session lifetime, default 8 h
+ * Password hashes come from `npm run hash-password`.
+ * Roles (ROLE_PERMISSIONS) decide what a user may do - an account without roles is an analyst.
+ * They are read from the accounts on every request, a changed or removed account applies at once.
+ * Revoked sessions are kept in memory until they expire - with several server instances
+ * (Vercel) logout only holds on the instance that got it, keep AUTH_SESSION_TTL_MS short there.
+ */
+
+import { randomBytes, scrypt, timingSafeEqual, createHmac } from 'crypto';
+import { readFileSync } from 'fs';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+export const SESSION_COOKIE = 'ai_search_session';
+const DEFAULT_SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+// Failed logins per username and client address - 5 wrong passwords lock that pair for 15 minutes,
+// so nobody can lock an account out for everybody else just by knowing its name
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_TRACKED_LOGINS = 10000;
+
+const revokedSessions = new Map(); // sid -> exp
+const failedLogins = new Map(); // "username|address" -> { count, lockedUntil, lastFailure }
+
+// What each role may do - a user with several roles gets all their permissions
+export const ROLE_PERMISSIONS = {
+  analyst: ['search'],
+  reviewer: ['search', 'validate'],
+  admin: ['search', 'debug', 'cache:manage', 'usage:all', 'templates:manage']
+};
+const DEFAULT_ROLES = ['analyst'];
+
+let fallbackSecret = null;
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+export const getAuthConfig = () => ({
+  secret: process.env.AUTH_SECRET,
+  sessionTtl: Number(process.env.AUTH_SESSION_TTL_MS) || DEFAULT_SESSION_TTL_MS,
+  secureCookie: process.env.NODE_ENV === 'production' || process.env.VERCEL === '1'
+});
+
+/**
+ * What is wrong with the configuration (null when login can work)
+ */
+export function authConfigError() {
+  const { secret } = getAuthConfig();
+  if (!secret) return 'AUTH_SECRET is not set - sessions are signed with a random key and end on restart';
+  if (secret.length < 32) return 'AUTH_SECRET must have at least 32 characters';
+  if (loadUsers().length === 0) return 'No user accounts - set AUTH_USERS or AUTH_USERS_FILE';
+  return null;
+}
+
+function signingKey() {
+  const { secret } = getAuthConfig();
+  if (secret) return secret;
+  if (!fallbackSecret) {
+    fallbackSecret = randomBytes(32).toString('hex');
+    console.warn('[AUTH] AUTH_SECRET není nastavený - relace podepisuji náhodným klíčem (platí do restartu)');
+  }
+  return fallbackSecret;
+}
+
+/**
+ * Accounts from AUTH_USERS / AUTH_USERS_FILE
+ * @returns {Array} - [{ username, passwordHash, roles? }]
+ */
+export function loadUsers() {
+  try {
+    const raw = process.env.AUTH_USERS || (process.env.AUTH_USERS_FILE && readFileSync(process.env.AUTH_USERS_FILE, 'utf8'));
+    const users = raw ? JSON.parse(raw) : [];
+    return Array.isArray(users) ? users.filter(user => user.username && user.passwordHash) : [];
+  } catch (error) {
+    console.error('[AUTH] Nelze načíst uživatele:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Roles of an account - "roles": [...] or "role": "..." in AUTH_USERS, unknown roles are ignored
+ */
+export function userRoles(account) {
+  const roles = [].concat(account.roles ?? account.role ?? []).filter(role => ROLE_PERMISSIONS[role]);
+  return roles.length > 0 ? roles : DEFAULT_ROLES;
+}
+
+export const rolePermissions = (roles) => [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role]))];
+
+/**
+ * @param {Object} user - session from getSession (req.user)
+ */
+export const hasPermission = (user, permission) => Boolean(user?.permissions.includes(permission));
+
+/**
+ * Hash a password - "scrypt$<salt>$<hash>" (hex)
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, passwordHash) {
+  const [scheme, saltHex, hashHex] = String(passwordHash).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+const sign = (payload) => createHmac('sha256', signingKey()).update(payload).digest();
+
+function createToken(username) {
+  const now = Date.now();
+  const claims = { sid: randomBytes(16).toString('hex'), sub: username, iat: now, exp: now + getAuthConfig().sessionTtl };
+  const payload = base64url(JSON.stringify(claims));
+  return { token: `${payload}.${base64url(sign(payload))}`, claims };
+}
+
+/**
+ * Claims of a valid token, null for a forged, expired or revoked one
+ */
+export function verifyToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = sign(payload);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!claims.exp || claims.exp <= Date.now() || revokedSessions.has(claims.sid)) return null;
+  return claims;
+}
+
+function revokeSession(claims) {
+  revokedSessions.set(claims.sid, claims.exp);
+  // Expired sessions are invalid anyway - no need to remember them
+  const now = Date.now();
+  revokedSessions.forEach((exp, sid) => {
+    if (exp <= now) revokedSessions.delete(sid);
+  });
+}
+
+// Address of the client - Express's req.ip (the socket unless a proxy is trusted), the header Vercel sets otherwise
+const clientAddress = (req) =>
+  req.ip || String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || 'unknown';
+
+function recordFailedLogin(key) {
+  const now = Date.now();
+  // Entries whose lock ran out and whose last failure is older than the lockout are forgotten
+  failedLogins.forEach((failures, entry) => {
+    if (failures.lockedUntil <= now && failures.lastFailure + LOCKOUT_MS <= now) failedLogins.delete(entry);
+  });
+
+  const count = (failedLogins.get(key)?.count || 0) + 1;
+  failedLogins.delete(key); // re-inserted as the newest
+  failedLogins.set(key, { count, lockedUntil: count >= MAX_FAILED_LOGINS ? now + LOCKOUT_MS : 0, lastFailure: now });
+  // A flood of made-up names cannot grow the map without bound - the oldest entries go first
+  if (failedLogins.size > MAX_TRACKED_LOGINS) failedLogins.delete(failedLogins.keys().next().value);
+  return count;
+}
+
+const readCookie = (req, name) => {
+  const header = req.headers?.cookie || '';
+  const cookie = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
+const sessionCookie = (value, maxAgeSeconds) => [
+  `${SESSION_COOKIE}=${value}`,
+  'Path=/api',
+  'HttpOnly',
+  'SameSite=Strict',
+  `Max-Age=${maxAgeSeconds}`,
+  ...(getAuthConfig().secureCookie ? ['Secure'] : [])
+].join('; ');
+
+/**
+ * Session of the request, null without a valid token or when the account no longer exists
+ * @returns {Object|null} - { sessionId, username, roles, permissions, expiresAt }
+ */
+export function getSession(req) {
+  const claims = verifyToken(readCookie(req, SESSION_COOKIE));
+  const account = claims && loadUsers().find(user => user.username === claims.sub);
+  if (!account) return null;
+
+  const roles = userRoles(account);
+  return {
+    sessionId: claims.sid,
+    username: account.username,
+    roles,
+    permissions: rolePermissions(roles),
+    expiresAt: new Date(claims.exp).toISOString()
+  };
+}
+
+// What the client gets to know about the user - enough to show or hide controls
+const publicUser = ({ username, roles, permissions }) => ({ username, roles, permissions });
+
+/**
+ * Guard of an API handler - 401 without a valid session, 403 without the permission,
+ * req.user is set otherwise
+ * @param {string} [permission] - Required permission (ROLE_PERMISSIONS), any logged-in user without it
+ */
+export const requireAuth = (handler, permission) => (req, res, ...rest) => {
+  const session = getSession(req);
+  if (!session) {
+    return res.status(401).json({ error: 'Nepřihlášeno' });
+  }
+  if (permission && !hasPermission(session, permission)) {
+    console.warn(`[AUTH] "${session.username}" nemá oprávnění ${permission}`);
+    return res.status(403).json({ error: 'Nedostatečná oprávnění' });
+  }
+  req.user = session;
+  return handler(req, res, ...rest);
+};
+
+/**
+ * POST /api/auth/login
+ * Request: { username, password }
+ * Response: { user: { username, roles, permissions }, expiresAt } + session cookie; 401 for wrong credentials, 429 when locked
+ */
+export async function login(req, res) {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Uživatelské jméno a heslo jsou povinné' });
+  }
+
+  const attemptKey = `${username}|${clientAddress(req)}`;
+  if (failedLogins.get(attemptKey)?.lockedUntil > Date.now()) {
+    return res.status(429).json({ error: 'Příliš mnoho neúspěšných pokusů, zkuste to později' });
+  }
+
+  const user = loadUsers().find(account => account.username === username);
+  // Unknown users cost the same time as a wrong password - the response does not tell which one it was
+  const valid = user
+    ? await verifyPassword(password, user.passwordHash)
+    : (await hashPassword(password), false);
+
+  if (!valid) {
+    const count = recordFailedLogin(attemptKey);
+    console.warn(`[AUTH] Neúspěšné přihlášení: "${username}" z ${clientAddress(req)} (${count}×)`);
+    return res.status(401).json({ error: 'Nesprávné jméno nebo heslo' });
+  }
+
+  failedLogins.delete(attemptKey);
+  const { token, claims } = createToken(user.username);
+  const roles = userRoles(user);
+  res.setHeader('Set-Cookie', sessionCookie(token, Math.floor(getAuthConfig().sessionTtl / 1000)));
+  console.log(`[AUTH] Přihlášen: "${user.username}" (${roles.join(', ')})`);
+  return res.status(200).json({
+    user: publicUser({ username: user.username, roles, permissions: rolePermissions(roles) }),
+    expiresAt: new Date(claims.exp).toISOString()
+  });
+}
+
+/**
+ * POST /api/auth/logout - revokes the session, the token cannot be used again
+ */
+export async function logout(req, res) {
+  const claims = verifyToken(readCookie(req, SESSION_COOKIE));
+  if (claims) {
+    revokeSession(claims);
+    console.log(`[AUTH] Odhlášen: "${claims.sub}"`);
+  }
+  res.setHeader('Set-Cookie', sessionCookie('', 0));
+  return res.status(200).json({ success: true });
+}
+
+/**
+ * GET /api/auth/session
+ * Response: { user: { username, roles, permissions }, expiresAt }, 401 without a valid session
+ */
+export async function session(req, res) {
+  const current = getSession(req);
+  if (!current) {
+    return res.status(401).json({ error: 'Nepřihlášeno' });
+  }
+  return res.status(200).json({ user: publicUser(current), expiresAt: current.expiresAt });
+}
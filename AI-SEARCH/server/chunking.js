@@ -0,0 +1,234 @@
+/**
+ * Document chunking for contracts longer than the model context
+ * Splits on article / paragraph boundaries with overlap, runs the query
+ * per chunk and merges the answers. All offsets refer to the whole document.
+ */
+
+const DEFAULT_MAX_CHARS = 100000;
+const DEFAULT_OVERLAP = 2000;
+
+const NOT_FOUND = 'Nenalezeno';
+
+// Article headings at line start - "Článek 5", "Čl. V", "§ 3", "IV. Kupní cena"
+// (document usually arrives without diacritics, so both variants)
+const ARTICLE_HEADING = /\n[ \t]*(?:článek|clanek|čl\.|cl\.|§|[IVXLC]+\.[ \t]+\S)/gi;
+
+export const getChunkOptions = () => ({
+  maxChars: Number(process.env.CHUNK_MAX_CHARS) || DEFAULT_MAX_CHARS,
+  overlap: Number(process.env.CHUNK_OVERLAP_CHARS) || DEFAULT_OVERLAP
+});
+
+/**
+ * Last match of the pattern inside text.slice(from, to), returns absolute index
+ */
+function lastIndexOfPattern(text, pattern, from, to) {
+  const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+  const window = text.slice(from, to);
+  let last = -1;
+  let match;
+  while ((match = regex.exec(window)) !== null) {
+    last = from + match.index;
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+  return last;
+}
+
+/**
+ * Best place to end a chunk - article heading, then paragraph, line, sentence
+ * Only the second half of the chunk is searched so chunks do not get too small
+ */
+function findChunkEnd(text, start, limit) {
+  const from = start + Math.floor((limit - start) / 2);
+
+  const article = lastIndexOfPattern(text, ARTICLE_HEADING, from, limit);
+  if (article > from) return article + 1; // keep the newline with the previous chunk
+
+  const paragraph = text.lastIndexOf('\n\n', limit - 2);
+  if (paragraph > from) return paragraph + 2;
+
+  const line = text.lastIndexOf('\n', limit - 1);
+  if (line > from) return line + 1;
+
+  const sentence = lastIndexOfPattern(text, /[.;!?]\s/, from, limit);
+  if (sentence > from) return sentence + 2;
+
+  return limit;
+}
+
+/**
+ * Start of the next chunk - overlap begins on a line boundary when possible
+ */
+function findOverlapStart(text, previousStart, end, overlap) {
+  const from = Math.max(previousStart + 1, end - overlap);
+  const line = text.indexOf('\n', from);
+  if (line !== -1 && line < end - 1) return line + 1;
+  return from;
+}
+
+/**
+ * Split document into chunks
+ * @param {string} document - Whole document
+ * @param {Object} options - { maxChars, overlap }
+ * @returns {Array} - [{ index, start, end, text }] - start/end are offsets in the document
+ */
+export function splitDocument(document, { maxChars, overlap } = getChunkOptions()) {
+  if (document.length <= maxChars) {
+    return [{ index: 0, start: 0, end: document.length, text: document }];
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < document.length) {
+    const limit = start + maxChars;
+    const end = limit >= document.length ? document.length : findChunkEnd(document, start, limit);
+
+    chunks.push({ index: chunks.length, start, end, text: document.slice(start, end) });
+    if (end >= document.length) break;
+
+    start = findOverlapStart(document, start, end, overlap);
+  }
+
+  console.log(`[CHUNK] Dokument ${document.length} znaků rozdělen na ${chunks.length} částí`);
+  return chunks;
+}
+
+/**
+ * Position of a value inside a chunk, as document offsets
+ */
+export function locateInChunk(value, chunk) {
+  if (typeof value !== 'string' || !value.trim() || value === NOT_FOUND) return null;
+
+  const needle = value.trim();
+  let index = chunk.text.indexOf(needle);
+  if (index === -1) index = chunk.text.toLowerCase().indexOf(needle.toLowerCase());
+  if (index === -1) return null;
+
+  return { start: chunk.start + index, end: chunk.start + index + needle.length };
+}
+
+/**
+ * Provenance of a value - which chunk it came from and where it is in the document
+ */
+const withProvenance = (entry, chunk, chunkCount, locatedText = entry.value) => {
+  if (chunkCount <= 1) return entry;
+  return {
+    ...entry,
+    chunk: { index: chunk.index, start: chunk.start, end: chunk.end },
+    ...locateInChunk(locatedText, chunk)
+  };
+};
+
+const isFound = (value) =>
+  typeof value === 'string' ? value.trim() !== '' && value.trim() !== NOT_FOUND : value != null;
+
+// Values from overlapping chunks are the same text - compare loosely
+const dedupeKey = (value) =>
+  String(value).toLowerCase().replace(/\s+/g, ' ').replace(/[\s.,;:]+$/, '').trim();
+
+const chunkLabel = (chunk) => `Část ${chunk.index + 1}`;
+
+/**
+ * Merge answers of a single search run over several chunks
+ * Answer shapes: plain string, yes/no { answer, fullContext } or { type: 'single'|'multiple', ... }
+ * @param {Array} chunkAnswers - [{ chunk, answer, fullContext? }]
+ * @returns {Object} - { answer, fullContext? }
+ */
+export function mergeSearchAnswers(chunkAnswers) {
+  const chunkCount = chunkAnswers.length;
+  if (chunkCount === 1) {
+    const { answer, fullContext } = chunkAnswers[0];
+    return fullContext !== undefined ? { answer, fullContext } : { answer };
+  }
+
+  // Yes/no question - "Ano" from any chunk wins, with its context
+  const yesNo = chunkAnswers.filter(item => item.fullContext !== undefined);
+  if (yesNo.length > 0) {
+    const positive = yesNo.find(item => /^ano$/i.test(String(item.answer).trim()));
+    const chosen = positive || yesNo[0];
+    return withProvenance(
+      { answer: chosen.answer, fullContext: chosen.fullContext },
+      chosen.chunk,
+      chunkCount,
+      chosen.fullContext
+    );
+  }
+
+  // Collect every found value with the chunk it came from
+  const values = [];
+  const seen = new Set();
+  const addValue = (entry, chunk) => {
+    if (!isFound(entry.value)) return;
+    const key = dedupeKey(entry.value);
+    if (seen.has(key)) return;
+    seen.add(key);
+    values.push(withProvenance(entry, chunk, chunkCount));
+  };
+
+  let multiple = false;
+  chunkAnswers.forEach(({ chunk, answer }) => {
+    if (answer && typeof answer === 'object' && answer.type === 'multiple') {
+      multiple = true;
+      (answer.results || []).forEach(result => addValue({ label: result.label, value: result.value }, chunk));
+    } else if (answer && typeof answer === 'object') {
+      addValue({ label: answer.label || chunkLabel(chunk), value: answer.value }, chunk);
+    } else {
+      addValue({ label: chunkLabel(chunk), value: answer }, chunk);
+    }
+  });
+
+  if (values.length === 0) {
+    const structured = chunkAnswers.some(item => item.answer && typeof item.answer === 'object');
+    return { answer: structured ? { type: 'single', value: NOT_FOUND } : NOT_FOUND };
+  }
+
+  // Single value found in one chunk (or the same one in the overlap)
+  if (!multiple && values.length === 1) {
+    const { label, ...single } = values[0];
+    return { answer: { type: 'single', ...single } };
+  }
+
+  return { answer: { type: 'multiple', results: values } };
+}
+
+/**
+ * Merge batch results over chunks
+ * Entries are { query, value } or { query, type: 'single'|'multiple', label?, value }
+ * @param {string[]} queries - Requested queries (order of the output)
+ * @param {Array} chunkResults - [{ chunk, results }]
+ * @returns {Array} - Flat results; more values for one query come as type 'multiple' entries with label
+ */
+export function mergeBatchResults(queries, chunkResults) {
+  const chunkCount = chunkResults.length;
+  if (chunkCount === 1) return chunkResults[0].results;
+
+  const byQuery = new Map(queries.map(query => [query, { entries: [], seen: new Set(), multiple: false }]));
+
+  chunkResults.forEach(({ chunk, results }) => {
+    results.forEach(result => {
+      const bucket = byQuery.get(result.query);
+      if (!bucket || !isFound(result.value)) return;
+      if (result.type === 'multiple') bucket.multiple = true;
+
+      const key = dedupeKey(result.value);
+      if (bucket.seen.has(key)) return;
+      bucket.seen.add(key);
+      bucket.entries.push(withProvenance({ label: result.label || chunkLabel(chunk), value: result.value }, chunk, chunkCount));
+    });
+  });
+
+  const merged = [];
+  queries.forEach(query => {
+    const { entries, multiple } = byQuery.get(query);
+    if (entries.length === 0) {
+      merged.push({ query, type: 'single', value: NOT_FOUND });
+    } else if (entries.length === 1 && !multiple) {
+      const { label, ...single } = entries[0];
+      merged.push({ query, type: 'single', ...single });
+    } else {
+      entries.forEach(entry => merged.push({ query, type: 'multiple', ...entry }));
+    }
+  });
+
+  return merged;
+}
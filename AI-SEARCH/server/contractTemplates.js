@@ -0,0 +1,174 @@
+/**
+ * Contract types and their extraction templates
+ * The classifier (/api/classify, see extraction.js) decides the type of a document; the template of that
+ * type goes to the batch modal as the checklist of queries, grouped by category.
+ *
+ * Template field:
+ *   name        the query as it is sent to the model
+ *   category    group in the batch modal
+ *   type        expected kind of the value - a typed value (amount, date, percent, area, duration, phone,
+ *               number - see src/valueNormalization.js), an identifier (birthNumber, companyId, vatNumber,
+ *               iban, bankAccount - see src/identifierValidation.js) or text
+ *   validators  checks the value has to pass - 'checksum' (identifier check digits), 'amountWords' (amount vs. "slovy")
+ *   multiple    the document usually has more values (parties, parcels)
+ *   help        hint for the reviewer (what counts, where it usually is)
+ * The same shape is used by the templates of the library (templateLibrary.js).
+ */
+
+export const FIELD_TYPES = [
+  'text', 'amount', 'date', 'percent', 'area', 'duration', 'phone', 'number',
+  'birthNumber', 'companyId', 'vatNumber', 'iban', 'bankAccount'
+];
+
+export const FIELD_VALIDATORS = ['checksum', 'amountWords'];
+
+// Field types each validator applies to
+export const VALIDATOR_TYPES = {
+  checksum: ['birthNumber', 'companyId', 'vatNumber', 'iban', 'bankAccount'],
+  amountWords: ['amount']
+};
+
+// Keywords of each type (without diacritics, lowercase) - the title counts most, the parties' roles less
+export const CONTRACT_TYPES = {
+  kupni: {
+    label: 'Kupní smlouva',
+    title: /kupni smlouv/,
+    keywords: [/prodavajic/, /kupujic/, /kupni cen/, /predmet koup/, /katastr/]
+  },
+  najemni: {
+    label: 'Nájemní smlouva',
+    title: /najemni smlouv|smlouv\w* o najmu|podnajemni smlouv/,
+    keywords: [/pronajimatel/, /najemc/, /najemne/, /kauc/, /podnajem/]
+  },
+  uverova: {
+    label: 'Úvěrová smlouva',
+    title: /uverov\w* smlouv|smlouv\w* o uver|hypotecni/,
+    keywords: [/dluznik/, /veritel/, /vyse uveru/, /jistin/, /urokov\w* sazb/, /rpsn/, /splatk/]
+  },
+  pracovni: {
+    label: 'Pracovní smlouva',
+    title: /pracovni smlouv|dohod\w* o provedeni prace|dohod\w* o pracovni cinnosti/,
+    keywords: [/zamestnanec/, /zamestnavatel/, /mzd/, /pracovni dob/, /misto vykonu prace/, /zkusebni dob/]
+  },
+  dilo: {
+    label: 'Smlouva o dílo',
+    title: /smlouv\w* o dilo/,
+    keywords: [/zhotovitel/, /objednatel/, /cena dila/, /predani dila/, /harmonogram/]
+  },
+  jine: {
+    label: 'Jiná smlouva',
+    title: null,
+    keywords: []
+  }
+};
+
+const PARTIES = 'Smluvní strany';
+const MONEY = 'Finanční údaje';
+const SUBJECT = 'Předmět smlouvy';
+const DATES = 'Data a lhůty';
+
+const field = (name, category, type = 'text', options = {}) => ({
+  name,
+  category,
+  type,
+  validators: options.validators || [],
+  multiple: options.multiple || false,
+  help: options.help || ''
+});
+
+export const EXTRACTION_TEMPLATES = {
+  kupni: [
+    field('Prodávající', PARTIES, 'text', { multiple: true }),
+    field('Kupující', PARTIES, 'text', { multiple: true }),
+    field('Rodná čísla prodávajících', PARTIES, 'birthNumber', { validators: ['checksum'], multiple: true }),
+    field('Rodná čísla kupujících', PARTIES, 'birthNumber', { validators: ['checksum'], multiple: true }),
+    field('Adresa trvalého pobytu prodávajících', PARTIES, 'text', { multiple: true }),
+    field('Předmět koupě', SUBJECT),
+    field('Parcelní čísla', SUBJECT, 'text', { multiple: true }),
+    field('Katastrální území', SUBJECT),
+    field('Číslo listu vlastnictví', SUBJECT),
+    field('Výměra pozemku', SUBJECT, 'area'),
+    field('Kupní cena', MONEY, 'amount', { validators: ['amountWords'] }),
+    field('Způsob úhrady kupní ceny', MONEY),
+    field('Číslo účtu pro úhradu kupní ceny', MONEY, 'bankAccount', { validators: ['checksum'] }),
+    field('Datum podpisu smlouvy', DATES, 'date'),
+    field('Lhůta pro podání návrhu na vklad', DATES, 'duration', { help: 'Kdo a do kdy podá návrh na vklad do katastru' })
+  ],
+  najemni: [
+    field('Pronajímatel', PARTIES),
+    field('Nájemce', PARTIES, 'text', { multiple: true }),
+    field('IČO pronajímatele', PARTIES, 'companyId', { validators: ['checksum'] }),
+    field('Předmět nájmu', SUBJECT),
+    field('Adresa předmětu nájmu', SUBJECT),
+    field('Podlahová plocha', SUBJECT, 'area'),
+    field('Výše nájemného', MONEY, 'amount', { validators: ['amountWords'] }),
+    field('Zálohy na služby', MONEY, 'amount'),
+    field('Výše kauce', MONEY, 'amount', { validators: ['amountWords'], help: 'Jistota složená nájemcem, ne měsíční nájemné' }),
+    field('Číslo účtu pronajímatele', MONEY, 'bankAccount', { validators: ['checksum'] }),
+    field('Doba nájmu', DATES, 'duration'),
+    field('Datum zahájení nájmu', DATES, 'date'),
+    field('Výpovědní lhůta', DATES, 'duration')
+  ],
+  uverova: [
+    field('Věřitel', PARTIES),
+    field('Dlužník', PARTIES, 'text', { multiple: true }),
+    field('Rodné číslo dlužníka', PARTIES, 'birthNumber', { validators: ['checksum'] }),
+    field('IČO věřitele', PARTIES, 'companyId', { validators: ['checksum'] }),
+    field('Výše úvěru', MONEY, 'amount', { validators: ['amountWords'] }),
+    field('Úroková sazba', MONEY, 'percent'),
+    field('RPSN', MONEY, 'percent', { help: 'Roční procentní sazba nákladů - bývá v tabulce nebo v příloze' }),
+    field('Výše měsíční splátky', MONEY, 'amount'),
+    field('Číslo účtu pro splácení', MONEY, 'bankAccount', { validators: ['checksum'] }),
+    field('Účel úvěru', SUBJECT),
+    field('Zajištění úvěru', SUBJECT),
+    field('Doba splatnosti úvěru', DATES, 'duration'),
+    field('Datum podpisu smlouvy', DATES, 'date')
+  ],
+  pracovni: [
+    field('Zaměstnavatel', PARTIES),
+    field('IČO zaměstnavatele', PARTIES, 'companyId', { validators: ['checksum'] }),
+    field('Zaměstnanec', PARTIES),
+    field('Rodné číslo zaměstnance', PARTIES, 'birthNumber', { validators: ['checksum'] }),
+    field('Druh práce', SUBJECT),
+    field('Místo výkonu práce', SUBJECT),
+    field('Výše mzdy', MONEY, 'amount'),
+    field('Číslo účtu zaměstnance', MONEY, 'bankAccount', { validators: ['checksum'] }),
+    field('Den nástupu do práce', DATES, 'date'),
+    field('Zkušební doba', DATES, 'duration'),
+    field('Doba trvání pracovního poměru', DATES, 'duration'),
+    field('Týdenní pracovní doba', DATES, 'duration')
+  ],
+  dilo: [
+    field('Objednatel', PARTIES),
+    field('Zhotovitel', PARTIES),
+    field('IČO zhotovitele', PARTIES, 'companyId', { validators: ['checksum'] }),
+    field('DIČ zhotovitele', PARTIES, 'vatNumber', { validators: ['checksum'] }),
+    field('Předmět díla', SUBJECT),
+    field('Místo plnění', SUBJECT),
+    field('Cena díla', MONEY, 'amount', { validators: ['amountWords'] }),
+    field('Platební podmínky', MONEY),
+    field('Číslo účtu zhotovitele', MONEY, 'bankAccount', { validators: ['checksum'] }),
+    field('Smluvní pokuta', MONEY, 'amount'),
+    field('Termín dokončení díla', DATES, 'date'),
+    field('Záruční doba', DATES, 'duration')
+  ],
+  jine: [
+    field('Smluvní strany', PARTIES, 'text', { multiple: true }),
+    field('Předmět smlouvy', SUBJECT),
+    field('Cena nebo úplata', MONEY, 'amount', { validators: ['amountWords'] }),
+    field('Číslo účtu', MONEY, 'bankAccount', { validators: ['checksum'] }),
+    field('Datum podpisu smlouvy', DATES, 'date'),
+    field('Doba trvání smlouvy', DATES, 'duration')
+  ]
+};
+
+/**
+ * Template of a contract type as the client gets it
+ * @returns {Object} - { id, name, contractType, fields }
+ */
+export const templateFor = (contractType) => ({
+  id: contractType,
+  name: CONTRACT_TYPES[contractType].label,
+  contractType,
+  fields: EXTRACTION_TEMPLATES[contractType]
+});
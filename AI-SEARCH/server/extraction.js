@@ -0,0 +1,456 @@
+/**
+ * Extraction over documents - the logic behind /api/search, /api/batch-search, /api/categorize and /api/classify
+ * Shared by the Express server and the Vercel functions (see routes.js), so both
+ * return exactly the same answers.
+ */
+
+import { completeStructured, worstParseStatus } from './responseContract.js';
+import { splitDocument, mergeSearchAnswers, mergeBatchResults } from './chunking.js';
+import { groundSearchResult, groundBatchResults } from './grounding.js';
+import { getLLMConfig } from './llm/index.js';
+import { hashText, cacheKey, getCached, setCached } from './resultCache.js';
+import { CONTRACT_TYPES, templateFor } from './contractTemplates.js';
+
+const NOT_FOUND = 'Nenalezeno';
+
+// Bump when the prompts or the processing of answers change - answers cached for older prompts are not used
+export const PROMPT_VERSION = '2';
+
+// Queries per model call when streaming (BATCH_GROUP_SIZE)
+const DEFAULT_BATCH_GROUP_SIZE = 5;
+
+const buildSearchPrompt = (query, document) => `Analyzuj následující text a najdi PŘESNĚ to, co požaduje uživatel.
+
+DŮLEŽITÉ: Vrať odpověď POUZE jako validní JSON objekt (bez markdown). Žádný další text.
+
+Uživatel hledá: "${query}"
+
+Text dokumentu:
+${document}
+
+INSTRUKCE:
+- Pokud dotaz obsahuje "ano/ne", "ano nebo ne", "yes/no" nebo podobně, vrať JSON: {"answer": "Ano", "fullContext": "kompletní relevantní text z dokumentu"}
+  - answer: jen "Ano" nebo "Ne"
+  - fullContext: celý odstavec/sekce/tabulka (MIN 50 znaků!)
+- Pokud hledá JEDEN údaj, vrať JSON: {"type": "single", "value": "nalezená hodnota"}
+- Pokud hledá VÍCE údajů (např. "všechna rodná čísla"), vrať JSON: {"type": "multiple", "results": [{"label": "Jméno osoby", "value": "hodnota"}, ...]}
+- Pokud nic nenajdeš, vrať: {"type": "single", "value": "Nenalezeno"}
+- Hodnoty v hranatých závorkách jako [RC_1], [JMENO_2], [UCET_1] jsou zástupné tokeny osobních údajů - vrať je PŘESNĚ tak, jak jsou v textu, včetně závorek
+- NIKDY nevysvětluj, jen vrať JSON
+
+PŘÍKLADY:
+
+Dotaz: "je tam tabulka? ano/ne"
+Odpověď: {"answer": "Ano", "fullContext": "Tabulka identifikačních dokladů Dlužníka\n\nTyp dokladu: Občanský průkaz\nČíslo dokladu: AB123456\nDatum vydání: 1.1.2020\nPlatnost do: 1.1.2030"}
+
+Dotaz: "rodné číslo Tomáše Vokouna"
+Odpověď: {"type": "single", "value": "920515/1234"}
+
+Dotaz: "všechna rodná čísla prodávajících"
+Odpověď: {"type": "multiple", "results": [{"label": "Jan Novák", "value": "920515/1234"}, {"label": "Marie Svobodová", "value": "850623/5678"}]}
+
+Dotaz: "celková cena"
+Odpověď: {"type": "single", "value": "7 850 000 Kč"}
+
+Tvoje odpověď (pouze JSON):`;
+
+const buildBatchPrompt = (queries, document) => `Analyzuj následující dokument a najdi PŘESNĚ tyto údaje.
+
+DŮLEŽITÉ: Vrať POUZE JSON ve formátu níže, nic víc.
+
+Dokument:
+${document}
+
+Hledané údaje:
+${queries.map((q, i) => `${i+1}. ${q}`).join('\n')}
+
+Vrať JSON ve formátu:
+{
+  "results": [
+    {"query": "Rodné číslo", "type": "single", "value": "940819/1011"},
+    {"query": "Všechna parcelní čísla", "type": "multiple", "values": [
+      {"label": "Parcela 1", "value": "123/45"},
+      {"label": "Parcela 2", "value": "678/90"}
+    ]},
+    ...
+  ]
+}
+
+PRAVIDLA:
+- Pokud dotaz hledá JEDNU hodnotu (např. "rodné číslo Petra"), vrať: {"query": "...", "type": "single", "value": "hodnota"}
+- Pokud dotaz hledá VÍCE hodnot (např. "všechna parcelní čísla", "všechny strany"), vrať: {"query": "...", "type": "multiple", "values": [{"label": "popisek", "value": "hodnota"}, ...]}
+- Pokud hodnotu nenajdeš, vrať "type": "single", "value": "Nenalezeno"
+- Hodnoty v hranatých závorkách jako [RC_1], [JMENO_2], [UCET_1] jsou zástupné tokeny osobních údajů - vrať je PŘESNĚ tak, jak jsou v textu, včetně závorek
+- Vrať POUZE JSON, žádný další text
+- Zachovej PŘESNÉ názvy dotazů jak jsou uvedeny výše`;
+
+const buildCategorizePrompt = (queries) => `Roztřiď následující seznam položek do logických kategorií.
+
+Položky:
+${queries.map((q, i) => `${i+1}. ${q}`).join('\n')}
+
+Vrať POUZE JSON ve formátu:
+[
+  {"category": "Identifikační údaje", "items": ["Rodné číslo", "Datum narození", ...]},
+  {"category": "Kontaktní údaje", "items": ["Email", "Telefon", ...]},
+  {"category": "Finanční údaje", "items": ["Výše úvěru", ...]},
+  {"category": "Ostatní", "items": [...]}
+]
+
+PRAVIDLA:
+- Použij české názvy kategorií
+- Každá položka musí být pouze v jedné kategorii
+- Položky, které nelze zařadit, dej do kategorie "Ostatní"
+- Vrať POUZE JSON, žádný další text`;
+
+// Beginning of the document used for classification - the title and the parties are at the top
+const CLASSIFY_LENGTH = 6000;
+
+const buildClassifyPrompt = (document) => `Urči typ smlouvy podle začátku dokumentu.
+
+Typy:
+${Object.entries(CONTRACT_TYPES).map(([type, { label }]) => `- ${type}: ${label}`).join('\n')}
+
+Dokument:
+${document}
+
+Vrať POUZE JSON ve formátu:
+{"contractType": "kupni", "confidence": 0.9, "reason": "krátké zdůvodnění"}
+
+PRAVIDLA:
+- contractType je jeden z typů výše, "jine" když nesedí žádný
+- confidence je jistota 0.0-1.0
+- Vrať POUZE JSON, žádný další text`;
+
+/**
+ * Model and prompt version the cached answers belong to
+ */
+export const cacheScope = () => {
+  const { provider, model } = getLLMConfig();
+  return `${provider}/${model}/v${PROMPT_VERSION}`;
+};
+
+/**
+ * Result cache of one document for one task (see resultCache.js)
+ * @param {Object} options - { cache: false } skips reading - the fresh answer is still stored
+ */
+function documentCache(task, document, originalDocument, options = {}) {
+  const sourceHash = hashText(originalDocument);
+  const inputHash = document === originalDocument ? sourceHash : hashText(document);
+  const scope = cacheScope();
+  const keyOf = (query) => cacheKey({ task, sourceHash, inputHash, query, scope });
+
+  return {
+    get: (query) => (options.cache === false ? undefined : getCached(keyOf(query))),
+    set: (query, value) => setCached(keyOf(query), value, sourceHash)
+  };
+}
+
+/**
+ * Single search over one document (or one chunk of it)
+ * @param {Object} options - { signal } - aborting it cancels the model call
+ * @returns {Promise<Object>} - { answer, fullContext?, parseStatus }
+ *   yes/no questions: answer 'Ano'|'Ne' with fullContext, otherwise { type: 'single'|'multiple', ... }
+ * @throws {Error} - LLM error with type and status
+ */
+async function searchChunk(query, document, options) {
+  console.log('🔍 Processing query:', query.substring(0, 100));
+
+  const { value, parseStatus } = await completeStructured(
+    {
+      task: 'search',
+      variables: { query, document },
+      prompt: buildSearchPrompt(query, document)
+    },
+    // Model ignored the format - the raw text is the best guess of the value
+    (rawText) => ({ type: 'single', value: rawText.trim() || NOT_FOUND }),
+    options
+  );
+
+  console.log(`🔍 Answer (${parseStatus}):`, JSON.stringify(value).substring(0, 200));
+
+  if (value.fullContext !== undefined) {
+    return { answer: value.answer, fullContext: value.fullContext, parseStatus };
+  }
+  return { answer: value, parseStatus };
+}
+
+/**
+ * Search the whole document - long documents are searched chunk by chunk and the answers merged
+ * Answers are grounded in originalDocument (the text the client shows), the model reads the normalized one
+ * Answers are cached - a hit comes back with cached: true and no model call
+ * @param {Object} options - { signal, cache } - a cancelled search stops before the next chunk
+ * @returns {Promise<Object>} - { answer, fullContext?, start?, end?, grounded?, chunk?, parseStatus, cached? }
+ */
+export async function searchDocument(query, document, originalDocument = document, options = {}) {
+  const cache = documentCache('search', document, originalDocument, options);
+  const hit = cache.get(query);
+  if (hit) return { ...hit.value, cached: true };
+
+  const chunks = splitDocument(document);
+  const chunkAnswers = [];
+
+  for (const chunk of chunks) {
+    const result = await searchChunk(query, chunk.text, options);
+    chunkAnswers.push({ chunk, ...result });
+  }
+
+  const merged = mergeSearchAnswers(chunkAnswers);
+  const result = {
+    ...groundSearchResult(merged, originalDocument, originalDocument.length / document.length),
+    parseStatus: worstParseStatus(chunkAnswers.map(item => item.parseStatus))
+  };
+
+  // A broken answer is not worth keeping - the next run asks the model again
+  if (result.parseStatus !== 'fallback') cache.set(query, result);
+  return result;
+}
+
+/**
+ * Batch search over one document (or one chunk of it)
+ * @returns {Promise<Array>} - Flat results, multiple values as separate entries with label;
+ *   every entry carries the parseStatus of the chunk's answer
+ */
+async function batchChunk(queries, document, options) {
+  const { value, parseStatus } = await completeStructured(
+    {
+      task: 'batch',
+      variables: { queries, document },
+      prompt: buildBatchPrompt(queries, document)
+    },
+    // Fallback: "Nenalezeno" for all - parseStatus tells the client the format broke
+    () => ({ results: queries.map(q => ({ query: q, type: 'single', value: NOT_FOUND })) }),
+    options
+  );
+  const parsedResults = value.results;
+
+  // Process results - convert to flat array with type info
+  const processedResults = [];
+
+  parsedResults.forEach(result => {
+    if (result.type === 'multiple' && result.values && Array.isArray(result.values)) {
+      // Multiple values - create separate entry for each
+      result.values.forEach(item => {
+        processedResults.push({
+          query: result.query,
+          type: 'multiple',
+          label: item.label,
+          value: item.value,
+          parseStatus
+        });
+      });
+    } else {
+      // Single value
+      processedResults.push({
+        query: result.query,
+        type: 'single',
+        value: result.value || NOT_FOUND,
+        parseStatus
+      });
+    }
+  });
+
+  // Ensure all queries have at least one result
+  queries.forEach(q => {
+    const hasResult = processedResults.some(r => r.query === q);
+    if (!hasResult) {
+      processedResults.push({
+        query: q,
+        type: 'single',
+        value: NOT_FOUND,
+        parseStatus
+      });
+    }
+  });
+
+  return processedResults;
+}
+
+/**
+ * Batch search over the whole document, without the cache
+ * Long contracts are split into chunks, each chunk gets the whole query list
+ * @returns {Promise<Array>} - [{ query, type: 'single'|'multiple', label?, value, start?, end?, grounded?, parseStatus }]
+ */
+async function extractBatch(queries, document, originalDocument, options) {
+  const chunks = splitDocument(document);
+  const chunkResults = [];
+
+  for (const chunk of chunks) {
+    chunkResults.push({ chunk, results: await batchChunk(queries, chunk.text, options) });
+  }
+
+  // A chunk with a broken answer makes every value of the merged run less reliable
+  const parseStatus = worstParseStatus(chunkResults.flatMap(({ results }) => results.map(result => result.parseStatus)));
+  const merged = mergeBatchResults(queries, chunkResults).map(result => ({ ...result, parseStatus }));
+
+  // Every value gets its start/end in the text the client shows
+  return groundBatchResults(merged, originalDocument, originalDocument.length / document.length);
+}
+
+/**
+ * Split queries into cached answers and queries for the model
+ * @returns {{ cached: Map<string, Array>, missing: string[] }} - cached entries carry cached: true
+ */
+function splitCached(queries, cache) {
+  const cached = new Map();
+  const missing = [];
+  [...new Set(queries)].forEach(query => {
+    const hit = cache.get(query);
+    if (hit) cached.set(query, hit.value.map(entry => ({ ...entry, query, cached: true })));
+    else missing.push(query);
+  });
+  return { cached, missing };
+}
+
+/**
+ * Store fresh batch entries per query (queries with a broken answer are skipped)
+ */
+function storeBatch(queries, results, cache) {
+  queries.forEach(query => {
+    const entries = results.filter(result => result.query === query);
+    if (entries.length > 0 && entries.every(entry => entry.parseStatus !== 'fallback')) cache.set(query, entries);
+  });
+}
+
+/**
+ * Batch search over the whole document - cached queries are answered without the model
+ * @param {Object} options - { signal, priority, cache }
+ * @returns {Promise<Array>} - [{ query, type: 'single'|'multiple', label?, value, start?, end?, grounded?, parseStatus, cached? }]
+ */
+export async function batchSearchDocument(queries, document, originalDocument = document, options = {}) {
+  const cache = documentCache('batch', document, originalDocument, options);
+  const { cached, missing } = splitCached(queries, cache);
+
+  const fresh = missing.length > 0 ? await extractBatch(missing, document, originalDocument, options) : [];
+  storeBatch(missing, fresh, cache);
+
+  return [...new Set(queries)].flatMap(query => cached.get(query) || fresh.filter(result => result.query === query));
+}
+
+export const getBatchGroupSize = () => Number(process.env.BATCH_GROUP_SIZE) || DEFAULT_BATCH_GROUP_SIZE;
+
+/**
+ * Batch search streamed group by group - every group of queries is yielded as soon as it is answered
+ * All groups are started at once, the LLM scheduler decides how many calls really run (LLM_CONCURRENCY)
+ * and starts them in query order - put the queries that matter most first. Cached queries come first,
+ * as one group, without a model call.
+ * A failed group does not stop the run, it is yielded with the error - a cancelled run
+ * (options.signal aborted) yields the interrupted group with the 'aborted' error and stops
+ * @yields {Object} - { queries, results } or { queries, error }, in the order the groups finish
+ */
+export async function* batchSearchGroups(queries, document, originalDocument = document, groupSize = getBatchGroupSize(), options = {}) {
+  const cache = documentCache('batch', document, originalDocument, options);
+  const { cached, missing } = splitCached(queries, cache);
+  if (cached.size > 0) {
+    yield { queries: [...cached.keys()], results: [...cached.values()].flat() };
+  }
+
+  const pending = new Map();
+  for (let i = 0; i < missing.length; i += groupSize) {
+    const group = missing.slice(i, i + groupSize);
+    const index = i / groupSize;
+    pending.set(index, extractBatch(group, document, originalDocument, { ...options, priority: index })
+      .then(results => {
+        storeBatch(group, results, cache);
+        return { index, queries: group, results };
+      }, error => ({ index, queries: group, error })));
+  }
+
+  while (pending.size > 0) {
+    const { index, ...group } = await Promise.race(pending.values());
+    pending.delete(index);
+    yield group;
+    if (group.error?.type === 'aborted') return;
+  }
+}
+
+/**
+ * Sort queries into categories for the batch modal
+ * @param {Object} options - { signal } - aborting it cancels the model call
+ * @returns {Promise<Object>} - { categories: [{ category, items }], parseStatus }
+ */
+export async function categorizeQueries(queries, options) {
+  const { value, parseStatus } = await completeStructured(
+    {
+      task: 'categorize',
+      variables: { queries },
+      prompt: buildCategorizePrompt(queries)
+    },
+    () => [{ category: 'Ostatní', items: queries }],
+    options
+  );
+
+  // Items the model forgot still have to end up somewhere
+  const categorized = new Set(value.flatMap(group => group.items));
+  const missing = queries.filter(query => !categorized.has(query));
+  if (missing.length === 0) return { categories: value, parseStatus };
+
+  const other = value.find(group => group.category === 'Ostatní');
+  const categories = other
+    ? value.map(group => (group === other ? { ...group, items: [...group.items, ...missing] } : group))
+    : [...value, { category: 'Ostatní', items: missing }];
+  return { categories, parseStatus };
+}
+
+const stripDiacritics = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Keyword score of every contract type - a title ("KUPNÍ SMLOUVA") counts 5, each role or term 1 (max 3 per keyword)
+ * @returns {Array} - [{ contractType, score }] best first
+ */
+function scoreContractTypes(document) {
+  const text = stripDiacritics(document.slice(0, CLASSIFY_LENGTH));
+  const heading = text.slice(0, 600);
+  return Object.entries(CONTRACT_TYPES)
+    .filter(([, type]) => type.title)
+    .map(([contractType, type]) => ({
+      contractType,
+      score: (type.title.test(heading) ? 5 : 0) + type.keywords
+        .reduce((sum, keyword) => sum + Math.min(3, (text.match(new RegExp(keyword.source, 'g')) || []).length), 0)
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Decide the contract type of a document and pick its extraction template
+ * Keywords decide when they are clear (a title and twice the score of the runner-up), otherwise the model does;
+ * when the model breaks the format, the keyword guess stays
+ * @param {Object} options - { signal, meter }
+ * @returns {Promise<Object>} - { contractType, label, confidence, reason, source: 'rules'|'model', parseStatus, template }
+ */
+export async function classifyContract(document, options) {
+  const [best, second] = scoreContractTypes(document);
+  const guess = best.score > 0 ? best.contractType : 'jine';
+  const result = (contractType, fields) => ({
+    contractType,
+    label: CONTRACT_TYPES[contractType].label,
+    template: templateFor(contractType),
+    ...fields
+  });
+
+  if (best.score >= 5 && best.score >= 2 * second.score) {
+    return result(guess, {
+      confidence: Math.min(0.99, best.score / (best.score + second.score + 1)),
+      reason: `klíčová slova (skóre ${best.score}, další ${second.contractType} ${second.score})`,
+      source: 'rules',
+      parseStatus: 'parsed'
+    });
+  }
+
+  const { value, parseStatus } = await completeStructured(
+    {
+      task: 'classify',
+      variables: { document: document.slice(0, CLASSIFY_LENGTH) },
+      prompt: buildClassifyPrompt(document.slice(0, CLASSIFY_LENGTH))
+    },
+    () => ({ contractType: guess, confidence: 0, reason: 'model nevrátil platnou odpověď, typ podle klíčových slov' }),
+    options
+  );
+
+  return result(value.contractType, {
+    confidence: value.confidence ?? 0.5,
+    reason: value.reason || '',
+    source: parseStatus === 'fallback' ? 'rules' : 'model',
+    parseStatus
+  });
+}
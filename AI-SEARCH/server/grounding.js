@@ -0,0 +1,217 @@
+/**
+ * Character-offset grounding of extracted values
+ * Every value gets start/end in the original document, checked against the text
+ * itself. Values that cannot be found in the source, or are found several times with nothing
+ * to tell which occurrence was meant, are marked grounded: false.
+ */
+
+const NOT_FOUND = 'Nenalezeno';
+
+const stripDiacritics = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Loose form of the document for matching - no diacritics, lowercase, single spaces
+ * Keeps a map from every loose character back to the original offset
+ */
+export function buildLooseIndex(document) {
+  let text = '';
+  const map = [];
+  let previousSpace = false;
+
+  for (let i = 0; i < document.length; i++) {
+    const char = document[i];
+    if (/\s/.test(char)) {
+      if (!previousSpace) {
+        text += ' ';
+        map.push(i);
+      }
+      previousSpace = true;
+      continue;
+    }
+    previousSpace = false;
+    // NFD can expand one character to more - all of them point to the same offset
+    for (const base of stripDiacritics(char).toLowerCase()) {
+      text += base;
+      map.push(i);
+    }
+  }
+
+  return { text, map };
+}
+
+const looseForm = (value) => stripDiacritics(value).toLowerCase().replace(/\s+/g, ' ').trim();
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// Occurrence that does not start or end inside a longer word or number
+const isWholeWord = (haystack, needle, index) =>
+  !(WORD_CHAR.test(needle[0]) && WORD_CHAR.test(haystack[index - 1] || ''))
+  && !(WORD_CHAR.test(needle[needle.length - 1]) && WORD_CHAR.test(haystack[index + needle.length] || ''));
+
+/**
+ * All occurrences of needle in haystack - whole-word ones when there are any
+ * ("27082440" inside "CZ27082440" is part of the DIČ, not another IČO)
+ */
+function allIndexes(haystack, needle) {
+  const indexes = [];
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    indexes.push(index);
+    index = haystack.indexOf(needle, index + 1);
+  }
+  const whole = indexes.filter(item => isWholeWord(haystack, needle, item));
+  return whole.length > 0 ? whole : indexes;
+}
+
+/**
+ * Occurrence closest to the hint
+ * Without a hint only a single occurrence can be picked - of several, the one the model meant is unknown
+ * @returns {{index: number}|{ambiguous: number}|null} - ambiguous is the number of occurrences
+ */
+const closestTo = (indexes, hint) => {
+  if (indexes.length === 0) return null;
+  if (typeof hint !== 'number') return indexes.length === 1 ? { index: indexes[0] } : { ambiguous: indexes.length };
+  return { index: indexes.reduce((best, index) => (Math.abs(index - hint) < Math.abs(best - hint) ? index : best)) };
+};
+
+/**
+ * Find correct position of text in document
+ * Exact match, then case-insensitive, then diacritics/whitespace-insensitive
+ * (the model reads a normalized copy of the document without diacritics)
+ * @returns {{start: number, end: number, text: string}|{ambiguous: number}|null} - ambiguous when the text
+ *   occurs more than once and there is no position hint to choose by
+ */
+export function findCorrectPosition(searchText, document, hintPosition, looseIndex) {
+  const normalizedSearch = searchText.trim();
+  if (!normalizedSearch) return null;
+
+  const match = closestTo(allIndexes(document, normalizedSearch), hintPosition)
+    || closestTo(allIndexes(document.toLowerCase(), normalizedSearch.toLowerCase()), hintPosition);
+  if (match?.ambiguous) return match;
+  if (match) {
+    return {
+      start: match.index,
+      end: match.index + normalizedSearch.length,
+      text: document.slice(match.index, match.index + normalizedSearch.length)
+    };
+  }
+
+  const loose = looseIndex || buildLooseIndex(document);
+  const needle = looseForm(normalizedSearch);
+  const looseHint = typeof hintPosition === 'number'
+    ? loose.map.findIndex(offset => offset >= hintPosition)
+    : undefined;
+  const looseMatch = closestTo(allIndexes(loose.text, needle), looseHint);
+  if (!looseMatch || looseMatch.ambiguous) return looseMatch;
+
+  const start = loose.map[looseMatch.index];
+  const end = loose.map[looseMatch.index + needle.length - 1] + 1;
+  return { start, end, text: document.slice(start, end) };
+}
+
+/**
+ * Validate individual result for accuracy
+ * Claimed start/end must cover the value, otherwise the position is searched for
+ * @returns {Object|null} - Result with verified start/end, null if the value is not in the document;
+ *   without start/end and with ambiguous (number of occurrences) when its position cannot be told
+ */
+export function validateResult(result, document, looseIndex) {
+  if (!result.value || typeof result.value !== 'string') return null;
+
+  const { start, end, value } = result;
+  const hasIndices = typeof start === 'number' && typeof end === 'number';
+
+  if (hasIndices && start >= 0 && end <= document.length && start < end) {
+    const actualText = document.slice(start, end);
+    if (looseForm(actualText) === looseForm(value)) {
+      return result;
+    }
+    console.warn('[GROUNDING] Text mismatch:', { expected: value, actual: actualText });
+  }
+
+  const hint = hasIndices ? start : undefined;
+  const correctMatch = findCorrectPosition(value, document, hint, looseIndex);
+  if (!correctMatch) return null;
+  if (correctMatch.ambiguous) {
+    const { start: _start, end: _end, ...rest } = result;
+    return { ...rest, ambiguous: correctMatch.ambiguous };
+  }
+
+  return {
+    ...result,
+    start: correctMatch.start,
+    end: correctMatch.end,
+    ...(hasIndices && typeof result.confidence === 'number'
+      // Reduce confidence for corrections of the model's own indices
+      ? { confidence: Math.max(0.5, result.confidence - 0.2) }
+      : {})
+  };
+}
+
+/**
+ * Ground one extracted value - adds start/end and grounded flag
+ * "Nenalezeno" is left as it is (nothing to ground), a value found several times without a position
+ * to choose by is not grounded either and carries ambiguous: <number of occurrences>
+ * @param {Object} entry - { value, start?, end?, ... }
+ * @param {string} document - Original document text (the one the client shows)
+ * @param {Object} looseIndex - From buildLooseIndex(document)
+ */
+export function groundValue(entry, document, looseIndex, text = entry.value) {
+  if (typeof text !== 'string' || !text.trim() || text.trim() === NOT_FOUND) return entry;
+
+  const validated = validateResult({ ...entry, value: text }, document, looseIndex);
+  if (!validated || validated.ambiguous) {
+    const { start, end, ...rest } = entry;
+    return { ...rest, grounded: false, ...(validated ? { ambiguous: validated.ambiguous } : {}) };
+  }
+
+  return { ...entry, start: validated.start, end: validated.end, grounded: true };
+}
+
+/**
+ * Ground answer of a single search
+ * Plain string answers become { type: 'single', value } so they can carry the span
+ * @param {Object} result - { answer, fullContext?, start?, end? }
+ * @param {string} document - Original document text
+ * @param {number} scale - Ratio original/searched document length (for position hints)
+ */
+export function groundSearchResult(result, document, scale = 1) {
+  const looseIndex = buildLooseIndex(document);
+  const rescale = (entry) => (typeof entry.start === 'number'
+    ? { ...entry, start: Math.round(entry.start * scale), end: Math.round(entry.end * scale) }
+    : entry);
+
+  // Yes/no question - the context is what gets highlighted
+  if (result.fullContext !== undefined) {
+    return groundValue(rescale(result), document, looseIndex, result.fullContext);
+  }
+
+  const { answer } = result;
+
+  if (answer && typeof answer === 'object' && answer.type === 'multiple') {
+    return {
+      ...result,
+      answer: {
+        ...answer,
+        results: (answer.results || []).map(item => groundValue(rescale(item), document, looseIndex))
+      }
+    };
+  }
+
+  const single = answer && typeof answer === 'object' ? answer : { type: 'single', value: answer };
+  return { ...result, answer: groundValue(rescale(single), document, looseIndex) };
+}
+
+/**
+ * Ground flat batch results ({ query, value, ... } entries)
+ */
+export function groundBatchResults(results, document, scale = 1) {
+  const looseIndex = buildLooseIndex(document);
+  return results.map(entry => groundValue(
+    typeof entry.start === 'number'
+      ? { ...entry, start: Math.round(entry.start * scale), end: Math.round(entry.end * scale) }
+      : entry,
+    document,
+    looseIndex
+  ));
+}
@@ -0,0 +1,15 @@
+/**
+ * Password hash for AUTH_USERS - `npm run hash-password -- <username> <password>`
+ * Prints the account entry; the password itself is never stored anywhere.
+ */
+
+import { hashPassword } from './auth.js';
+
+const [username, password] = process.argv.slice(2);
+
+if (!username || !password) {
+  console.error('Použití: npm run hash-password -- <uživatel> <heslo>');
+  process.exit(1);
+}
+
+console.log(JSON.stringify({ username, passwordHash: await hashPassword(password) }));
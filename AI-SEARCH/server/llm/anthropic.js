@@ -0,0 +1,71 @@
+/**
+ * Anthropic Messages API provider
+ * One HTTP call per completion - retries and timeouts are handled in index.js
+ */
+
+import { llmError } from './errors.js';
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * retry-after header in ms - seconds or an HTTP date
+ */
+function parseRetryAfter(header) {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+export function createAnthropicProvider(config) {
+  return {
+    name: 'anthropic',
+
+    async complete({ model, prompt, maxTokens, temperature }, { signal } = {}) {
+      if (!config.apiKey) {
+        throw llmError('ANTHROPIC_API_KEY není nastavený v environment variables', 'configuration_error');
+      }
+
+      const response = await fetch(`${config.baseUrl}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': config.apiKey,
+          'anthropic-version': API_VERSION
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          ...(temperature !== undefined ? { temperature } : {}),
+          messages: [{ role: 'user', content: prompt }]
+        }),
+        signal
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        console.error('Claude API error:', data);
+        const error = llmError(
+          data.error?.message || `HTTP ${response.status}`,
+          data.error?.type || 'api_error',
+          response.status,
+          data.error
+        );
+        error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        throw error;
+      }
+
+      return {
+        text: data.content?.[0]?.text?.trim() || '',
+        model: data.model || model,
+        stopReason: data.stop_reason,
+        usage: {
+          inputTokens: data.usage?.input_tokens ?? 0,
+          outputTokens: data.usage?.output_tokens ?? 0
+        }
+      };
+    }
+  };
+}
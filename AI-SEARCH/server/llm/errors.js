@@ -0,0 +1,18 @@
+/**
+ * Errors of the LLM layer
+ * type follows the Anthropic error types ('overloaded_error', 'rate_limit_error', ...)
+ * plus our own 'network_error', 'timeout_error', 'aborted' and 'configuration_error'
+ * Rate limit / overload errors of the API may carry retryAfter (ms, from the retry-after header)
+ */
+export function llmError(message, type, status = 500, details) {
+  const error = new Error(message);
+  error.type = type;
+  error.status = status;
+  if (details !== undefined) error.details = details;
+  return error;
+}
+
+/**
+ * Call cancelled by the client (aborted signal)
+ */
+export const cancelledError = () => llmError('Požadavek byl zrušen', 'aborted', 499);
@@ -0,0 +1,172 @@
+/**
+ * LLM provider layer
+ * One place for model, token limits, temperature, retries and timeouts - every endpoint
+ * calls complete() instead of talking to the Anthropic API itself.
+ *
+ * Configuration (env):
+ *   LLM_PROVIDER        'anthropic' (default) or 'mock' (offline, answers from fixtures)
+ *   LLM_MODEL           model id, default claude-3-5-sonnet-20241022
+ *   LLM_MAX_TOKENS      overrides the per-task token limit
+ *   LLM_TEMPERATURE     overrides the per-task temperature
+ *   LLM_MAX_ATTEMPTS    attempts per call including retries, default 3
+ *   LLM_RETRY_DELAY_MS  first backoff delay, doubled on every retry, default 1000
+ *   LLM_TIMEOUT_MS      timeout of one attempt, default 60000
+ *   LLM_CONCURRENCY     model calls running at once (whole process), default 4
+ *   LLM_RATE_PER_MINUTE calls started per minute (token bucket), default 50
+ *   ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL (e.g. the bank's egress proxy)
+ *   LLM_MOCK_FIXTURES   fixture file of the mock provider
+ *   LLM_MOCK_LATENCY_MS simulated response time of the mock provider, default 0
+ */
+
+import { createAnthropicProvider } from './anthropic.js';
+import { createMockProvider } from './mock.js';
+import { createScheduler } from './scheduler.js';
+import { llmError, cancelledError } from './errors.js';
+
+export { llmError };
+
+const DEFAULT_MODEL = 'claude-3-5-sonnet-20241022';
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider
+};
+
+// Per-task defaults - batch and categorization answer for the whole query list
+const TASK_DEFAULTS = {
+  search: { maxTokens: 1024 },
+  batch: { maxTokens: 2048 },
+  categorize: { maxTokens: 2048 },
+  analyze: { maxTokens: 2048, temperature: 0.1 },
+  classify: { maxTokens: 256, temperature: 0 }
+};
+
+// Transient failures worth another attempt
+const RETRYABLE = new Set(['overloaded_error', 'rate_limit_error', 'api_error', 'network_error', 'timeout_error']);
+
+const numberFromEnv = (name) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+export function getLLMConfig() {
+  return {
+    provider: (process.env.LLM_PROVIDER || 'anthropic').toLowerCase(),
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    maxTokens: numberFromEnv('LLM_MAX_TOKENS'),
+    temperature: numberFromEnv('LLM_TEMPERATURE'),
+    maxAttempts: Math.max(1, numberFromEnv('LLM_MAX_ATTEMPTS') ?? 3),
+    retryDelay: numberFromEnv('LLM_RETRY_DELAY_MS') ?? 1000,
+    timeout: numberFromEnv('LLM_TIMEOUT_MS') ?? 60000,
+    concurrency: Math.max(1, numberFromEnv('LLM_CONCURRENCY') ?? 4),
+    ratePerMinute: Math.max(1, numberFromEnv('LLM_RATE_PER_MINUTE') ?? 50),
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, ''),
+    fixtures: process.env.LLM_MOCK_FIXTURES,
+    mockLatency: numberFromEnv('LLM_MOCK_LATENCY_MS') ?? 0
+  };
+}
+
+/**
+ * What is wrong with the configuration (null when the provider can be used)
+ */
+export function llmConfigError(config = getLLMConfig()) {
+  if (!PROVIDERS[config.provider]) return `Neznámý LLM_PROVIDER "${config.provider}"`;
+  if (config.provider === 'anthropic' && !config.apiKey) return 'ANTHROPIC_API_KEY is not set';
+  return null;
+}
+
+/**
+ * Turn fetch/abort failures into typed errors
+ */
+function toLLMError(error, timeoutSignal, externalSignal) {
+  if (error.type) return error;
+  if (externalSignal?.aborted) return cancelledError();
+  if (timeoutSignal?.aborted) return llmError('Vypršel časový limit odpovědi modelu', 'timeout_error', 504);
+  return llmError(error.message, 'network_error', 502);
+}
+
+// Backoff wait that ends early when the caller cancels
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(cancelledError());
+  }, { once: true });
+});
+
+// Rate limit / overload hit every caller - the whole scheduler waits, not just the failed call
+const PAUSE_ALL = new Set(['overloaded_error', 'rate_limit_error']);
+
+let scheduler = null;
+
+/**
+ * Process-wide scheduler, recreated when the limits in env change
+ */
+function getScheduler(config) {
+  const key = `${config.concurrency}/${config.ratePerMinute}`;
+  if (scheduler?.key !== key) {
+    scheduler = { key, ...createScheduler({ concurrency: config.concurrency, ratePerMinute: config.ratePerMinute }) };
+  }
+  return scheduler;
+}
+
+/**
+ * Run one completion with retries and timeout
+ * @param {Object} request - { task, prompt, maxTokens?, temperature?, variables? }
+ *   task is 'search' | 'batch' | 'categorize' | 'classify' | 'analyze'; variables ({ query, queries, document })
+ *   are what the prompt was built from - only the mock provider reads them
+ * @param {Object} options - { signal } to cancel the call from outside, { priority } for the scheduler
+ *   (lower starts first, e.g. the index of a batch group), { meter } records the tokens (see usage.js)
+ * @returns {Promise<Object>} - { text, model, provider, stopReason, usage: { inputTokens, outputTokens } }
+ * @throws {Error} - with type ('overloaded_error', 'timeout_error', 'configuration_error', ...) and status
+ */
+export async function complete(request, { signal, priority = 0, meter } = {}) {
+  const config = getLLMConfig();
+  const createProvider = PROVIDERS[config.provider];
+  if (!createProvider) throw llmError(llmConfigError(config), 'configuration_error');
+
+  const provider = createProvider(config);
+  const defaults = TASK_DEFAULTS[request.task] || {};
+  const params = {
+    task: request.task,
+    prompt: request.prompt,
+    variables: request.variables,
+    model: config.model,
+    maxTokens: config.maxTokens ?? request.maxTokens ?? defaults.maxTokens ?? 1024,
+    temperature: config.temperature ?? request.temperature ?? defaults.temperature
+  };
+
+  const queue = getScheduler(config);
+
+  let delay = config.retryDelay;
+  for (let attempt = 1; ; attempt++) {
+    // Client went away - no further (paid) calls
+    if (signal?.aborted) throw cancelledError();
+
+    let timeoutSignal;
+    try {
+      const result = await queue.schedule(() => {
+        // Timeout runs from the start of the call, not from the time it waited in the queue
+        timeoutSignal = AbortSignal.timeout(config.timeout);
+        const attemptSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+        return provider.complete(params, { signal: attemptSignal });
+      }, { priority, signal });
+      meter?.record({ task: request.task, provider: provider.name, model: result.model, usage: result.usage });
+      return { ...result, provider: provider.name };
+    } catch (rawError) {
+      const error = toLLMError(rawError, timeoutSignal, signal);
+      if (!RETRYABLE.has(error.type) || attempt >= config.maxAttempts) throw error;
+
+      // retry-after of the API wins over our own backoff when it asks for longer
+      const wait = Math.max(delay, error.retryAfter || 0);
+      if (PAUSE_ALL.has(error.type)) queue.pause(wait);
+
+      console.log(`[LLM] Pokus ${attempt}/${config.maxAttempts} - ${error.type}, čekám ${wait}ms...`);
+      await sleep(wait, signal);
+      delay *= 2; // Exponenciální backoff
+    }
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Deterministic offline provider - answers from fixtures, never touches the network
+ * Used for demos inside the bank network and for running the app without an API key.
+ * The same query over the same document always gives the same answer.
+ *
+ * Fixture file (LLM_MOCK_FIXTURES, default fixtures.json next to this file):
+ * {
+ *   "values": { "<query>": <value> },        - query is matched loosely, longest key wins
+ *   "categories": { "<query>": "<category>" },
+ *   "contractType": "<type>"                 - answer of the classifier (see contractTemplates.js)
+ * }
+ * Value is a string, an object (returned as JSON, e.g. yes/no { answer, fullContext }),
+ * an array of { label, value }, { pattern, all? } - regex run on the document
+ * (first capture group when the pattern has one) or { raw } - search answer text as it is.
+ * Patterns are matched without diacritics on both sides - the model reads the normalized document,
+ * the fixtures are written in plain Czech ("IČO", "kupní cena").
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { llmError } from './errors.js';
+
+const DEFAULT_FIXTURES = fileURLToPath(new URL('./fixtures.json', import.meta.url));
+const NOT_FOUND = 'Nenalezeno';
+const OTHER_CATEGORY = 'Ostatní';
+
+const fixtureCache = new Map();
+
+function loadFixtures(path) {
+  if (!fixtureCache.has(path)) {
+    try {
+      const fixtures = JSON.parse(readFileSync(path, 'utf8'));
+      fixtureCache.set(path, {
+        values: fixtures.values || {},
+        categories: fixtures.categories || {},
+        contractType: fixtures.contractType || 'jine'
+      });
+    } catch (error) {
+      throw llmError(`Nelze načíst fixtures mock provideru (${path}): ${error.message}`, 'configuration_error');
+    }
+  }
+  return fixtureCache.get(path);
+}
+
+const stripDiacritics = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const normalizeKey = (text) => stripDiacritics(text)
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Fixture entry for a query - exact key, otherwise the longest key the query contains
+ */
+function findEntry(map, query) {
+  const normalizedQuery = normalizeKey(query);
+  let best = null;
+  Object.entries(map).forEach(([key, value]) => {
+    const normalizedKey = normalizeKey(key);
+    if (normalizedKey === normalizedQuery) {
+      best = { key: normalizedKey, value, exact: true };
+    } else if (!best?.exact && normalizedQuery.includes(normalizedKey)
+      && (!best || normalizedKey.length > best.key.length)) {
+      best = { key: normalizedKey, value };
+    }
+  });
+  return best?.value;
+}
+
+/**
+ * Resolve a fixture value against the document
+ * @returns {string|Object|Array} - NOT_FOUND when the pattern does not match
+ */
+function resolveValue(fixture, document = '') {
+  if (fixture === undefined || fixture === null) return NOT_FOUND;
+  if (typeof fixture !== 'object' || Array.isArray(fixture) || !fixture.pattern) return fixture;
+
+  const regex = new RegExp(stripDiacritics(fixture.pattern), 'gid');
+  const plain = stripDiacritics(document);
+  // Same length (precomposed letters) - the answer is cut from the document itself, with its diacritics
+  const source = plain.length === document.length ? document : plain;
+  const matches = [...plain.matchAll(regex)].map(match => {
+    const [start, end] = match.indices[1] ?? match.indices[0];
+    return source.slice(start, end).trim();
+  });
+  if (matches.length === 0) return NOT_FOUND;
+  if (!fixture.all) return matches[0];
+
+  const unique = [...new Set(matches)];
+  return unique.length === 1
+    ? unique[0]
+    : unique.map((value, index) => ({ label: `Výskyt ${index + 1}`, value }));
+}
+
+/**
+ * Answer in the format the prompt of the given task asks for
+ */
+function answerTask(task, variables, fixtures) {
+  const { query, queries = [], document } = variables;
+  const valueFor = (item) => resolveValue(findEntry(fixtures.values, item), document);
+
+  switch (task) {
+    case 'search': {
+      const value = valueFor(query);
+      if (Array.isArray(value)) return JSON.stringify({ type: 'multiple', results: value });
+      if (typeof value !== 'object') return JSON.stringify({ type: 'single', value });
+      // { raw } - answer text as it is (chatty or broken output for testing the response contract)
+      return value.raw !== undefined ? value.raw : JSON.stringify(value);
+    }
+    case 'batch':
+      return JSON.stringify({
+        results: queries.map(item => {
+          const value = valueFor(item);
+          return Array.isArray(value)
+            ? { query: item, type: 'multiple', values: value }
+            : { query: item, type: 'single', value: typeof value === 'object' ? value.answer || NOT_FOUND : value };
+        })
+      });
+    case 'categorize': {
+      const groups = new Map();
+      queries.forEach(item => {
+        const category = findEntry(fixtures.categories, item) || OTHER_CATEGORY;
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(item);
+      });
+      return JSON.stringify([...groups].map(([category, items]) => ({ category, items })));
+    }
+    case 'classify':
+      return JSON.stringify({ contractType: fixtures.contractType, confidence: 0.8, reason: 'mock' });
+    case 'analyze': {
+      const value = valueFor(query);
+      const found = Array.isArray(value) ? value : [{ label: query, value }];
+      return JSON.stringify({
+        results: found
+          .filter(item => typeof item.value === 'string' && item.value !== NOT_FOUND)
+          .map(item => ({ ...item, confidence: 0.9 }))
+      });
+    }
+    default:
+      return NOT_FOUND;
+  }
+}
+
+/**
+ * Simulated response time (LLM_MOCK_LATENCY_MS) - lets progress and cancellation be tried offline
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (!ms) return resolve();
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+// Rough token estimate so usage numbers are not zero in offline mode
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+export function createMockProvider(config) {
+  return {
+    name: 'mock',
+
+    async complete({ task, prompt, variables = {} }, { signal } = {}) {
+      await wait(config.mockLatency, signal);
+      signal?.throwIfAborted();
+
+      const fixtures = loadFixtures(config.fixtures || DEFAULT_FIXTURES);
+      const text = answerTask(task, variables, fixtures);
+
+      return {
+        text,
+        model: 'mock',
+        stopReason: 'end_turn',
+        usage: {
+          inputTokens: estimateTokens(prompt),
+          outputTokens: estimateTokens(text)
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Scheduler of model calls - concurrency limit, token bucket and priority queue
+ * One scheduler per process, so parallel batches share the provider's rate limit
+ * instead of each of them tripping it on its own.
+ *   concurrency   - calls running at once
+ *   ratePerMinute - token bucket refill, a call takes one token (bucket holds `burst` tokens)
+ *   priority      - lower number starts first, calls with the same priority keep their order
+ * After a rate limit / overload answer pause() holds back every call until the wait is over.
+ */
+
+import { cancelledError } from './errors.js';
+
+export function createScheduler({ concurrency, ratePerMinute, burst = concurrency }) {
+  const refillPerMs = ratePerMinute / 60000;
+  const queue = [];
+  let running = 0;
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let pausedUntil = 0;
+  let timer = null;
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - refilledAt) * refillPerMs);
+    refilledAt = now;
+  };
+
+  const wakeUpIn = (ms) => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      dispatch();
+    }, Math.max(1, Math.ceil(ms)));
+  };
+
+  function dispatch() {
+    while (queue.length > 0 && running < concurrency) {
+      const now = Date.now();
+      if (pausedUntil > now) return wakeUpIn(pausedUntil - now);
+
+      refill();
+      if (tokens < 1) return wakeUpIn((1 - tokens) / refillPerMs);
+
+      tokens -= 1;
+      running++;
+      const job = queue.shift();
+      job.signal?.removeEventListener('abort', job.onAbort);
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          running--;
+          dispatch();
+        });
+    }
+  }
+
+  return {
+    /**
+     * Run the task when a slot and a token are free
+     * @param {Function} task - () => Promise
+     * @param {Object} options - { priority, signal } - an aborted call leaves the queue without running
+     */
+    schedule(task, { priority = 0, signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(cancelledError());
+          return;
+        }
+
+        const job = { task, priority, signal, resolve, reject };
+        job.onAbort = () => {
+          const index = queue.indexOf(job);
+          if (index === -1) return;
+          queue.splice(index, 1);
+          reject(cancelledError());
+        };
+        signal?.addEventListener('abort', job.onAbort, { once: true });
+
+        // Sorted insert - after every job with the same or higher priority
+        const index = queue.findIndex(queued => queued.priority > priority);
+        queue.splice(index === -1 ? queue.length : index, 0, job);
+        dispatch();
+      });
+    },
+
+    /**
+     * Hold back all calls for ms (retry-after of a 429 / 529)
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    }
+  };
+}
@@ -0,0 +1,290 @@
+/**
+ * Response contract of the model
+ * JSON schemas of the search, batch, categorize and classify answers, extraction of JSON from
+ * fenced or chatty output and one repair round with the validation error fed back.
+ * Every structured answer reports how the parse ended:
+ *   parsed   - valid JSON straight away
+ *   repaired - JSON had to be cut out of surrounding text, or the repair round fixed it
+ *   fallback - no valid answer, the caller's fallback value is used
+ */
+
+import { complete } from './llm/index.js';
+
+const PARSE_STATUS_ORDER = ['parsed', 'repaired', 'fallback'];
+
+const labelledValue = {
+  type: 'object',
+  required: ['value'],
+  properties: {
+    label: { type: 'string' },
+    value: { type: 'string' }
+  }
+};
+
+export const SCHEMAS = {
+  search: {
+    oneOf: [
+      {
+        type: 'object',
+        required: ['answer', 'fullContext'],
+        properties: {
+          answer: { type: 'string', enum: ['Ano', 'Ne'] },
+          fullContext: { type: 'string' }
+        }
+      },
+      {
+        type: 'object',
+        required: ['type', 'value'],
+        properties: {
+          type: { const: 'single' },
+          value: { type: 'string', minLength: 1 }
+        }
+      },
+      {
+        type: 'object',
+        required: ['type', 'results'],
+        properties: {
+          type: { const: 'multiple' },
+          results: { type: 'array', items: labelledValue }
+        }
+      }
+    ]
+  },
+
+  batch: {
+    type: 'object',
+    required: ['results'],
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          oneOf: [
+            {
+              type: 'object',
+              required: ['query', 'type', 'value'],
+              properties: {
+                query: { type: 'string' },
+                type: { const: 'single' },
+                value: { type: 'string' }
+              }
+            },
+            {
+              type: 'object',
+              required: ['query', 'type', 'values'],
+              properties: {
+                query: { type: 'string' },
+                type: { const: 'multiple' },
+                values: { type: 'array', items: labelledValue }
+              }
+            }
+          ]
+        }
+      }
+    }
+  },
+
+  classify: {
+    type: 'object',
+    required: ['contractType'],
+    properties: {
+      contractType: { type: 'string', enum: ['kupni', 'najemni', 'uverova', 'pracovni', 'dilo', 'jine'] },
+      confidence: { type: 'number' },
+      reason: { type: 'string' }
+    }
+  },
+
+  categorize: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: ['category', 'items'],
+      properties: {
+        category: { type: 'string', minLength: 1 },
+        items: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Validate data against a schema (subset of JSON Schema: type, const, enum, required,
+ * properties, items, oneOf, minItems, minLength)
+ * @returns {string[]} - Validation errors, empty when valid
+ */
+export function validateSchema(schema, data, path = '$') {
+  if (schema.oneOf) {
+    const variants = schema.oneOf.map(variant => validateSchema(variant, data, path));
+    if (variants.some(errors => errors.length === 0)) return [];
+    // Report the variant that got furthest (deepest error path)
+    const depth = (errors) => Math.max(...errors.map(error => error.split(' ')[0].length));
+    return variants.reduce((best, errors) => (depth(errors) > depth(best) ? errors : best));
+  }
+
+  if ('const' in schema && data !== schema.const) {
+    return [`${path} musí být ${JSON.stringify(schema.const)}`];
+  }
+  if (schema.enum && !schema.enum.includes(data)) {
+    return [`${path} musí být jedno z ${schema.enum.map(value => JSON.stringify(value)).join(', ')}`];
+  }
+  if (schema.type && typeOf(data) !== schema.type) {
+    return [`${path} musí být ${schema.type}, je ${typeOf(data)}`];
+  }
+
+  const errors = [];
+
+  if (schema.type === 'string' && schema.minLength && data.trim().length < schema.minLength) {
+    errors.push(`${path} nesmí být prázdné`);
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (data[key] === undefined) errors.push(`${path}.${key} chybí`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (data[key] !== undefined) errors.push(...validateSchema(propertySchema, data[key], `${path}.${key}`));
+    });
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && data.length < schema.minItems) {
+      errors.push(`${path} musí mít alespoň ${schema.minItems} položek`);
+    }
+    if (schema.items) {
+      data.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * First balanced JSON object/array in the text (string literals are skipped)
+ */
+function findBalancedJSON(text) {
+  for (let start = 0; start < text.length; start++) {
+    if (text[start] !== '{' && text[start] !== '[') continue;
+
+    const stack = [];
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        stack.push(char === '{' ? '}' : ']');
+      } else if (char === '}' || char === ']') {
+        if (stack.pop() !== char) break;
+        if (stack.length === 0) {
+          const candidate = text.slice(start, i + 1);
+          try {
+            return JSON.parse(candidate);
+          } catch {
+            break;
+          }
+        }
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get JSON out of model output - plain JSON, ```json fence or JSON inside chatty text
+ * @returns {{ value: *, extracted: boolean }|null} - extracted is true when the JSON had to be cut out
+ */
+export function extractJSON(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+
+  try {
+    return { value: JSON.parse(trimmed), extracted: false };
+  } catch {
+    // not plain JSON, look inside
+  }
+
+  const fence = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fence) {
+    try {
+      return { value: JSON.parse(fence[1].trim()), extracted: true };
+    } catch {
+      // broken fence content, try the balanced search below
+    }
+  }
+
+  const value = findBalancedJSON(trimmed);
+  return value === undefined ? null : { value, extracted: true };
+}
+
+/**
+ * Parse and validate one model output
+ * @returns {{ value, extracted, errors: string[] }}
+ */
+function checkOutput(text, schema) {
+  const json = extractJSON(text);
+  if (!json) return { errors: ['odpověď neobsahuje platný JSON'] };
+  return { ...json, errors: validateSchema(schema, json.value) };
+}
+
+const addUsage = (total, usage = {}) => ({
+  inputTokens: total.inputTokens + (usage.inputTokens || 0),
+  outputTokens: total.outputTokens + (usage.outputTokens || 0)
+});
+
+/**
+ * Worst parse status of several (fallback > repaired > parsed)
+ */
+export const worstParseStatus = (statuses) => statuses.reduce(
+  (worst, status) => (PARSE_STATUS_ORDER.indexOf(status) > PARSE_STATUS_ORDER.indexOf(worst) ? status : worst),
+  'parsed'
+);
+
+/**
+ * Completion validated against the task's schema, with one repair round
+ * @param {Object} request - { task, prompt, variables } as for complete(); task selects the schema
+ * @param {Function} fallback - (rawText, errors) => value used when even the repair fails
+ * @param {Object} options - Passed to complete() ({ signal })
+ * @returns {Promise<Object>} - { value, parseStatus, errors?, usage }
+ */
+export async function completeStructured(request, fallback, options) {
+  const schema = SCHEMAS[request.task];
+  const first = await complete(request, options);
+  let usage = addUsage({ inputTokens: 0, outputTokens: 0 }, first.usage);
+
+  const checked = checkOutput(first.text, schema);
+  if (checked.errors.length === 0) {
+    return { value: checked.value, parseStatus: checked.extracted ? 'repaired' : 'parsed', usage };
+  }
+
+  console.warn(`[CONTRACT] ${request.task}: neplatná odpověď, opakuji s chybou:`, checked.errors.slice(0, 5));
+
+  const repair = await complete({
+    ...request,
+    prompt: `${request.prompt}
+
+Tvoje předchozí odpověď neodpovídala požadovanému formátu.
+Chyby: ${checked.errors.slice(0, 10).join('; ')}
+Předchozí odpověď:
+${first.text.substring(0, 2000)}
+
+Vrať znovu POUZE validní JSON přesně podle zadání, bez markdown a bez dalšího textu.`
+  }, options);
+  usage = addUsage(usage, repair.usage);
+
+  const repaired = checkOutput(repair.text, schema);
+  if (repaired.errors.length === 0) {
+    return { value: repaired.value, parseStatus: 'repaired', usage };
+  }
+
+  console.error(`[CONTRACT] ${request.task}: ani opravená odpověď není platná:`, repaired.errors.slice(0, 5));
+  return { value: fallback(first.text, repaired.errors), parseStatus: 'fallback', errors: repaired.errors, usage };
+}
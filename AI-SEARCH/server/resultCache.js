@@ -0,0 +1,96 @@
+/**
+ * Cache of extraction results
+ * Same query over the same document with the same model and prompts gives the stored answer
+ * instead of a new (paid) model call. Key parts:
+ *   source hash   - SHA-256 of the text the client shows (spans refer to it, invalidation goes by it)
+ *   input hash    - SHA-256 of the normalized text the model reads
+ *   query         - lowercase, single spaces
+ *   scope         - provider/model and prompt version, a new model or prompt never reuses old answers
+ *
+ * Configuration (env):
+ *   RESULT_CACHE_TTL_MS       lifetime of an entry, default 24 h, 0 turns the cache off
+ *   RESULT_CACHE_MAX_ENTRIES  size limit, the oldest entries go first, default 2000
+ * In-memory per process - a restart (or a new Vercel instance) starts empty.
+ */
+
+import { createHash } from 'crypto';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 2000;
+
+const entries = new Map(); // key -> { value, sourceHash, storedAt, expiresAt } (Map keeps insertion order)
+let hits = 0;
+let misses = 0;
+
+const numberFromEnv = (name, fallback) => {
+  const value = process.env[name];
+  const number = Number(value);
+  return value === undefined || value === '' || !Number.isFinite(number) ? fallback : number;
+};
+
+export const getCacheOptions = () => ({
+  ttl: Math.max(0, numberFromEnv('RESULT_CACHE_TTL_MS', DEFAULT_TTL_MS)),
+  maxEntries: Math.max(1, numberFromEnv('RESULT_CACHE_MAX_ENTRIES', DEFAULT_MAX_ENTRIES))
+});
+
+export const hashText = (text) => createHash('sha256').update(text || '').digest('hex');
+
+export const normalizeQuery = (query) => String(query).toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Cache key of one answer
+ * @param {Object} parts - { task, sourceHash, inputHash, query, scope }
+ */
+export const cacheKey = ({ task, sourceHash, inputHash, query, scope }) =>
+  [task, sourceHash, inputHash, normalizeQuery(query), scope].join('|');
+
+/**
+ * Stored value, undefined when missing or expired
+ * @returns {{ value, storedAt }|undefined}
+ */
+export function getCached(key) {
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    hits++;
+    return { value: entry.value, storedAt: entry.storedAt };
+  }
+  if (entry) entries.delete(key);
+  misses++;
+  return undefined;
+}
+
+export function setCached(key, value, sourceHash) {
+  const { ttl, maxEntries } = getCacheOptions();
+  if (ttl === 0) return;
+
+  entries.delete(key);
+  const now = Date.now();
+  entries.set(key, { value, sourceHash, storedAt: new Date(now).toISOString(), expiresAt: now + ttl });
+
+  while (entries.size > maxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Drop cached answers - of one document (sourceHash) or all of them
+ * @returns {number} - Number of removed entries
+ */
+export function invalidateCache({ sourceHash } = {}) {
+  if (!sourceHash) {
+    const removed = entries.size;
+    entries.clear();
+    return removed;
+  }
+
+  let removed = 0;
+  entries.forEach((entry, key) => {
+    if (entry.sourceHash === sourceHash) {
+      entries.delete(key);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+export const cacheStats = () => ({ entries: entries.size, hits, misses, ...getCacheOptions() });
@@ -0,0 +1,515 @@
+/**
+ * API routes - one implementation of the request/response contract
+ * Mounted by the Express server (server.js) and by the Vercel functions (api/*.js),
+ * so dev behaves exactly like production. Handlers only use req.method, req.body, req.query, req.headers,
+ * res.status().json(), res.setHeader(), res.write(), res.end() and res.on('close'), which both provide.
+ * Model calls are booked to the client's session - X-Session-Id header (see usage.js) - and to the user.
+ * Every route except the /api/auth ones needs a login (see auth.js), req.user is the session;
+ * the permission of a route (routes list) decides which roles may call it.
+ */
+
+import { llmConfigError } from './llm/index.js';
+import {
+  searchDocument,
+  batchSearchDocument,
+  batchSearchGroups,
+  getBatchGroupSize,
+  categorizeQueries,
+  classifyContract,
+  cacheScope
+} from './extraction.js';
+import { recognizePage } from './ocr.js';
+import { worstParseStatus } from './responseContract.js';
+import { cacheStats, invalidateCache, hashText } from './resultCache.js';
+import { createUsageMeter, summarizeUsage } from './usage.js';
+import { requireAuth, hasPermission, login, logout, session } from './auth.js';
+import { listTemplates, getTemplate, createTemplate, updateTemplate, deleteTemplate } from './templateLibrary.js';
+
+// Response fields of a single search besides the answer (yes/no context, its span, parse status, cache hit)
+const SEARCH_FIELDS = ['fullContext', 'start', 'end', 'grounded', 'chunk', 'parseStatus', 'cached'];
+
+const SSE_HEARTBEAT_MS = 15000;
+
+// Upstream status (429, 529, 504, ...) when the error carries one
+const errorStatus = (error) => (error.status >= 400 && error.status < 600 ? error.status : 500);
+
+/**
+ * Signal aborted when the client goes away before the response is finished
+ * (cancel button, closed tab) - the running model call is cancelled with it
+ */
+function clientSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Usage meter of the request - tokens of its model calls, booked to session, document and batch
+ * @param {Object} tags - { document?, batchId? } - document is the text the client shows
+ */
+function requestMeter(req, endpoint, { document, batchId } = {}) {
+  return createUsageMeter({
+    endpoint,
+    user: req.user?.username,
+    sessionId: req.headers?.['x-session-id'],
+    documentHash: document ? hashText(document) : undefined,
+    batchId
+  });
+}
+
+/**
+ * Audit line of a document the client pseudonymized - token counts per category ({ RC: 2, JMENO: 3 }),
+ * the values and their mapping never leave the browser
+ */
+function logPseudonymized(req) {
+  const counts = req.body?.pseudonymized;
+  if (!counts || typeof counts !== 'object') return;
+  const summary = Object.entries(counts).map(([prefix, count]) => `${prefix}×${Number(count) || 0}`).join(', ');
+  console.log(`[AUDIT] Pseudonymizovaný dokument (${req.user?.username}): ${summary || 'bez osobních údajů'}`);
+}
+
+/**
+ * Reject the request when the LLM provider cannot be used (missing API key)
+ */
+function ensureLLMConfigured(res) {
+  const configError = llmConfigError();
+  if (!configError) return true;
+  console.error(`[API] ${configError}`);
+  res.status(500).json({ error: 'API key not configured' });
+  return false;
+}
+
+/**
+ * POST /api/search
+ * Request: { query, document, originalDocument?, cache?, pseudonymized? } - document is what the model reads,
+ *   originalDocument the text the client shows (spans refer to it); cache: false asks the model
+ *   even when the answer is cached; pseudonymized as in /api/batch-search
+ * Response: { answer, confidence, parseStatus, usage, fullContext?, start?, end?, grounded?, chunk?, cached? }
+ *   usage is { requests, inputTokens, outputTokens, cost } of this request (cost in USD, estimate)
+ *   answer is { type: 'single'|'multiple', ... } or 'Ano'/'Ne' for yes/no questions
+ *   parseStatus is 'parsed' | 'repaired' | 'fallback' (model broke the format, see responseContract.js)
+ */
+export async function search(req, res) {
+  const { query, document, originalDocument, cache } = req.body || {};
+
+  if (!query || !document) {
+    return res.status(400).json({ error: 'Query a document jsou povinné' });
+  }
+  if (!ensureLLMConfigured(res)) return;
+
+  console.log(`[API] Vyhledávání: "${query.substring(0, 50)}..."`);
+  logPseudonymized(req);
+  const signal = clientSignal(res);
+  const meter = requestMeter(req, 'search', { document: originalDocument || document });
+
+  try {
+    const result = await searchDocument(query, document, originalDocument || document, { signal, cache, meter });
+    console.log(`[API] Odpověď: "${JSON.stringify(result.answer).substring(0, 100)}..."`);
+
+    const response = { answer: result.answer, confidence: 0.95, usage: meter.totals() };
+    SEARCH_FIELDS.forEach(key => {
+      if (result[key] !== undefined) response[key] = result[key];
+    });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    if (error.type === 'aborted') {
+      console.log('[API] Vyhledávání zrušeno klientem');
+      return res.status(499).end();
+    }
+    console.error('[API] Chyba:', error);
+    return res.status(errorStatus(error)).json({
+      error: error.message || 'Chyba při vyhledávání',
+      answer: null
+    });
+  }
+}
+
+/**
+ * POST /api/batch-search
+ * Request: { queries, document, originalDocument?, cache?, batchId?, pseudonymized? } - batchId groups the usage of one run;
+ *   pseudonymized ({ RC: 2, ... }) marks a document the client tokenized, only for the audit log
+ * Response: { results: [{ query, type: 'single'|'multiple', label?, value, start?, end?, grounded?, parseStatus, cached? }], parseStatus, usage }
+ *   more values for one query come as separate 'multiple' entries with a label
+ */
+export async function batchSearch(req, res) {
+  const { queries, document, originalDocument, cache, batchId } = req.body || {};
+
+  if (!queries || !Array.isArray(queries) || queries.length === 0) {
+    return res.status(400).json({ error: 'Queries must be a non-empty array' });
+  }
+  if (!document) {
+    return res.status(400).json({ error: 'Document is required' });
+  }
+  if (!ensureLLMConfigured(res)) return;
+
+  console.log(`[API] Batch search: ${queries.length} položek`);
+  logPseudonymized(req);
+  const signal = clientSignal(res);
+  const meter = requestMeter(req, 'batch-search', { document: originalDocument || document, batchId });
+
+  try {
+    const results = await batchSearchDocument(queries, document, originalDocument || document, { signal, cache, meter });
+    console.log(`[API] Batch results: ${results.length} položek`);
+    return res.status(200).json({
+      results,
+      parseStatus: worstParseStatus(results.map(result => result.parseStatus)),
+      usage: meter.totals()
+    });
+  } catch (error) {
+    if (error.type === 'aborted') {
+      console.log('[API] Batch search zrušen klientem');
+      return res.status(499).end();
+    }
+    console.error('Batch search error:', error);
+    return res.status(errorStatus(error)).json({ error: 'Chyba při vyhledávání', details: error.details || error.message });
+  }
+}
+
+/**
+ * POST /api/batch-stream - batch search as Server-Sent Events
+ * Request: same as /api/batch-search
+ * Events:
+ *   progress - { completed, total, queries, usage } at the start and after every group (queries = not answered
+ *              yet, searched in this order, several groups at once - see LLM_CONCURRENCY; usage so far)
+ *   result   - { query, results: [...] } per query, entries as in /api/batch-search (cached queries come first)
+ *   error    - { queries, error, type } for a group that failed (the run continues)
+ *   done     - { completed, total, parseStatus, usage }
+ * Closing the connection cancels the run - model calls in flight are aborted, queued ones never start
+ */
+export async function batchSearchStream(req, res) {
+  const { queries, document, originalDocument, cache, batchId } = req.body || {};
+
+  if (!queries || !Array.isArray(queries) || queries.length === 0) {
+    return res.status(400).json({ error: 'Queries must be a non-empty array' });
+  }
+  if (!document) {
+    return res.status(400).json({ error: 'Document is required' });
+  }
+  if (!ensureLLMConfigured(res)) return;
+
+  console.log(`[API] Batch stream: ${queries.length} položek`);
+  logPseudonymized(req);
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // nginx/proxies must not buffer the stream
+  res.flushHeaders?.();
+
+  const signal = clientSignal(res);
+  const meter = requestMeter(req, 'batch-stream', { document: originalDocument || document, batchId });
+  const send = (event, data) => {
+    if (!signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // Comment line keeps proxies from closing an idle connection during long model calls
+  const heartbeat = setInterval(() => {
+    if (!signal.aborted) res.write(': keep-alive\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  const total = queries.length;
+  const groupSize = getBatchGroupSize();
+  const statuses = [];
+  const finished = new Set();
+  let completed = 0;
+  const remaining = () => queries.filter(query => !finished.has(query));
+
+  try {
+    send('progress', { completed, total, queries, usage: meter.totals() });
+
+    for await (const group of batchSearchGroups(queries, document, originalDocument || document, groupSize, { signal, cache, meter })) {
+      if (group.error?.type === 'aborted') {
+        console.log(`[API] Batch stream zrušen klientem po ${completed}/${total} položkách`);
+        return;
+      }
+      if (group.error) {
+        console.error('Batch stream error:', group.error);
+        send('error', { queries: group.queries, error: group.error.message || 'Chyba při vyhledávání', type: group.error.type });
+      } else {
+        group.queries.forEach(query => {
+          send('result', { query, results: group.results.filter(result => result.query === query) });
+        });
+        statuses.push(...group.results.map(result => result.parseStatus));
+      }
+
+      completed += group.queries.length;
+      group.queries.forEach(query => finished.add(query));
+      if (completed < total) {
+        send('progress', { completed, total, queries: remaining(), usage: meter.totals() });
+      }
+    }
+
+    const usage = meter.totals();
+    console.log(`[API] Batch stream hotov: ${completed} položek, ${usage.inputTokens}+${usage.outputTokens} tokenů`);
+    send('done', { completed, total, parseStatus: worstParseStatus(statuses), usage });
+  } catch (error) {
+    console.error('Batch stream error:', error);
+    send('error', { queries: remaining(), error: 'Chyba při vyhledávání', type: error.type });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+/**
+ * POST /api/categorize
+ * Request: { queries }
+ * Response: { categories: [{ category, items }], parseStatus, usage }
+ */
+export async function categorize(req, res) {
+  const { queries } = req.body || {};
+
+  if (!queries || !Array.isArray(queries)) {
+    return res.status(400).json({ error: 'Queries must be an array' });
+  }
+  if (!ensureLLMConfigured(res)) return;
+
+  console.log(`[API] Kategorizace ${queries.length} položek`);
+
+  try {
+    const meter = requestMeter(req, 'categorize');
+    const { categories, parseStatus } = await categorizeQueries(queries, { signal: clientSignal(res), meter });
+    console.log(`[API] Kategorizováno do ${categories.length} kategorií (${parseStatus})`);
+    return res.status(200).json({ categories, parseStatus, usage: meter.totals() });
+  } catch (error) {
+    console.error('Categorization error:', error);
+    return res.status(errorStatus(error)).json({ error: 'Chyba při kategorizaci', details: error.details || error.message });
+  }
+}
+
+/**
+ * POST /api/classify
+ * Request: { document, pseudonymized? } - the beginning of the document decides; pseudonymized as in /api/batch-search
+ * Response: { contractType, label, confidence, reason, source: 'rules'|'model', parseStatus, template, usage }
+ *   template is { id, name, contractType, fields: [{ name, category, type, validators, multiple, help }] } (contractTemplates.js)
+ */
+export async function classify(req, res) {
+  const { document } = req.body || {};
+
+  if (!document || typeof document !== 'string') {
+    return res.status(400).json({ error: 'Document je povinný' });
+  }
+  if (!ensureLLMConfigured(res)) return;
+
+  logPseudonymized(req);
+  try {
+    const meter = requestMeter(req, 'classify', { document });
+    const result = await classifyContract(document, { signal: clientSignal(res), meter });
+    console.log(`[API] Typ smlouvy: ${result.contractType} (${result.source}, ${Math.round(result.confidence * 100)} %)`);
+    return res.status(200).json({ ...result, usage: meter.totals() });
+  } catch (error) {
+    if (error.type === 'aborted') return res.status(499).end();
+    console.error('Classification error:', error);
+    return res.status(errorStatus(error)).json({ error: 'Chyba při určení typu smlouvy', details: error.details || error.message });
+  }
+}
+
+/**
+ * POST /api/debug-search - same search, returns the whole internal result (always asks the model)
+ */
+export async function debugSearch(req, res) {
+  const { query, document, originalDocument } = req.body || {};
+
+  if (!query || !document) {
+    return res.status(400).json({ error: 'Query a document jsou povinné' });
+  }
+
+  console.log(`[DEBUG] Testing query: "${query}"`);
+
+  let result;
+  try {
+    const meter = requestMeter(req, 'debug-search', { document: originalDocument || document });
+    result = { success: true, ...await searchDocument(query, document, originalDocument || document, { cache: false, meter }) };
+  } catch (error) {
+    result = { success: false, error: { type: error.type, message: error.message }, status: error.status };
+  }
+
+  return res.status(200).json({
+    query,
+    result,
+    instructions: 'Check result.answer and result.fullContext'
+  });
+}
+
+/**
+ * GET /api/cache - state of the result cache
+ * Response: { entries, hits, misses, ttl, maxEntries, scope } - scope is provider/model/prompt version
+ * DELETE /api/cache - drop cached answers
+ * Request: { documentHash? } - SHA-256 (hex) of the document text the client shows; all answers without it
+ * Response: { removed }
+ * The cache is shared by all users, so both need cache:manage
+ */
+export async function cache(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({ ...cacheStats(), scope: cacheScope() });
+  }
+
+  const { documentHash } = req.body || {};
+  const removed = invalidateCache({ sourceHash: documentHash });
+  console.log(`[API] Cache: odstraněno ${removed} odpovědí${documentHash ? ' dokumentu' : ''}`);
+  return res.status(200).json({ removed });
+}
+
+/**
+ * GET /api/cache/scope - what the client's cache mirror needs to key and expire its entries
+ * Response: { scope, ttl }
+ */
+export async function cacheInfo(req, res) {
+  return res.status(200).json({ scope: cacheScope(), ttl: cacheStats().ttl });
+}
+
+/**
+ * GET /api/usage - tokens and estimated cost of the model calls
+ * Query: sessionId?, batchId?, documentHash?, month? ('YYYY-MM'), user? - filters, all of them combined
+ *   (without the usage:all permission only the caller's own usage)
+ * Response: { currency, total, byDocument, byBatch, bySession, byMonth, byModel, byUser }
+ *   every group is { requests, inputTokens, outputTokens, cost }
+ */
+export async function usage(req, res) {
+  const { sessionId, batchId, documentHash, month } = req.query || {};
+  const user = hasPermission(req.user, 'usage:all') ? req.query?.user : req.user?.username;
+  return res.status(200).json(summarizeUsage({ sessionId, batchId, documentHash, month, user }));
+}
+
+/**
+ * Template library - named query checklists (see templateLibrary.js)
+ * GET /api/templates - { templates } built-ins and the templates the caller may use
+ * GET /api/templates?id=...&version=... - { template }, an older version with version
+ * POST /api/templates - { name, description?, contractType?, fields } or an exported file { format, template }
+ *   → { template } owned by the caller, private until shared
+ * PUT /api/templates - { id, baseVersion?, name?, description?, contractType?, fields?, restoreVersion?, shared? }
+ *   → { template } - new content or a restore is a new version; 409 when baseVersion is not the latest one
+ * DELETE /api/templates - { id } → { id }
+ * Templates of other users need the templates:manage permission to be changed; without TEMPLATES_FILE
+ * the library only has the built-ins and changes answer 503.
+ */
+export async function templates(req, res) {
+  let result;
+  if (req.method === 'GET') {
+    const { id, version } = req.query || {};
+    if (!id) return res.status(200).json({ templates: listTemplates(req.user) });
+    result = getTemplate(req.user, id, version);
+  } else if (req.method === 'POST') {
+    result = await createTemplate(req.user, req.body);
+  } else {
+    const { id, ...changes } = req.body || {};
+    if (!id) return res.status(400).json({ error: 'Id šablony je povinné' });
+    result = await (req.method === 'PUT' ? updateTemplate(req.user, id, changes) : deleteTemplate(req.user, id));
+  }
+
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, ...(result.details ? { details: result.details } : {}) });
+  }
+  return res.status(200).json(result);
+}
+
+/**
+ * POST /api/validation - a reviewer's verdict on an extracted value (✓/✗)
+ * Request: { id, verdict: 'correct'|'incorrect', query?, value?, documentHash? }
+ * Response: { id, status, validatedBy, validatedAt }
+ * Only reviewers get here (permission validate); the verdict goes to the audit log.
+ */
+export async function validate(req, res) {
+  const { id, verdict, query, value, documentHash } = req.body || {};
+
+  if (!id || !['correct', 'incorrect'].includes(verdict)) {
+    return res.status(400).json({ error: 'Id výsledku a verdikt (correct/incorrect) jsou povinné' });
+  }
+
+  const validatedAt = new Date().toISOString();
+  console.log(`[AUDIT] Validace ${verdict}: "${query || id}" = "${String(value ?? '').substring(0, 80)}" (${req.user.username}${documentHash ? `, dokument ${documentHash.substring(0, 12)}` : ''})`);
+  return res.status(200).json({ id, status: verdict, validatedBy: req.user.username, validatedAt });
+}
+
+/**
+ * POST /api/ocr - body is the raw page image
+ * Response: { text, confidence, lines } (see ocr.js)
+ */
+export async function ocr(req, res) {
+  const image = Buffer.isBuffer(req.body) ? req.body : null;
+
+  if (!image || image.length === 0) {
+    return res.status(400).json({ error: 'Obrázek stránky je povinný' });
+  }
+
+  console.log(`[API] OCR stránky: ${Math.round(image.length / 1024)} kB`);
+
+  try {
+    return res.status(200).json(await recognizePage(image));
+  } catch (error) {
+    console.error('OCR error:', error);
+    return res.status(500).json({ error: 'Chyba při rozpoznávání textu (OCR)', details: error.message });
+  }
+}
+
+// Every endpoint of the API - the Express server mounts this list and the Vercel functions look their
+// handler up in it. public: reachable without a login; permission: required permission (auth.js),
+// any logged-in user without it
+export const routes = [
+  { method: 'POST', path: '/api/auth/login', handler: login, public: true },
+  { method: 'POST', path: '/api/auth/logout', handler: logout, public: true },
+  { method: 'GET', path: '/api/auth/session', handler: session, public: true },
+  { method: 'POST', path: '/api/search', handler: search, permission: 'search' },
+  { method: 'POST', path: '/api/batch-search', handler: batchSearch, permission: 'search' },
+  { method: 'POST', path: '/api/batch-stream', handler: batchSearchStream, permission: 'search' },
+  { method: 'POST', path: '/api/categorize', handler: categorize, permission: 'search' },
+  { method: 'POST', path: '/api/classify', handler: classify, permission: 'search' },
+  { method: 'POST', path: '/api/debug-search', handler: debugSearch, permission: 'debug' },
+  { method: 'POST', path: '/api/ocr', handler: ocr, rawBody: true, permission: 'search' },
+  { method: 'POST', path: '/api/validation', handler: validate, permission: 'validate' },
+  { method: 'GET', path: '/api/cache', handler: cache, permission: 'cache:manage' },
+  { method: 'GET', path: '/api/cache/scope', handler: cacheInfo, permission: 'search' },
+  { method: 'GET', path: '/api/usage', handler: usage },
+  { method: 'GET', path: '/api/templates', handler: templates },
+  { method: 'POST', path: '/api/templates', handler: templates },
+  { method: 'PUT', path: '/api/templates', handler: templates },
+  { method: 'DELETE', path: '/api/templates', handler: templates },
+  { method: 'DELETE', path: '/api/cache', handler: cache, permission: 'cache:manage' }
+];
+
+/**
+ * Login and permission check of a route entry
+ */
+export const guardRoute = ({ handler, public: isPublic, permission }) =>
+  (isPublic ? handler : requireAuth(handler, permission));
+
+/**
+ * Origins allowed to call the API from another site - CORS_ORIGIN, comma separated.
+ * Empty by default: the app calls its own origin and the session cookie never goes cross-site.
+ */
+export const allowedOrigins = () =>
+  (process.env.CORS_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+/**
+ * Vercel function for a route - CORS preflight, method check and login/permission check around the shared handler
+ * @param {string|string[]} method - Allowed method(s)
+ */
+export const vercelRoute = (handler, method = 'POST') => {
+  const entry = routes.find(route => route.handler === handler);
+  if (!entry) throw new Error(`Handler ${handler.name} is not in the routes list`);
+  const guarded = guardRoute(entry);
+
+  return async (req, res) => {
+    const methods = [].concat(method);
+    const origin = req.headers?.origin;
+    if (origin && allowedOrigins().includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+      res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', `${methods.join(', ')}, OPTIONS`);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Session-Id');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+    if (!methods.includes(req.method)) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    return guarded(req, res);
+  };
+};
@@ -0,0 +1,330 @@
+/**
+ * Template library - named query checklists (extraction templates) stored on the server
+ * A template is a list of fields (see contractTemplates.js): the query, its category, the expected type
+ * of the value, validators and a help text. Picking one fills the batch modal as it is - the categories
+ * come from the template, no /api/categorize call.
+ *
+ * Built-in templates (one per contract type) are read-only and everybody sees them. A user's template
+ * is private until its owner shares it; shared templates are read-only for the others.
+ * The templates:manage permission edits, shares and deletes any template.
+ * Every change of the content is a new version - the old ones stay readable and can be restored.
+ *
+ * Configuration (env):
+ *   TEMPLATES_FILE  JSON file the library lives in - read on start, rewritten after every change.
+ *                   Without it the built-ins are all there is: creating, editing and deleting answer 503,
+ *                   a template kept only in memory would be gone with the next restart.
+ *                   One server process per file (on Vercel the file system does not persist - run the
+ *                   Express server with a persistent volume for the library).
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { writeFile, rename } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { CONTRACT_TYPES, FIELD_TYPES, FIELD_VALIDATORS, VALIDATOR_TYPES, templateFor } from './contractTemplates.js';
+import { hasPermission } from './auth.js';
+
+// Envelope of an exported template file - imports take it or a bare template
+export const TEMPLATE_FORMAT = 'ai-search-template';
+
+const MAX_FIELDS = 200;
+const MAX_VERSIONS = 50;
+const MAX_NAME_LENGTH = 120;
+const MAX_QUERY_LENGTH = 300;
+const MAX_HELP_LENGTH = 500;
+const DEFAULT_CATEGORY = 'Ostatní';
+
+let templates = null; // id -> { id, owner, shared, createdAt, versions: [{ version, name, description, contractType, fields, updatedAt, updatedBy }] }
+let writes = Promise.resolve(); // changes of the library, one after another
+
+/**
+ * Stored templates (loaded from TEMPLATES_FILE on first use)
+ */
+function getTemplates() {
+  if (templates) return templates;
+  templates = new Map();
+
+  const file = process.env.TEMPLATES_FILE;
+  if (file && existsSync(file)) {
+    try {
+      JSON.parse(readFileSync(file, 'utf8')).forEach(template => templates.set(template.id, template));
+      console.log(`[TEMPLATES] Načteno ${templates.size} šablon z ${file}`);
+    } catch (error) {
+      console.error(`[TEMPLATES] Nelze načíst ${file}:`, error.message);
+    }
+  }
+  return templates;
+}
+
+/**
+ * One change of the library - runs after the previous change is written, so it sees the saved state
+ * (the version check cannot race) and the file never ends up with an older snapshot.
+ * The new snapshot goes to a temporary file renamed over TEMPLATES_FILE; memory changes only when that worked.
+ * @param {Function} apply - (library) => { id, stored, audit, response } - stored null deletes,
+ *   without id nothing is written; { status, error, details? } changes nothing
+ * @returns {Promise<Object>} - response or the error
+ */
+function mutate(apply) {
+  const file = process.env.TEMPLATES_FILE;
+  if (!file) {
+    return Promise.resolve({
+      status: 503,
+      error: 'Knihovna šablon nemá úložiště',
+      details: 'nastavte TEMPLATES_FILE - bez něj by šablony zmizely s restartem serveru'
+    });
+  }
+
+  const change = writes.then(async () => {
+    const outcome = apply(getTemplates());
+    if (outcome.error || !outcome.id) return outcome.error ? outcome : outcome.response;
+
+    const next = new Map(getTemplates());
+    if (outcome.stored) next.set(outcome.id, outcome.stored);
+    else next.delete(outcome.id);
+
+    const temporary = `${file}.${process.pid}.tmp`;
+    try {
+      await writeFile(temporary, JSON.stringify([...next.values()], null, 2));
+      await rename(temporary, file);
+    } catch (error) {
+      console.error(`[TEMPLATES] Zápis do ${file} selhal:`, error.message);
+      return { status: 500, error: 'Šablonu se nepodařilo uložit', details: error.message };
+    }
+
+    templates = next;
+    console.log(`[AUDIT] ${outcome.audit}`);
+    return outcome.response;
+  });
+  writes = change.catch(() => {});
+  return change;
+}
+
+const builtins = () => Object.keys(CONTRACT_TYPES).map(contractType => ({
+  ...templateFor(contractType),
+  description: `Výchozí šablona - ${CONTRACT_TYPES[contractType].label.toLowerCase()}`,
+  owner: null,
+  shared: true,
+  builtin: true,
+  version: 1,
+  versions: []
+}));
+
+const latest = (stored) => stored.versions[stored.versions.length - 1];
+
+// Template as the client gets it - the current content plus the list of versions (without their fields)
+const present = (stored) => {
+  const current = latest(stored);
+  return {
+    id: stored.id,
+    name: current.name,
+    description: current.description,
+    contractType: current.contractType,
+    fields: current.fields,
+    owner: stored.owner,
+    shared: stored.shared,
+    builtin: false,
+    version: current.version,
+    createdAt: stored.createdAt,
+    updatedAt: current.updatedAt,
+    updatedBy: current.updatedBy,
+    versions: stored.versions.map(({ version, name, updatedAt, updatedBy }) => ({ version, name, updatedAt, updatedBy }))
+  };
+};
+
+const canSee = (user, stored) =>
+  stored.shared || stored.owner === user?.username || hasPermission(user, 'templates:manage');
+
+const canEdit = (user, stored) =>
+  stored.owner === user?.username || hasPermission(user, 'templates:manage');
+
+const text = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+/**
+ * Validate and clean up the content of a template (create, update, import)
+ * @param {Object} input - { name, description?, contractType?, fields } or the export envelope { format, template }
+ * @returns {Object} - { content: { name, description, contractType, fields }, errors: string[] }
+ */
+export function parseTemplate(input) {
+  const errors = [];
+  if (input?.format !== undefined && input.format !== TEMPLATE_FORMAT) {
+    return { content: null, errors: [`Neznámý formát souboru "${input.format}"`] };
+  }
+  const source = input?.format ? input.template : input;
+  if (!source || typeof source !== 'object') return { content: null, errors: ['Šablona chybí'] };
+
+  const name = text(source.name, MAX_NAME_LENGTH);
+  if (!name) errors.push('Název je povinný');
+
+  const contractType = CONTRACT_TYPES[source.contractType] ? source.contractType : null;
+  if (source.contractType && !contractType) errors.push(`Neznámý typ smlouvy "${source.contractType}"`);
+
+  const rawFields = Array.isArray(source.fields) ? source.fields : [];
+  if (rawFields.length === 0) errors.push('Šablona musí mít aspoň jednu položku');
+  if (rawFields.length > MAX_FIELDS) errors.push(`Šablona může mít nejvýš ${MAX_FIELDS} položek`);
+
+  const seen = new Set();
+  const fields = rawFields.slice(0, MAX_FIELDS).map((raw, index) => {
+    // A plain string is a query without anything else (lists pasted from notes)
+    const field = typeof raw === 'string' ? { name: raw } : (raw || {});
+    const position = `Položka ${index + 1}`;
+
+    const query = text(field.name, MAX_QUERY_LENGTH);
+    if (!query) errors.push(`${position}: dotaz je povinný`);
+    else if (seen.has(query.toLowerCase())) errors.push(`${position}: dotaz "${query}" je v šabloně dvakrát`);
+    seen.add(query.toLowerCase());
+
+    const type = field.type || 'text';
+    if (!FIELD_TYPES.includes(type)) errors.push(`${position}: neznámý typ hodnoty "${type}"`);
+
+    const validators = Array.isArray(field.validators) ? [...new Set(field.validators)] : [];
+    validators.forEach(validator => {
+      if (!FIELD_VALIDATORS.includes(validator)) errors.push(`${position}: neznámá kontrola "${validator}"`);
+      else if (!VALIDATOR_TYPES[validator].includes(type)) errors.push(`${position}: kontrola "${validator}" nejde použít na typ "${type}"`);
+    });
+
+    return {
+      name: query,
+      category: text(field.category, MAX_NAME_LENGTH) || DEFAULT_CATEGORY,
+      type,
+      validators,
+      multiple: field.multiple === true,
+      help: text(field.help, MAX_HELP_LENGTH)
+    };
+  });
+
+  const content = { name, description: text(source.description, MAX_HELP_LENGTH), contractType, fields };
+  return { content: errors.length === 0 ? content : null, errors };
+}
+
+/**
+ * Templates the user may use - built-ins first, then the library by name
+ * @returns {Array} - templates with their fields and versions (see present)
+ */
+export function listTemplates(user) {
+  const stored = [...getTemplates().values()]
+    .filter(template => canSee(user, template))
+    .map(present)
+    .sort((a, b) => a.name.localeCompare(b.name, 'cs'));
+  return [...builtins(), ...stored];
+}
+
+/**
+ * One template, optionally in an older version
+ * @returns {Object} - { template } or { status, error } (404 unknown/invisible, 404 unknown version)
+ */
+export function getTemplate(user, id, version) {
+  const builtin = builtins().find(template => template.id === id);
+  if (builtin) return { template: builtin };
+
+  const stored = getTemplates().get(id);
+  if (!stored || !canSee(user, stored)) return { status: 404, error: 'Šablona neexistuje' };
+  if (version === undefined) return { template: present(stored) };
+
+  const snapshot = stored.versions.find(item => item.version === Number(version));
+  if (!snapshot) return { status: 404, error: `Šablona nemá verzi ${version}` };
+  return { template: { ...present(stored), ...snapshot } };
+}
+
+const contentOf = ({ name, description, contractType, fields }) => ({ name, description, contractType, fields });
+
+// Content keys of a PUT - any of them starts a new version (when it changes something)
+const CONTENT_KEYS = ['name', 'description', 'contractType', 'fields'];
+
+/**
+ * New template owned by the user (also an import)
+ * @returns {Promise<Object>} - { template } or { status, error, details? }
+ */
+export function createTemplate(user, input) {
+  const { content, errors } = parseTemplate(input);
+  if (!content) return Promise.resolve({ status: 400, error: 'Neplatná šablona', details: errors.join('; ') });
+
+  return mutate(() => {
+    const now = new Date().toISOString();
+    const stored = {
+      id: randomUUID(),
+      owner: user.username,
+      shared: false,
+      createdAt: now,
+      versions: [{ version: 1, ...content, updatedAt: now, updatedBy: user.username }]
+    };
+    return {
+      id: stored.id,
+      stored,
+      audit: `Šablona vytvořena: "${content.name}" (položky: ${content.fields.length}, ${user.username})`,
+      response: { template: present(stored) }
+    };
+  });
+}
+
+/**
+ * Change a template - new content (a new version), restore of an older version, or sharing
+ * @param {Object} changes - { baseVersion?, name?, description?, contractType?, fields?, restoreVersion?, shared? }
+ *   baseVersion is the version the edit started from - 409 when somebody saved a newer one meanwhile
+ * @returns {Promise<Object>} - { template } or { status, error, details? }
+ */
+export function updateTemplate(user, id, changes = {}) {
+  if (builtins().some(template => template.id === id)) {
+    return Promise.resolve({ status: 403, error: 'Výchozí šablonu nelze měnit - uložte si její kopii' });
+  }
+
+  return mutate(library => {
+    const stored = library.get(id);
+    if (!stored || !canSee(user, stored)) return { status: 404, error: 'Šablona neexistuje' };
+    if (!canEdit(user, stored)) return { status: 403, error: 'Šablonu může měnit jen její autor' };
+
+    const current = latest(stored);
+    if (changes.baseVersion !== undefined && Number(changes.baseVersion) !== current.version) {
+      return {
+        status: 409,
+        error: 'Šablonu mezitím změnil někdo jiný',
+        details: `verze ${current.version} (${current.updatedBy}, ${current.updatedAt})`
+      };
+    }
+
+    let content = null;
+    if (changes.restoreVersion !== undefined) {
+      const snapshot = stored.versions.find(item => item.version === Number(changes.restoreVersion));
+      if (!snapshot) return { status: 404, error: `Šablona nemá verzi ${changes.restoreVersion}` };
+      content = contentOf(snapshot);
+    } else if (CONTENT_KEYS.some(key => changes[key] !== undefined)) {
+      const edited = Object.fromEntries(CONTENT_KEYS.filter(key => changes[key] !== undefined).map(key => [key, changes[key]]));
+      const parsed = parseTemplate({ ...contentOf(current), ...edited });
+      if (!parsed.content) return { status: 400, error: 'Neplatná šablona', details: parsed.errors.join('; ') };
+      content = parsed.content;
+    }
+    // Saving the same content again is no new version
+    if (content && JSON.stringify(content) === JSON.stringify(contentOf(current))) content = null;
+
+    const now = new Date().toISOString();
+    const audit = [];
+    let versions = stored.versions;
+    if (content) {
+      versions = [...versions, { version: current.version + 1, ...content, updatedAt: now, updatedBy: user.username }].slice(-MAX_VERSIONS);
+      audit.push(`Šablona upravena: "${content.name}" verze ${current.version + 1}${changes.restoreVersion !== undefined ? ` (obnovena verze ${changes.restoreVersion})` : ''} (${user.username})`);
+    }
+    const shared = typeof changes.shared === 'boolean' ? changes.shared : stored.shared;
+    if (shared !== stored.shared) {
+      audit.push(`Šablona "${(content || current).name}" ${shared ? 'sdílena' : 'už není sdílená'} (${user.username})`);
+    }
+    if (audit.length === 0) return { response: { template: present(stored) } };
+
+    const updated = { ...stored, shared, versions };
+    return { id, stored: updated, audit: audit.join('; '), response: { template: present(updated) } };
+  });
+}
+
+/**
+ * Delete a template with all its versions
+ * @returns {Promise<Object>} - { id } or { status, error }
+ */
+export function deleteTemplate(user, id) {
+  if (builtins().some(template => template.id === id)) {
+    return Promise.resolve({ status: 403, error: 'Výchozí šablonu nelze smazat' });
+  }
+
+  return mutate(library => {
+    const stored = library.get(id);
+    if (!stored || !canSee(user, stored)) return { status: 404, error: 'Šablona neexistuje' };
+    if (!canEdit(user, stored)) return { status: 403, error: 'Šablonu může smazat jen její autor' };
+    return { id, stored: null, audit: `Šablona smazána: "${latest(stored).name}" (${user.username})`, response: { id } };
+  });
+}
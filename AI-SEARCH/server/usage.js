@@ -0,0 +1,170 @@
+/**
+ * Token usage and cost accounting
+ * Every model call is recorded with its tokens and estimated cost, tagged with the endpoint,
+ * user, session, document (hash of the text the client shows) and batch run it belongs to.
+ * /api/usage aggregates the records per document, batch, session, user and month.
+ *
+ * Configuration (env):
+ *   LLM_PRICE_INPUT_PER_MTOK, LLM_PRICE_OUTPUT_PER_MTOK  USD per million tokens, override the price list
+ *   USAGE_LOG_FILE     every record is appended as a JSON line and read back on start (monthly reports
+ *                      survive restarts), in-memory only without it
+ *   USAGE_MAX_RECORDS  records kept in memory, default 50000
+ */
+
+import { appendFile, readFileSync, existsSync } from 'fs';
+
+// USD per million tokens [input, output] - first matching model prefix wins
+const PRICE_LIST = [
+  ['claude-opus-4', 15, 75],
+  ['claude-sonnet-4', 3, 15],
+  ['claude-3-7-sonnet', 3, 15],
+  ['claude-3-5-sonnet', 3, 15],
+  ['claude-3-5-haiku', 0.8, 4],
+  ['claude-3-opus', 15, 75],
+  ['claude-3-haiku', 0.25, 1.25],
+  ['mock', 0, 0]
+];
+
+const DEFAULT_MAX_RECORDS = 50000;
+
+let records = null;
+
+const numberFromEnv = (name) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Price of the model in USD per million tokens
+ * @returns {{ input: number, output: number }|null} - null for a model missing in the list
+ */
+export function modelPrice(model = '') {
+  const input = numberFromEnv('LLM_PRICE_INPUT_PER_MTOK');
+  const output = numberFromEnv('LLM_PRICE_OUTPUT_PER_MTOK');
+  if (input !== undefined && output !== undefined) return { input, output };
+
+  const entry = PRICE_LIST.find(([prefix]) => model.startsWith(prefix));
+  return entry ? { input: entry[1], output: entry[2] } : null;
+}
+
+/**
+ * Estimated cost of one call in USD (0 for models without a price)
+ */
+export function estimateCost(model, { inputTokens = 0, outputTokens = 0 } = {}) {
+  const price = modelPrice(model);
+  if (!price) return 0;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+const emptyTotals = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+
+const addToTotals = (totals, record) => {
+  totals.requests += 1;
+  totals.inputTokens += record.inputTokens;
+  totals.outputTokens += record.outputTokens;
+  totals.cost += record.cost;
+  return totals;
+};
+
+// Cost is kept exact while adding up, rounded for the output
+const roundTotals = (totals) => ({ ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 });
+
+/**
+ * Records of this process (loaded from USAGE_LOG_FILE on first use)
+ */
+function getRecords() {
+  if (records) return records;
+  records = [];
+
+  const file = process.env.USAGE_LOG_FILE;
+  if (file && existsSync(file)) {
+    try {
+      readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => records.push(JSON.parse(line)));
+      console.log(`[USAGE] Načteno ${records.length} záznamů z ${file}`);
+    } catch (error) {
+      console.error(`[USAGE] Nelze načíst ${file}:`, error.message);
+    }
+  }
+  return records;
+}
+
+function storeRecord(record) {
+  const list = getRecords();
+  list.push(record);
+  const max = numberFromEnv('USAGE_MAX_RECORDS') ?? DEFAULT_MAX_RECORDS;
+  if (list.length > max) list.splice(0, list.length - max);
+
+  const file = process.env.USAGE_LOG_FILE;
+  if (file) {
+    appendFile(file, `${JSON.stringify(record)}\n`, error => {
+      if (error) console.error(`[USAGE] Zápis do ${file} selhal:`, error.message);
+    });
+  }
+}
+
+/**
+ * Meter of one API request - records every model call of the request
+ * @param {Object} context - { endpoint, user?, sessionId?, documentHash?, batchId? }
+ * @returns {Object} - { record({ task, provider, model, usage }), totals() } - passed to complete() as options.meter
+ */
+export function createUsageMeter(context) {
+  const totals = emptyTotals();
+
+  return {
+    record({ task, provider, model, usage = {} }) {
+      const timestamp = new Date().toISOString();
+      const record = {
+        timestamp,
+        month: timestamp.slice(0, 7),
+        endpoint: context.endpoint,
+        task,
+        provider,
+        model,
+        user: context.user || null,
+        sessionId: context.sessionId || null,
+        documentHash: context.documentHash || null,
+        batchId: context.batchId || null,
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0
+      };
+      record.cost = estimateCost(model, record);
+
+      storeRecord(record);
+      addToTotals(totals, record);
+    },
+
+    totals: () => roundTotals(totals)
+  };
+}
+
+/**
+ * Aggregated usage
+ * @param {Object} filter - { sessionId?, batchId?, documentHash?, month? ('YYYY-MM'), user? }
+ * @returns {Object} - { total, byDocument, byBatch, bySession, byMonth, byModel, byUser } - each group
+ *   { requests, inputTokens, outputTokens, cost }, cost is an estimate in USD
+ */
+export function summarizeUsage(filter = {}) {
+  const keys = ['sessionId', 'batchId', 'documentHash', 'month', 'user'].filter(key => filter[key]);
+  const selected = getRecords().filter(record => keys.every(key => record[key] === filter[key]));
+
+  const total = emptyTotals();
+  const groups = { byDocument: {}, byBatch: {}, bySession: {}, byMonth: {}, byModel: {}, byUser: {} };
+  const groupKeys = { byDocument: 'documentHash', byBatch: 'batchId', bySession: 'sessionId', byMonth: 'month', byModel: 'model', byUser: 'user' };
+
+  selected.forEach(record => {
+    addToTotals(total, record);
+    Object.entries(groupKeys).forEach(([group, key]) => {
+      if (!record[key]) return;
+      groups[group][record[key]] = addToTotals(groups[group][record[key]] || emptyTotals(), record);
+    });
+  });
+
+  const rounded = Object.fromEntries(Object.entries(groups).map(([group, entries]) => [
+    group,
+    Object.fromEntries(Object.entries(entries).map(([key, totals]) => [key, roundTotals(totals)]))
+  ]));
+
+  return { currency: 'USD', total: roundTotals(total), ...rounded };
+}
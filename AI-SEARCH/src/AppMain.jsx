@@ -1,27 +1,67 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo, lazy, Suspense } from 'react'
 import './App.css'
 import TableView from './components/TableView.jsx'
 import HighlightedText from './components/HighlightedText.jsx'
+import EncodingPreview from './components/EncodingPreview.jsx'
+import RedactionDialog from './components/RedactionDialog.jsx'
+import TemplateLibrary from './components/TemplateLibrary.jsx'
+import DocumentTabs from './components/DocumentTabs.jsx'
 import { ExportSystem } from './exportSystem.js'
-import { aiSearch } from './aiSearch.js'
+import { logger } from './logger.js'
+import { checklistFromTemplate, fieldsFromChecklist } from './templateLibrary.js'
+import { redactText, redactionLogCsv, countRedactions } from './redaction.js'
+import { aiSearch, streamBatchSearch, classifyDocument, isAbortError } from './aiSearch.js'
+import { clearResultCache, hashDocument } from './resultCache.js'
+import { sessionHeaders, emptyUsage, addUsage, formatUsage, sessionUsageReport } from './usage.js'
+import { fetchSession, login, logout, can, ROLE_LABELS } from './auth.js'
+import {
+  isPseudonymizationEnabled,
+  setPseudonymizationEnabled,
+  pseudonymizationRequired,
+  pseudonymize,
+  pseudonymizeQuery,
+  restoreText,
+  outgoingText
+} from './pseudonymizer.js'
 import { removeDiacritics } from './documentNormalizer.js'
+import { loadDocumentFile } from './documentLoader.js'
+import { decodeBytes } from './encodingDetection.js'
+import { locateEntry, answerHighlights, ungroundedTitle } from './documentLocation.js'
+import {
+  createId,
+  createWorkspaceDocument,
+  updateWorkspaceDocument,
+  uniqueDocumentName,
+  collectHistory,
+  collectValidationStatus
+} from './documentWorkspace.js'
+
+// pdf.js is loaded only when a PDF page is actually rendered
+const PdfPageView = lazy(() => import('./components/PdfPageView.jsx'))
 
 const exportSystem = new ExportSystem()
 
 function AppMain() {
   const [isAuthenticated, setIsAuthenticated] = useState(false)
+  const [currentUser, setCurrentUser] = useState(null) // { username, roles, permissions } - the UI only mirrors what the server enforces
+  const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
   const [error, setError] = useState('')
   const [isLoading, setIsLoading] = useState(true)
 
   // Search and document state
   const [searchQuery, setSearchQuery] = useState('')
-  const [documentText, setDocumentText] = useState('')
-  const [searchAnswer, setSearchAnswer] = useState(null) // AI answer
-  const [searchHistory, setSearchHistory] = useState([]) // History for table
+  const [documents, setDocuments] = useState([]) // Workspace - each document has its own text, history and highlights
+  const [activeDocumentId, setActiveDocumentId] = useState(null)
+  const [showPdfPage, setShowPdfPage] = useState(false)
+  const [pdfPage, setPdfPage] = useState(1)
+  const [isLoadingDocument, setIsLoadingDocument] = useState(false)
+  const [ocrProgress, setOcrProgress] = useState(null) // {current, total} while scanned pages are recognized
+  const [pendingTextFiles, setPendingTextFiles] = useState([]) // Plain-text uploads waiting for encoding confirmation
   const [isSearching, setIsSearching] = useState(false)
   const [showTable, setShowTable] = useState(false) // Show/hide table
-  const [highlightText, setHighlightText] = useState(null) // Text to highlight in document
+  const [tableScope, setTableScope] = useState('document') // 'document' | 'all' - results of active or all documents
+  const [tableLayout, setTableLayout] = useState('list') // 'list' | 'matrix' (documents × queries)
 
   // Batch search state
   const [showBatchModal, setShowBatchModal] = useState(false)
@@ -29,76 +69,273 @@ function AppMain() {
   const [selectedQueries, setSelectedQueries] = useState(new Set())
   const [batchProgress, setBatchProgress] = useState(null) // {current, total, currentQuery}
   const [queryCategoryMap, setQueryCategoryMap] = useState(new Map()) // query -> category mapping
+  const [queryFieldMap, setQueryFieldMap] = useState(new Map()) // query -> template field { type, validators } (extraction template)
+  const [batchTemplate, setBatchTemplate] = useState(null) // Template the checklist came from { template, source?, confidence?, reason? } (source etc. when classified)
+  const [templateLibrary, setTemplateLibrary] = useState(null) // Open template library { draft? } - draft: checklist fields to save as a template
+  const [batchDocumentIds, setBatchDocumentIds] = useState(new Set()) // Documents the batch runs on
 
   // Documentation state
   const [showDocs, setShowDocs] = useState(false)
   const [activeDocSection, setActiveDocSection] = useState(null)
 
-  // Validation state - track which search results are marked as correct/incorrect
-  const [validationStatus, setValidationStatus] = useState({}) // { [historyItemId]: 'correct' | 'incorrect' }
+  // Validation state - statuses live in the documents, this tracks the row being validated
   const [currentHighlightId, setCurrentHighlightId] = useState(null) // Track which highlight is currently shown
 
   const fileInputRef = useRef(null)
   const highlightedTextRef = useRef(null)
+  const searchAbortRef = useRef(null) // AbortController of the running search / batch run
+
+  // Active document of the workspace
+  const activeDocument = documents.find(doc => doc.id === activeDocumentId) || null
+  const documentText = activeDocument?.text || ''
+  const documentStructure = activeDocument?.structure || null // Structure map from DOCX/PDF ingestion
+  const documentFile = activeDocument?.file || null // Original PDF for page rendering
+  const searchAnswer = activeDocument?.answer || null // AI answer
+  const searchHistory = activeDocument?.history || [] // History for table
+  const highlightText = activeDocument?.highlight || null // Text to highlight in document
+
+  const updateDocument = useCallback((id, update) => {
+    setDocuments(prev => updateWorkspaceDocument(prev, id, update))
+  }, [])
 
-  useEffect(() => {
-    const auth = localStorage.getItem('authenticated')
-    if (auth === 'true') {
-      setIsAuthenticated(true)
+  const setHighlightText = (highlight) => {
+    if (activeDocumentId) updateDocument(activeDocumentId, { highlight })
+  }
+
+  const setSearchAnswer = (answer) => {
+    if (activeDocumentId) updateDocument(activeDocumentId, { answer })
+  }
+
+  // Table data - active document only or the whole workspace
+  const tableResults = useMemo(
+    () => collectHistory(tableScope === 'all' ? documents : documents.filter(doc => doc.id === activeDocumentId)),
+    [documents, activeDocumentId, tableScope]
+  )
+  const workspaceHistoryCount = documents.reduce((sum, doc) => sum + doc.history.length, 0)
+  const validationStatus = useMemo(() => collectValidationStatus(documents), [documents])
+
+  // PII pseudonymization - what the active document is sent as (the mapping never leaves the browser)
+  const [pseudonymizationOn, setPseudonymizationOn] = useState(isPseudonymizationEnabled)
+  const piiMapping = useMemo(
+    () => (pseudonymizationOn && documentText ? pseudonymize(documentText) : null),
+    [pseudonymizationOn, documentText]
+  )
+  const piiTitle = pseudonymizationOn
+    ? [
+        'Osobní údaje jdou k modelu jen jako tokeny, odpovědi se převedou zpět:',
+        ...(piiMapping?.entries || []).map(entry => `${entry.token} ← ${entry.value} (${entry.label})`)
+      ].join('\n')
+    : 'Pseudonymizace je vypnutá - dokument jde k modelu včetně osobních údajů'
+
+  const [showRedaction, setShowRedaction] = useState(false)
+
+  // Redacted copy of the active document - the copy and, separately, the log of what was removed
+  const handleRedactedExport = async (format, redactions, categories) => {
+    try {
+      await exportSystem.exportRedactedDocument(format, {
+        name: activeDocument.name,
+        text: redactText(documentText, redactions),
+        log: redactionLogCsv(redactions, { documentName: activeDocument.name, format, categories })
+      })
+      logger.info('REDACTION', 'Redacted copy exported', { format, counts: countRedactions(redactions) })
+      setShowRedaction(false)
+    } catch (redactionError) {
+      console.error('Redaction export error:', redactionError)
+      setError(`Export začerněné kopie selhal: ${redactionError.message}`)
     }
-    setIsLoading(false)
+  }
+
+  const togglePseudonymization = () => {
+    setPseudonymizationEnabled(!pseudonymizationOn)
+    setPseudonymizationOn(!pseudonymizationOn)
+  }
+
+  // The server decides - a session cookie survives page reloads until it expires or the user logs out
+  useEffect(() => {
+    fetchSession()
+      .then(session => {
+        setCurrentUser(session?.user || null)
+        setIsAuthenticated(!!session)
+      })
+      .catch(() => setIsAuthenticated(false))
+      .finally(() => setIsLoading(false))
   }, [])
 
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault()
-    if (password === 'sporka2025') {
+    try {
+      const session = await login(username, password)
+      setCurrentUser(session.user)
       setIsAuthenticated(true)
-      localStorage.setItem('authenticated', 'true')
+      setPassword('')
       setError('')
-    } else {
-      setError('Nesprávné heslo')
+    } catch (loginError) {
+      setError(loginError.message)
     }
   }
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      await logout()
+    } catch (logoutError) {
+      console.error('Logout failed:', logoutError)
+    }
     setIsAuthenticated(false)
-    localStorage.removeItem('authenticated')
+    setCurrentUser(null)
     setPassword('')
     setSearchQuery('')
-    setDocumentText('')
-    setSearchAnswer(null)
-    setSearchHistory([])
+    setDocuments([])
+    setActiveDocumentId(null)
+    setPendingTextFiles([])
     setShowTable(false)
   }
 
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0]
-    if (file) {
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        setDocumentText(e.target.result)
+  const addDocument = (source) => {
+    const doc = createWorkspaceDocument(source)
+    setDocuments(prev => [...prev, { ...doc, name: uniqueDocumentName(prev, doc.name) }])
+    setActiveDocumentId(doc.id)
+    setShowPdfPage(false)
+    setPdfPage(1)
+    setCurrentHighlightId(null)
+  }
+
+  const selectDocument = (id) => {
+    setActiveDocumentId(id)
+    setShowPdfPage(false)
+    setPdfPage(1)
+    setCurrentHighlightId(null)
+  }
+
+  const closeDocument = (id) => {
+    const remaining = documents.filter(doc => doc.id !== id)
+    setDocuments(remaining)
+    if (id === activeDocumentId) {
+      selectDocument(remaining[remaining.length - 1]?.id || null)
+    }
+    if (fileInputRef.current) fileInputRef.current.value = ''
+  }
+
+  // Pasted or edited text - creates a document when the workspace is empty
+  const handleDocumentTextChange = (text) => {
+    if (activeDocumentId) {
+      updateDocument(activeDocumentId, { text, structure: null, file: null })
+    } else {
+      addDocument({ name: 'Vložený text', text })
+    }
+  }
+
+  const handleFileUpload = async (event) => {
+    const files = Array.from(event.target.files)
+    if (files.length === 0) return
+
+    setIsLoadingDocument(true)
+    setError('')
+    // Loan files come as a bundle - every uploaded file becomes its own document
+    for (const file of files) {
+      try {
+        const loaded = await loadDocumentFile(file, setOcrProgress)
+
+        // Non-ASCII plain text - let the user confirm or override the encoding first
+        if (loaded.encoding && !loaded.encoding.isAscii) {
+          setPendingTextFiles(prev => [...prev, loaded])
+          continue
+        }
+
+        addDocument({
+          name: loaded.fileName,
+          text: loaded.text,
+          structure: loaded.structure,
+          file: loaded.file || null
+        })
+      } catch (error) {
+        console.error('File load error:', error)
+        setError(`Soubor ${file.name} se nepodařilo načíst: ${error.message}`)
+      } finally {
+        setOcrProgress(null)
       }
-      reader.readAsText(file)
     }
+    setIsLoadingDocument(false)
+    if (fileInputRef.current) fileInputRef.current.value = ''
+  }
+
+  const handleEncodingConfirm = (encoding) => {
+    const [pending, ...rest] = pendingTextFiles
+    if (!pending) return
+    addDocument({ name: pending.fileName, text: decodeBytes(pending.bytes, encoding) })
+    setPendingTextFiles(rest)
+  }
+
+  const handleEncodingCancel = () => {
+    setPendingTextFiles(prev => prev.slice(1))
   }
 
   const categorizeQueries = useCallback(async (queries) => {
+    // Values of the document in the queries go as their tokens, like in the search itself
+    const sentQueries = new Map(queries.map(query => [piiMapping ? pseudonymizeQuery(query, piiMapping) : query, query]))
+    const originalQuery = (item) => sentQueries.get(item) ?? (piiMapping ? restoreText(item, piiMapping) : item)
+
     try {
       const response = await fetch('/api/categorize', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ queries })
+        headers: { 'Content-Type': 'application/json', ...sessionHeaders() },
+        body: JSON.stringify({ queries: [...sentQueries.keys()] })
       })
 
       if (!response.ok) throw new Error('Categorization failed')
 
       const data = await response.json()
-      return data.categories // [{category: "Identifikační údaje", items: ["Rodné číslo", ...]}, ...]
+      // [{category: "Identifikační údaje", items: ["Rodné číslo", ...]}, ...] - with the real values back in the items
+      return data.categories.map(cat => ({ ...cat, items: cat.items.map(originalQuery) }))
     } catch (error) {
       console.error('Categorization error:', error)
       // Fallback: všechny do kategorie "Ostatní"
       return [{ category: 'Ostatní', items: queries }]
     }
+  }, [piiMapping])
+
+  // Reviewer's verdict on the shown result - the server checks the role and records who decided
+  const handleValidate = useCallback(async (isCorrect) => {
+    if (!currentHighlightId) return
+    const row = activeDocument?.history.find(item => item.id === currentHighlightId)
+    const verdict = isCorrect ? 'correct' : 'incorrect'
+
+    try {
+      const response = await fetch('/api/validation', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...sessionHeaders() },
+        body: JSON.stringify({
+          id: currentHighlightId,
+          verdict,
+          query: row?.query,
+          value: typeof row?.answer === 'object' ? row.answer.value ?? JSON.stringify(row.answer) : row?.answer,
+          documentHash: await hashDocument(outgoingText(documentText))
+        })
+      })
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}`)
+      }
+    } catch (validationError) {
+      console.error('Validation error:', validationError)
+      setError(`Validace se nepodařila: ${validationError.message}`)
+      return
+    }
+
+    updateDocument(activeDocumentId, doc => ({
+      highlight: null,
+      validationStatus: {
+        ...doc.validationStatus,
+        [currentHighlightId]: verdict
+      }
+    }))
+    // Return to table after validation
+    setShowTable(true)
+    setCurrentHighlightId(null)
+  }, [currentHighlightId, activeDocument, activeDocumentId, documentText, updateDocument])
+
+  // Stops the running search - the request is aborted and the server cancels the model call
+  const cancelSearch = useCallback(() => {
+    searchAbortRef.current?.abort()
   }, [])
 
   const handleSearch = useCallback(async () => {
@@ -125,6 +362,9 @@ function AppMain() {
         })
         setSelectedQueries(allQueries)
         setQueryCategoryMap(categoryMap)
+        setQueryFieldMap(new Map())
+        setBatchTemplate(null)
+        setBatchDocumentIds(new Set([activeDocumentId]))
 
         setShowBatchModal(true)
       } catch (error) {
@@ -135,14 +375,17 @@ function AppMain() {
       return
     }
 
-    // Normal single search
+    // Normal single search - the result belongs to the document it was asked on
+    const documentId = activeDocumentId
+    const controller = new AbortController()
+    searchAbortRef.current = controller
     setIsSearching(true)
-    setSearchAnswer(null)
+    updateDocument(documentId, { answer: null })
     setError('')
 
     try {
       // Call AI search with normalized text
-      const result = await aiSearch(documentText, searchQuery)
+      const result = await aiSearch(documentText, searchQuery, { signal: controller.signal })
 
       if (result.success) {
         console.log('🎯 CLIENT: Search result received:', {
@@ -153,156 +396,241 @@ function AppMain() {
           answer: result.answer
         });
 
-        setSearchAnswer(result.answer)
-
-        // Extract values for highlighting
-        let valuesToHighlight;
-
-        // Check if this is a yes/no question with fullContext
-        if (result.fullContext) {
-          console.log('✅ CLIENT: Using fullContext for highlight:', result.fullContext.substring(0, 100));
-          // Yes/No question: highlight fullContext, but show answer in table
-          valuesToHighlight = [result.fullContext];
-        } else if (result.answer.type === 'multiple') {
-          console.log('📋 CLIENT: Multiple results');
-          // Multiple results
-          valuesToHighlight = result.answer.results.map(r => r.value);
-        } else if (result.answer.type === 'single') {
-          console.log('📄 CLIENT: Single result');
-          // Single result
-          valuesToHighlight = [result.answer.value];
-        } else {
-          console.log('📝 CLIENT: Fallback to simple answer');
-          // Fallback for simple string answers
-          valuesToHighlight = [result.answer];
-        }
+        // Only values grounded in the source text are highlighted (exact spans from the backend)
+        const valuesToHighlight = answerHighlights(result.answer, result.fullContext, result.fullContextSpan);
 
         console.log('🔦 CLIENT: Final valuesToHighlight:', valuesToHighlight);
-        setHighlightText(valuesToHighlight)
 
         // Add to history for table view
         const historyItem = {
+          id: createId('q'),
           query: searchQuery,
           answer: result.answer, // Table shows this (just "Ano/Ne" for yes/no questions)
           fullContext: result.fullContext, // Store fullContext for highlight reference
+          fullContextSpan: result.fullContextSpan,
+          parseStatus: result.parseStatus,
+          cached: result.cached,
+          pseudonymized: result.pseudonymized, // tokens the answer was sent back with
           timestamp: new Date().toISOString(),
           confidence: result.confidence
         }
-        setSearchHistory(prev => [historyItem, ...prev])
-      } else {
+        updateDocument(documentId, doc => ({
+          answer: result.answer,
+          highlight: valuesToHighlight,
+          history: [historyItem, ...doc.history]
+        }))
+      } else if (!result.cancelled) {
         setError(result.error || 'Chyba při vyhledávání')
-        setHighlightText(null)
+        updateDocument(documentId, { highlight: null })
       }
     } catch (error) {
       console.error('Search error:', error)
       setError('Chyba při vyhledávání')
     } finally {
+      searchAbortRef.current = null
       setIsSearching(false)
     }
-  }, [searchQuery, documentText, categorizeQueries])
+  }, [searchQuery, documentText, activeDocumentId, updateDocument, categorizeQueries])
+
+  // Batch modal with the fields of a template - the template has the categories, no /api/categorize call
+  const openTemplateChecklist = useCallback((source) => {
+    const { batchQueries: categories, categoryMap, fieldMap } = checklistFromTemplate(source.template)
+    setBatchQueries(categories)
+    setSelectedQueries(new Set(fieldMap.keys()))
+    setQueryCategoryMap(categoryMap)
+    setQueryFieldMap(fieldMap)
+    setBatchTemplate(source)
+    setBatchDocumentIds(new Set([activeDocumentId]))
+    setShowBatchModal(true)
+  }, [activeDocumentId])
+
+  // Checklist from the extraction template of the document's contract type instead of typed queries
+  const handleTemplateBatch = useCallback(async () => {
+    if (!documentText.trim()) return
+    setIsSearching(true)
+    try {
+      openTemplateChecklist(await classifyDocument(documentText))
+    } catch (classifyError) {
+      console.error('Classification error:', classifyError)
+      setError(`Typ smlouvy se nepodařilo určit: ${classifyError.message}`)
+    } finally {
+      setIsSearching(false)
+    }
+  }, [documentText, openTemplateChecklist])
+
+  const handlePickTemplate = useCallback((template) => {
+    setTemplateLibrary(null)
+    openTemplateChecklist({ template })
+  }, [openTemplateChecklist])
+
+  // Category goes to the top of the checklist - its queries are searched first
+  const prioritizeCategory = (categoryIndex) => {
+    setBatchQueries(prev => [prev[categoryIndex], ...prev.filter((_, index) => index !== categoryIndex)])
+  }
 
   const handleBatchSearch = useCallback(async () => {
-    const selectedList = Array.from(selectedQueries)
+    // Checklist order is the priority - the server starts the model calls in this order
+    const selectedList = [...new Set(batchQueries.flatMap(category => category.items))].filter(item => selectedQueries.has(item))
     if (selectedList.length === 0) {
       setError('Nevybrali jste žádné položky')
       return
     }
 
+    // Same checklist of queries runs on every selected document of the workspace
+    const targetDocuments = documents.filter(doc => batchDocumentIds.has(doc.id) && doc.text.trim())
+    if (targetDocuments.length === 0) {
+      setError('Nevybrali jste žádný dokument')
+      return
+    }
+
+    const batchId = createId('b') // Groups results of one run for the document × query matrix
+    const total = selectedList.length * targetDocuments.length
+    const controller = new AbortController()
+    searchAbortRef.current = controller
     setShowBatchModal(false)
     setIsSearching(true)
-    setBatchProgress({ current: 0, total: selectedList.length, currentQuery: '' })
-
-    const results = []
-    const BATCH_SIZE = 5
+    setBatchProgress({ current: 0, total, currentQuery: '', usage: emptyUsage() })
+    let spent = emptyUsage() // Usage of the documents already finished
+
+    // History item for one entry of the streamed results
+    const toHistoryItem = (result) => {
+      // Span of the value in the document text (grounded: false = not found in the source,
+      // ambiguous = found that many times with nothing to tell which one)
+      const { start, end, grounded, ambiguous } = result
+      const span = grounded === undefined ? {} : { start, end, grounded, ambiguous }
+
+      return {
+        id: createId('q'),
+        batchId,
+        query: result.query,
+        category: queryCategoryMap.get(result.query) || 'Ostatní',
+        field: queryFieldMap.get(result.query), // Expected type and validators when the checklist came from a template
+        // Multiple result entries come one by one, each with its label
+        answer: result.type === 'multiple' && result.label
+          ? { type: 'single', value: result.value, label: result.label, ...span }
+          : { type: 'single', value: result.value, ...span },
+        parseStatus: result.parseStatus,
+        cached: result.cached,
+        pseudonymized: result.pseudonymized,
+        timestamp: new Date().toISOString(),
+        confidence: 0.95
+      }
+    }
 
-    // Process in batches of 5
-    for (let i = 0; i < selectedList.length; i += BATCH_SIZE) {
-      const batch = selectedList.slice(i, i + BATCH_SIZE)
+    // "Nenalezeno" for queries whose search failed
+    const failedItems = (queries) => queries.map(query => ({
+      id: createId('q'),
+      batchId,
+      query,
+      category: queryCategoryMap.get(query) || 'Ostatní',
+      answer: { type: 'single', value: 'Nenalezeno' },
+      timestamp: new Date().toISOString(),
+      confidence: 0
+    }))
+
+    // Queries the user cancelled before they were answered
+    const cancelledItems = (queries) => queries.map(query => ({
+      id: createId('q'),
+      batchId,
+      query,
+      category: queryCategoryMap.get(query) || 'Ostatní',
+      answer: { type: 'single', value: 'Zrušeno' },
+      status: 'cancelled',
+      timestamp: new Date().toISOString(),
+      confidence: 0
+    }))
+
+    for (const [documentIndex, targetDocument] of targetDocuments.entries()) {
+      const done = documentIndex * selectedList.length
+      const answered = new Set()
+      const rowsByQuery = new Map()
+      let inserted = 0
+
+      // Rows land in the history as they arrive (groups finish in any order), kept in query order at the top
+      const addResults = (queries, items) => {
+        queries.forEach(query => {
+          answered.add(query)
+          rowsByQuery.set(query, items.filter(item => item.query === query))
+        })
+        const previous = inserted
+        const rows = selectedList.flatMap(query => rowsByQuery.get(query) || [])
+        inserted = rows.length
+        updateDocument(targetDocument.id, doc => ({
+          history: [...rows, ...doc.history.slice(previous)]
+        }))
+        setBatchProgress(prev => prev && { ...prev, current: done + answered.size })
+      }
 
-      setBatchProgress({
-        current: Math.min(i + BATCH_SIZE, selectedList.length),
-        total: selectedList.length,
-        currentQuery: batch.join(', ')
-      })
+      // Documents after the cancel are not searched at all
+      if (controller.signal.aborted) {
+        addResults(selectedList, cancelledItems(selectedList))
+        continue
+      }
 
+      let streamed = emptyUsage() // Usage of this document so far (last progress event)
       try {
-        const response = await fetch('/api/batch-search', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            queries: batch,
-            document: documentText
-          })
-        })
-
-        if (!response.ok) throw new Error('Batch search failed')
-
-        const data = await response.json()
-
-        // Convert batch results to individual history items
-        data.results.forEach(result => {
-          // Handle both single and multiple results
-          if (result.type === 'multiple' && result.label) {
-            // Multiple result entry - has label
-            results.push({
-              query: result.query,
-              category: queryCategoryMap.get(result.query) || 'Ostatní',
-              answer: {
-                type: 'single',
-                value: result.value,
-                label: result.label
-              },
-              timestamp: new Date().toISOString(),
-              confidence: 0.95
-            })
-          } else {
-            // Single result entry
-            results.push({
-              query: result.query,
-              category: queryCategoryMap.get(result.query) || 'Ostatní',
-              answer: { type: 'single', value: result.value },
-              timestamp: new Date().toISOString(),
-              confidence: 0.95
+        const summary = await streamBatchSearch(targetDocument.text, selectedList, {
+          signal: controller.signal,
+          batchId,
+          onProgress: ({ queries, usage }) => {
+            streamed = usage || streamed
+            setBatchProgress({
+              current: done + answered.size,
+              total,
+              currentQuery: queries.join(', '),
+              usage: addUsage(spent, usage),
+              documentName: targetDocuments.length > 1 ? targetDocument.name : null,
+              documentIndex: documentIndex + 1,
+              documentCount: targetDocuments.length
             })
+          },
+          onResult: ({ query, results }) => addResults([query], results.map(toHistoryItem)),
+          onError: ({ queries, error }) => {
+            console.error('Failed batch search:', error)
+            addResults(queries, failedItems(queries))
           }
         })
-
-        // Pause between batches
-        if (i + BATCH_SIZE < selectedList.length) {
-          await new Promise(resolve => setTimeout(resolve, 500))
-        }
+        streamed = summary.usage || streamed
       } catch (error) {
-        console.error(`Failed batch search:`, error)
-        // Add "Nenalezeno" for failed batch
-        batch.forEach(query => {
-          results.push({
-            query,
-            category: queryCategoryMap.get(query) || 'Ostatní',
-            answer: { type: 'single', value: 'Nenalezeno' },
-            timestamp: new Date().toISOString(),
-            confidence: 0
-          })
-        })
+        const missing = selectedList.filter(query => !answered.has(query))
+        if (isAbortError(error)) {
+          addResults(missing, cancelledItems(missing))
+        } else {
+          console.error('Failed batch search:', error)
+          addResults(missing, failedItems(missing))
+        }
       }
+      spent = addUsage(spent, streamed)
+      setBatchProgress(prev => prev && { ...prev, usage: spent })
     }
 
-    setSearchHistory(prev => [...results, ...prev])
+    searchAbortRef.current = null
     setBatchProgress(null)
     setIsSearching(false)
+    // Several documents - show the documents × queries matrix
+    if (targetDocuments.length > 1) {
+      setTableScope('all')
+      setTableLayout('matrix')
+    }
     setShowTable(true) // Auto-show table
-  }, [selectedQueries, documentText, queryCategoryMap])
+  }, [batchQueries, selectedQueries, documents, batchDocumentIds, updateDocument, queryCategoryMap, queryFieldMap])
 
-  const handleExport = async (format, selectedData) => {
+  const handleExport = async (format, selectedData, { matrix } = {}) => {
     try {
       // Transform table data for export
-      // selectedData is array from TableView with: {query, label, value, type, absoluteValue}
+      // selectedData is array from TableView with: {query, label, value, type, absoluteValue, typedValue, checksum}
       const dataForExport = selectedData.map(row => ({
+        document: row.document || '',
         category: row.category || '',
         query: row.query || '',
         label: row.label || '',
         value: row.value || '',
         type: row.type || '',
         absoluteValue: row.absoluteValue || '',
+        typedValue: row.typedValue || null, // { kind, number, unit, canonical, date? } (valueNormalization.js)
+        checksum: row.checksum || '', // 'valid' | 'invalid' | 'unchecked' (identifierValidation.js)
+        checksumReason: row.checksumReason || '',
+        findings: (row.findings || []).map(finding => finding.message).join('; '), // amount vs. "slovy" (amountWords.js), template field checks
         confidence: 0.95,
         context: '',
         startPosition: 0,
@@ -310,9 +638,22 @@ function AppMain() {
         extractedAt: new Date().toISOString()
       }))
 
+      // Token usage of the session and of the exported runs for the Statistics sheet (Excel only)
+      const usage = format === 'xlsx'
+        ? await sessionUsageReport({
+          batchIds: [...new Set(selectedData.map(row => row.rawResult?.batchId).filter(Boolean))],
+          documents: documents.filter(doc => doc.text.trim())
+        }).catch(error => {
+          console.error('Usage report error:', error)
+          return null
+        })
+        : null
+
       await exportSystem.exportData(format, dataForExport, {
         documentTitle: `AI Vyhledávání - ${new Date().toLocaleDateString('cs-CZ')}`,
-        includeMetadata: true
+        includeMetadata: true,
+        matrix, // Documents × queries layout from the table (Excel only)
+        usage
       })
     } catch (error) {
       console.error('Export error:', error)
@@ -320,6 +661,27 @@ function AppMain() {
     }
   }
 
+  // Page boxes of the current highlight, for the rendered PDF view
+  const pdfHighlight = useMemo(() => {
+    if (documentStructure?.format !== 'pdf' || !highlightText) return null
+
+    const locations = highlightText
+      .map(entry => locateEntry(documentText, documentStructure, entry))
+      .filter(Boolean)
+    if (locations.length === 0) return null
+
+    return {
+      page: locations[0].page,
+      boxes: locations.flatMap(location => location.boxes)
+    }
+  }, [highlightText, documentText, documentStructure])
+
+  useEffect(() => {
+    if (pdfHighlight) setPdfPage(pdfHighlight.page)
+  }, [pdfHighlight])
+
+  const getValueLocation = (entry) => locateEntry(documentText, documentStructure, entry)?.label
+
   if (isLoading) {
     return (
       <div className="app">
@@ -356,6 +718,19 @@ function AppMain() {
               <h1 className="auth-title">AI Intelligence Search</h1>
             </div>
             <form onSubmit={handleLogin} className="auth-form">
+              <div className="auth-input-wrapper">
+                <input
+                  type="text"
+                  id="username"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  placeholder="Uživatelské jméno"
+                  className="auth-input"
+                  autoComplete="username"
+                  required
+                  autoFocus
+                />
+              </div>
               <div className="auth-input-wrapper">
                 <input
                   type="password"
@@ -364,8 +739,8 @@ function AppMain() {
                   onChange={(e) => setPassword(e.target.value)}
                   placeholder="Zadejte heslo"
                   className="auth-input"
+                  autoComplete="current-password"
                   required
-                  autoFocus
                 />
               </div>
               {error && <div className="auth-error">{error}</div>}
@@ -724,12 +1099,50 @@ allResults = results.flatMap(r => r.results)`}</pre>
         )}
       </div>
 
-      <button onClick={handleLogout} className="logout-glass-btn">
+      {currentUser && (
+        <div className="user-badge" title={currentUser.permissions.join(', ')}>
+          {currentUser.username} · {currentUser.roles.map(role => ROLE_LABELS[role] || role).join(', ')}
+        </div>
+      )}
+
+      <button onClick={handleLogout} className="logout-glass-btn" title="Odhlásit se">
         <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
           <path d="M9 21H5a2 2 0 01-2-2V5a2 2 0 012-2h4m7 14l5-5-5-5m5 5H9" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
         </svg>
       </button>
 
+      {pendingTextFiles.length > 0 && (
+        <EncodingPreview
+          key={pendingTextFiles[0].fileName}
+          fileName={pendingTextFiles[0].fileName}
+          bytes={pendingTextFiles[0].bytes}
+          detection={pendingTextFiles[0].encoding}
+          onConfirm={handleEncodingConfirm}
+          onCancel={handleEncodingCancel}
+        />
+      )}
+
+      {templateLibrary && (
+        <TemplateLibrary
+          currentUser={currentUser}
+          draft={templateLibrary.draft}
+          onPick={handlePickTemplate}
+          onExport={(template) => exportSystem.exportTemplate(template)}
+          onClose={() => setTemplateLibrary(null)}
+        />
+      )}
+
+      {showRedaction && activeDocument && (
+        <RedactionDialog
+          documentName={activeDocument.name}
+          text={documentText}
+          history={activeDocument.history}
+          structure={documentStructure}
+          onExport={handleRedactedExport}
+          onCancel={() => setShowRedaction(false)}
+        />
+      )}
+
       {error && (
         <div className="error-toast">
           <span>{error}</span>
@@ -752,6 +1165,15 @@ allResults = results.flatMap(r => r.results)`}</pre>
                   >×</button>
                 </div>
 
+                {batchTemplate && (
+                  <div className="batch-template-info" title={batchTemplate.reason}>
+                    Šablona: <strong>{batchTemplate.template.name}</strong>
+                    {batchTemplate.source
+                      ? ` (${batchTemplate.source === 'model' ? 'určil model' : 'podle klíčových slov'}, jistota ${Math.round(batchTemplate.confidence * 100)} %)`
+                      : batchTemplate.template.builtin ? '' : ` (verze ${batchTemplate.template.version})`}
+                  </div>
+                )}
+
                 <div className="batch-controls">
                   <button
                     className="batch-select-all-btn"
@@ -763,15 +1185,62 @@ allResults = results.flatMap(r => r.results)`}</pre>
                   >
                     ✓ Vybrat vše
                   </button>
+                  <button
+                    className="batch-select-all-btn"
+                    onClick={() => setTemplateLibrary({ draft: fieldsFromChecklist(batchQueries, queryFieldMap) })}
+                    title="Uložit tento seznam dotazů do knihovny šablon"
+                  >
+                    💾 Uložit jako šablonu
+                  </button>
                   <button
                     className="batch-search-btn"
                     onClick={handleBatchSearch}
-                    disabled={selectedQueries.size === 0}
+                    disabled={selectedQueries.size === 0 || batchDocumentIds.size === 0}
                   >
-                    Hledat vybrané ({selectedQueries.size})
+                    Hledat vybrané ({selectedQueries.size}{batchDocumentIds.size > 1 ? ` × ${batchDocumentIds.size} dokumentů` : ''})
                   </button>
                 </div>
 
+                {documents.length > 1 && (
+                  <div className="batch-documents">
+                    <div className="batch-category-header">
+                      <input
+                        type="checkbox"
+                        checked={documents.every(doc => batchDocumentIds.has(doc.id))}
+                        onChange={(e) => {
+                          setBatchDocumentIds(e.target.checked
+                            ? new Set(documents.map(doc => doc.id))
+                            : new Set())
+                        }}
+                      />
+                      <span className="batch-category-name">
+                        Dokumenty ({batchDocumentIds.size}/{documents.length})
+                      </span>
+                    </div>
+                    <div className="batch-category-items">
+                      {documents.map(doc => (
+                        <div key={doc.id} className="batch-item">
+                          <input
+                            type="checkbox"
+                            checked={batchDocumentIds.has(doc.id)}
+                            disabled={!doc.text.trim()}
+                            onChange={(e) => {
+                              const newSelected = new Set(batchDocumentIds)
+                              if (e.target.checked) {
+                                newSelected.add(doc.id)
+                              } else {
+                                newSelected.delete(doc.id)
+                              }
+                              setBatchDocumentIds(newSelected)
+                            }}
+                          />
+                          <span>{doc.name}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 <div className="batch-categories">
                   {batchQueries.map((category, catIndex) => (
                     <div key={catIndex} className="batch-category">
@@ -792,6 +1261,15 @@ allResults = results.flatMap(r => r.results)`}</pre>
                         <span className="batch-category-name">
                           {category.category} ({category.items.length})
                         </span>
+                        {catIndex > 0 && (
+                          <button
+                            className="batch-priority-btn"
+                            onClick={() => prioritizeCategory(catIndex)}
+                            title="Hledat tuto kategorii jako první"
+                          >
+                            ↑ Nejdřív
+                          </button>
+                        )}
                       </div>
                       <div className="batch-category-items">
                         {category.items.map((item, itemIndex) => (
@@ -809,7 +1287,9 @@ allResults = results.flatMap(r => r.results)`}</pre>
                                 setSelectedQueries(newSelected)
                               }}
                             />
-                            <span>{item}</span>
+                            <span title={queryFieldMap.get(item)?.help || undefined}>
+                              {item}{queryFieldMap.get(item)?.help && <span className="batch-item-help"> ⓘ</span>}
+                            </span>
                           </div>
                         ))}
                       </div>
@@ -852,15 +1332,22 @@ allResults = results.flatMap(r => r.results)`}</pre>
                   <div className="progress-text">
                     {batchProgress.current}/{batchProgress.total}
                   </div>
+                  {batchProgress.documentName && (
+                    <div className="progress-current-query">
+                      Dokument {batchProgress.documentIndex}/{batchProgress.documentCount}: {batchProgress.documentName}
+                    </div>
+                  )}
                   <div className="progress-current-query">
-                    Aktuálně: "{batchProgress.currentQuery}"
+                    Zbývá: {batchProgress.currentQuery}
                   </div>
+                  {batchProgress.usage?.requests > 0 && (
+                    <div className="progress-usage" title="Odhad ceny podle ceníku modelu - přesné účtování je u poskytovatele">
+                      {formatUsage(batchProgress.usage)}
+                    </div>
+                  )}
                   <button
                     className="batch-cancel-btn"
-                    onClick={() => {
-                      setIsSearching(false)
-                      setBatchProgress(null)
-                    }}
+                    onClick={cancelSearch}
                   >
                     Zrušit hledání
                   </button>
@@ -871,6 +1358,21 @@ allResults = results.flatMap(r => r.results)`}</pre>
               <>
                 <div className="pane-header">
                   <h2 className="pane-title">Vyhledávání</h2>
+                  <button
+                    onClick={() => setTemplateLibrary({})}
+                    className="clear-search-btn template-library-btn"
+                    title="Uložené seznamy dotazů - výběr, úpravy, verze, sdílení, import a export"
+                  >
+                    📚 Šablony
+                  </button>
+                  <button
+                    onClick={handleTemplateBatch}
+                    className="clear-search-btn template-batch-btn"
+                    disabled={isSearching || !documentText.trim()}
+                    title="Určí typ smlouvy a nabídne položky k vytěžení podle šablony"
+                  >
+                    📋 Šablona podle typu smlouvy
+                  </button>
                   {searchQuery && (
                     <button
                       onClick={() => {
@@ -921,8 +1423,9 @@ allResults = results.flatMap(r => r.results)`}</pre>
                 <div className="search-actions">
                   <button
                     className="main-search-btn"
-                    onClick={handleSearch}
-                    disabled={isSearching || !searchQuery.trim() || !documentText.trim()}
+                    onClick={isSearching ? cancelSearch : handleSearch}
+                    disabled={!isSearching && (!searchQuery.trim() || !documentText.trim())}
+                    title={isSearching ? 'Zrušit hledání' : undefined}
                   >
                     {isSearching ? (
                       <svg className="spinner" width="20" height="20" viewBox="0 0 24 24">
@@ -959,18 +1462,28 @@ allResults = results.flatMap(r => r.results)`}</pre>
                 <div
                   className="ai-answer-box clickable"
                   onClick={() => {
-                    if (highlightedTextRef.current) {
-                      // Get all values to highlight
-                      const valuesToHighlight = searchAnswer.type === 'multiple'
-                        ? searchAnswer.results.map(r => r.value)
-                        : [searchAnswer.value];
-                      highlightedTextRef.current.scrollToHighlight(valuesToHighlight);
+                    if (highlightedTextRef.current && highlightText?.length > 0) {
+                      // Grounded values (or the context of a yes/no answer)
+                      highlightedTextRef.current.scrollToHighlight(highlightText);
                     }
                   }}
                   title="Klikněte pro zobrazení v dokumentu"
                 >
-                  {searchAnswer.type === 'single' ? (
-                    <div className="answer-single">{searchAnswer.value}</div>
+                  {typeof searchAnswer === 'string' ? (
+                    // Yes/no question - "Ano"/"Ne", the context is highlighted in the document
+                    <div className="answer-single">{searchAnswer}</div>
+                  ) : searchAnswer.type === 'single' ? (
+                    <div className="answer-single">
+                      {searchAnswer.value}
+                      {getValueLocation(searchAnswer) && (
+                        <span className="answer-location">{getValueLocation(searchAnswer)}</span>
+                      )}
+                      {searchAnswer.grounded === false && (
+                        <span className="answer-ungrounded" title={ungroundedTitle(searchAnswer)}>
+                          {searchAnswer.ambiguous ? 'nejednoznačné' : 'nepodloženo'}
+                        </span>
+                      )}
+                    </div>
                   ) : (
                     <div className="answer-multiple">
                       {searchAnswer.results.map((result, index) => (
@@ -979,14 +1492,22 @@ allResults = results.flatMap(r => r.results)`}</pre>
                           className="answer-item"
                           onClick={(e) => {
                             e.stopPropagation(); // Prevent box click
-                            if (highlightedTextRef.current) {
-                              highlightedTextRef.current.scrollToHighlight([result.value]);
+                            if (highlightedTextRef.current && result.grounded !== false) {
+                              highlightedTextRef.current.scrollToHighlight([result]);
                             }
                           }}
                         >
                           <span className="bullet">•</span>
                           <span className="answer-label">{result.label}:</span>
                           <span className="answer-value">{result.value}</span>
+                          {getValueLocation(result) && (
+                            <span className="answer-location">{getValueLocation(result)}</span>
+                          )}
+                          {result.grounded === false && (
+                            <span className="answer-ungrounded" title={ungroundedTitle(result)}>
+                              {result.ambiguous ? 'nejednoznačné' : 'nepodloženo'}
+                            </span>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -996,10 +1517,13 @@ allResults = results.flatMap(r => r.results)`}</pre>
             )}
 
                 {/* Show table button */}
-                {searchHistory.length > 0 && (
+                {workspaceHistoryCount > 0 && (
                   <button
                     className="show-table-btn"
-                    onClick={() => setShowTable(true)}
+                    onClick={() => {
+                      if (searchHistory.length === 0) setTableScope('all')
+                      setShowTable(true)
+                    }}
                   >
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
                       <rect x="3" y="3" width="7" height="7" stroke="currentColor" strokeWidth="2" rx="1"/>
@@ -1007,7 +1531,7 @@ allResults = results.flatMap(r => r.results)`}</pre>
                       <rect x="3" y="14" width="7" height="7" stroke="currentColor" strokeWidth="2" rx="1"/>
                       <rect x="14" y="14" width="7" height="7" stroke="currentColor" strokeWidth="2" rx="1"/>
                     </svg>
-                    Zobrazit tabulku ({searchHistory.length})
+                    Zobrazit tabulku ({searchHistory.length || workspaceHistoryCount})
                   </button>
                 )}
               </>
@@ -1021,30 +1545,56 @@ allResults = results.flatMap(r => r.results)`}</pre>
                 type="file"
                 ref={fileInputRef}
                 onChange={handleFileUpload}
-                accept=".txt,.docx,.pdf"
+                accept=".txt,.docx,.pdf,.png,.jpg,.jpeg,.tif,.tiff"
+                multiple
                 style={{ display: 'none' }}
               />
               <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  onClick={togglePseudonymization}
+                  className={`upload-file-btn pii-toggle ${pseudonymizationOn ? 'active' : ''}`}
+                  disabled={pseudonymizationRequired}
+                  title={piiTitle}
+                >
+                  🛡 {pseudonymizationOn
+                    ? `Pseudonymizace${piiMapping ? ` (${piiMapping.entries.length})` : ''}`
+                    : 'Pseudonymizace vyp.'}
+                </button>
+                {documentText.trim() && (
+                  <button
+                    onClick={() => setShowRedaction(true)}
+                    className="upload-file-btn"
+                    title="Export kopie dokumentu se začerněnými osobními údaji"
+                  >
+                    ▇ Začernit
+                  </button>
+                )}
+                {documentFile && documentStructure?.format === 'pdf' && (
+                  <button
+                    onClick={() => setShowPdfPage(!showPdfPage)}
+                    className="upload-file-btn"
+                    title={showPdfPage ? 'Zobrazit extrahovaný text' : 'Zobrazit stránku PDF'}
+                  >
+                    {showPdfPage ? 'Text' : 'Strana PDF'}
+                  </button>
+                )}
                 <button
                   onClick={() => fileInputRef.current?.click()}
                   className="upload-file-btn"
+                  disabled={isLoadingDocument}
                 >
                   <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
                     <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4m14-7l-5-5-5 5m5-5v12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                   </svg>
-                  Nahrát soubor
+                  {ocrProgress
+                    ? `OCR ${ocrProgress.current}/${ocrProgress.total}...`
+                    : isLoadingDocument ? 'Načítám...' : 'Nahrát soubor'}
                 </button>
-                {documentText && (
+                {activeDocument && (
                   <button
-                    onClick={() => {
-                      setDocumentText('')
-                      setSearchAnswer(null)
-                      setSearchHistory([])
-                      setHighlightText(null)
-                      if (fileInputRef.current) fileInputRef.current.value = ''
-                    }}
+                    onClick={() => closeDocument(activeDocumentId)}
                     className="upload-file-btn"
-                    title="Vymazat dokument"
+                    title="Odebrat dokument z pracovního prostoru (ostatní dokumenty zůstanou)"
                   >
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
                       <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2M10 11v6M14 11v6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -1055,31 +1605,42 @@ allResults = results.flatMap(r => r.results)`}</pre>
               </div>
             </div>
 
+            {documents.length > 0 && (
+              <DocumentTabs
+                documents={documents}
+                activeDocumentId={activeDocumentId}
+                onSelect={selectDocument}
+                onClose={closeDocument}
+                onAdd={() => addDocument({ name: uniqueDocumentName(documents, 'Nový dokument') })}
+              />
+            )}
+
             <div className="document-area">
               {documentText ? (
                 <>
                   <div className="document-display">
-                    <HighlightedText
-                      ref={highlightedTextRef}
-                      text={documentText}
-                      highlight={highlightText}
-                      showValidation={currentHighlightId !== null}
-                      onValidate={(isCorrect) => {
-                        if (currentHighlightId) {
-                          setValidationStatus(prev => ({
-                            ...prev,
-                            [currentHighlightId]: isCorrect ? 'correct' : 'incorrect'
-                          }))
-                          // Return to table after validation
-                          setShowTable(true)
-                          setCurrentHighlightId(null)
-                          setHighlightText(null)
-                        }
-                      }}
-                      onHighlightClick={() => {
-                        console.log('Scrolled to highlight');
-                      }}
-                    />
+                    {showPdfPage && documentFile ? (
+                      <Suspense fallback={<div className="pdf-page-loading">Načítám PDF...</div>}>
+                        <PdfPageView
+                          file={documentFile}
+                          page={pdfPage}
+                          pageCount={documentStructure?.pages?.length}
+                          boxes={pdfHighlight?.boxes}
+                          onPageChange={setPdfPage}
+                        />
+                      </Suspense>
+                    ) : (
+                      <HighlightedText
+                        ref={highlightedTextRef}
+                        text={documentText}
+                        highlight={highlightText}
+                        showValidation={currentHighlightId !== null && can(currentUser, 'validate')}
+                        onValidate={handleValidate}
+                        onHighlightClick={() => {
+                          console.log('Scrolled to highlight');
+                        }}
+                      />
+                    )}
                   </div>
                   <button
                     className="edit-document-btn"
@@ -1099,7 +1660,27 @@ allResults = results.flatMap(r => r.results)`}</pre>
                       <span>{documentText.length} znaků</span>
                       <span>•</span>
                       <span>{documentText.split('\n').length} řádků</span>
-                      {highlightText && (
+                      {documentStructure?.format === 'pdf' && (
+                        <>
+                          <span>•</span>
+                          <span>PDF: {documentStructure.pages.length} stran</span>
+                        </>
+                      )}
+                      {documentStructure?.ocr && (
+                        <>
+                          <span>•</span>
+                          <span title="Text byl rozpoznán z naskenovaného dokumentu">
+                            OCR: jistota {Math.round(documentStructure.pages.reduce((sum, p) => sum + p.confidence, 0) / documentStructure.pages.length)} %
+                          </span>
+                        </>
+                      )}
+                      {documentStructure?.format === 'docx' && (
+                        <>
+                          <span>•</span>
+                          <span>DOCX: {documentStructure.articles.length} článků, {documentStructure.tables.length} tabulek</span>
+                        </>
+                      )}
+                      {highlightText?.length > 0 && (
                         <>
                           <span>•</span>
                           <span className="highlight-indicator">
@@ -1118,7 +1699,7 @@ allResults = results.flatMap(r => r.results)`}</pre>
                   placeholder="Vložte text dokumentu..."
                   className="document-textarea"
                   value={documentText}
-                  onChange={(e) => setDocumentText(e.target.value)}
+                  onChange={(e) => handleDocumentTextChange(e.target.value)}
                 />
               )}
             </div>
@@ -1133,53 +1714,75 @@ allResults = results.flatMap(r => r.results)`}</pre>
             >
               ← Zpět na vyhledávání
             </button>
-            <h2 className="table-title">Historie vyhledávání ({searchHistory.length})</h2>
+            <h2 className="table-title">Historie vyhledávání ({tableResults.length})</h2>
+            <div className="table-scope-toggle">
+              <button
+                className={`table-scope-btn ${tableScope === 'document' ? 'active' : ''}`}
+                onClick={() => setTableScope('document')}
+                disabled={!activeDocument}
+                title={activeDocument?.name}
+              >
+                Aktuální dokument
+              </button>
+              <button
+                className={`table-scope-btn ${tableScope === 'all' ? 'active' : ''}`}
+                onClick={() => setTableScope('all')}
+              >
+                Všechny dokumenty ({documents.length})
+              </button>
+            </div>
           </div>
           <TableView
-            searchResults={searchHistory}
+            searchResults={tableResults}
+            documents={documents}
+            layout={tableLayout}
+            onLayoutChange={setTableLayout}
             validationStatus={validationStatus}
             onExport={handleExport}
+            // The server cache is shared by all users - only cache:manage may drop answers from it
+            onClearCache={can(currentUser, 'cache:manage') ? async () => {
+              // Next run of the same queries on these documents asks the model again
+              const texts = [...new Set(documents.map(doc => doc.text).filter(text => text.trim()))]
+              try {
+                await clearResultCache(texts)
+              } catch (error) {
+                console.error('Clear cache error:', error)
+                setError('Cache se nepodařilo vymazat')
+              }
+            } : undefined}
             onDelete={(idsToDelete) => {
-              // Extract unique history item indices from table row IDs
-              const indicesToDelete = new Set()
+              // Extract unique history item ids from table row IDs
+              const historyIdsToDelete = new Set()
               idsToDelete.forEach(id => {
-                // ID format is "index-itemIndex", extract the history index
-                const historyIndex = parseInt(id.split('-')[0])
-                if (!isNaN(historyIndex)) {
-                  indicesToDelete.add(historyIndex)
-                }
+                // ID format is "historyId-itemIndex", extract the history id
+                const rowId = String(id)
+                historyIdsToDelete.add(rowId.slice(0, rowId.lastIndexOf('-')))
               })
 
-              // Filter out items by their indices
-              setSearchHistory(prev =>
-                prev.filter((_, index) => !indicesToDelete.has(index))
-              )
+              // Rows can come from several documents in the cross-document view
+              setDocuments(prev => prev.map(doc => ({
+                ...doc,
+                history: doc.history.filter(item => !historyIdsToDelete.has(item.id))
+              })))
             }}
             onResultClick={(rawResult, rowId) => {
               // Close table and show search view with highlighted value
               setShowTable(false)
 
-              // Set the query and answer
-              setSearchQuery(rawResult.query)
-              setSearchAnswer(rawResult.answer)
-
-              // Extract value(s) to highlight
-              let valuesToHighlight = []
-
-              // Check if this is a yes/no question with fullContext
-              if (rawResult.fullContext) {
-                // Yes/No question: highlight fullContext
-                valuesToHighlight = [rawResult.fullContext]
-              } else if (rawResult.answer) {
-                if (rawResult.answer.type === 'multiple') {
-                  valuesToHighlight = rawResult.answer.results.map(r => r.value)
-                } else if (rawResult.answer.type === 'single') {
-                  valuesToHighlight = [rawResult.answer.value]
-                }
+              // Switch to the document the result comes from
+              const documentId = rawResult.documentId || activeDocumentId
+              if (documentId !== activeDocumentId) {
+                selectDocument(documentId)
               }
 
-              // Set highlight and track which row it belongs to
-              setHighlightText(valuesToHighlight)
+              // Set the query
+              setSearchQuery(rawResult.query)
+
+              // Grounded spans only - values not found in the source are not highlighted
+              const valuesToHighlight = answerHighlights(rawResult.answer, rawResult.fullContext, rawResult.fullContextSpan)
+
+              // Set answer and highlight, track which row it belongs to
+              updateDocument(documentId, { answer: rawResult.answer, highlight: valuesToHighlight })
               setCurrentHighlightId(rowId)
 
               // After state update, scroll to highlight
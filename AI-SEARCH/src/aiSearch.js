@@ -5,42 +5,78 @@
 
 import { removeDiacritics } from './documentNormalizer.js';
 import { logger } from './logger.js';
+import { openMirror } from './resultCache.js';
+import { sessionHeaders } from './usage.js';
+import { isPseudonymizationEnabled, pseudonymize, pseudonymizeQuery, restoreResult, tokensIn } from './pseudonymizer.js';
+
+export const CANCELLED_MESSAGE = 'Hledání bylo zrušeno';
+
+/**
+ * Error of a fetch that was aborted through its signal
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
 
 /**
  * Search document using Claude AI
  * @param {string} documentText - Original document text (shown to user)
  * @param {string} query - What to search for (e.g., "najdi rodné číslo Tomáše Vokouna")
- * @returns {Promise<Object>} - Search result with exact answer
+ * @param {Object} options - { signal, cache } - aborting the signal cancels the request (and the model
+ *   call on the server); cache: false asks the model even when the answer is cached
+ * @returns {Promise<Object>} - Search result with exact answer; cancelled: true when aborted,
+ *   cached: true when the answer did not need a model call; pseudonymized: tokens the answer came back with
+ *   (only when PII pseudonymization is on - see pseudonymizer.js)
  */
-export async function aiSearch(documentText, query) {
+export async function aiSearch(documentText, query, { signal, cache } = {}) {
   try {
     logger.info('AI_SEARCH', 'Starting AI search', {
       queryLength: query.length,
       documentLength: documentText.length
     });
 
+    // With pseudonymization the server only ever sees the tokenized text (and answers refer to it)
+    const mapping = isPseudonymizationEnabled() ? pseudonymize(documentText) : null;
+    const sentText = mapping ? mapping.text : documentText;
+    const sentQuery = mapping ? pseudonymizeQuery(query, mapping) : query;
+
+    const mirror = await openMirror('search', sentText);
+    const mirrored = cache === false ? undefined : await mirror?.get(sentQuery);
+
     // Normalize text for better AI searching (remove diacritics, clean whitespace)
-    const normalizedText = normalizeForAI(documentText);
-
-    // Call backend API
-    const response = await fetch('/api/search', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        query: query,
-        document: normalizedText,  // AI gets normalized text
-        originalDocument: documentText  // Keep original for reference
-      }),
-    });
+    const normalizedText = normalizeForAI(sentText);
+
+    // Call backend API (answers mirrored in IndexedDB need no request)
+    let result = mirrored && { ...mirrored, cached: true, usage: undefined };
+    if (!result) {
+      const response = await fetch('/api/search', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...sessionHeaders()
+        },
+        body: JSON.stringify({
+          query: sentQuery,
+          document: normalizedText,  // AI gets normalized text
+          originalDocument: sentText,  // Keep original for reference
+          ...(cache === false ? { cache } : {}),
+          ...(mapping ? { pseudonymized: mapping.counts } : {})  // Token counts for the audit log, no values
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP ${response.status}`);
+      }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `HTTP ${response.status}`);
+      result = await response.json();
+      if (result.parseStatus !== 'fallback') await mirror?.set(sentQuery, result);
     }
 
-    const result = await response.json();
+    const tokens = mapping ? tokensIn(result) : [];
+    if (mapping) {
+      result = restoreResult(result, mapping);
+      if (tokens.length > 0) logger.info('PII', 'Answer mapped back', { query: query.substring(0, 50), tokens });
+    }
 
     logger.info('AI_SEARCH', 'Search completed', {
       success: true,
@@ -52,12 +88,33 @@ export async function aiSearch(documentText, query) {
       success: true,
       answer: result.answer,
       fullContext: result.fullContext, // For yes/no questions
+      // Span of the context in the original text (grounded: false = not found in the source or ambiguous)
+      fullContextSpan: result.fullContext !== undefined && result.grounded !== undefined
+        ? { start: result.start, end: result.end, grounded: result.grounded, ambiguous: result.ambiguous }
+        : null,
       confidence: result.confidence || 0.9,
+      // 'parsed' | 'repaired' | 'fallback' - fallback means the model broke the answer format
+      parseStatus: result.parseStatus,
+      cached: result.cached === true,
+      usage: result.usage, // { requests, inputTokens, outputTokens, cost } - none for mirrored answers
+      ...(mapping ? { pseudonymized: tokens } : {}),
       query: query,
       timestamp: new Date().toISOString()
     };
 
   } catch (error) {
+    if (isAbortError(error)) {
+      logger.info('AI_SEARCH', 'Search cancelled', { query: query.substring(0, 50) });
+      return {
+        success: false,
+        cancelled: true,
+        error: CANCELLED_MESSAGE,
+        answer: null,
+        query: query,
+        timestamp: new Date().toISOString()
+      };
+    }
+
     logger.error('AI_SEARCH', 'Search failed', {
       error: error.message,
       query: query.substring(0, 50)
@@ -73,6 +130,122 @@ export async function aiSearch(documentText, query) {
   }
 }
 
+/**
+ * Parse one Server-Sent Events message ("event: x\ndata: {...}")
+ * @returns {Object|null} - { event, data }, null for comments (keep-alive)
+ */
+function parseServerEvent(block) {
+  let event = 'message';
+  const data = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  });
+
+  return data.length > 0 ? { event, data: JSON.parse(data.join('\n')) } : null;
+}
+
+/**
+ * Batch search streamed from /api/batch-stream
+ * Results come per query as soon as the server has them, so the table fills up during the run
+ * @param {string} documentText - Document to search (original text - spans refer to it)
+ * @param {string[]} queries - Queries of the run
+ * @param {Object} handlers - { onProgress({ completed, total, queries, usage }), onResult({ query, results }),
+ *   onError({ queries, error }), signal, cache, batchId } - error is for a group of queries, the run continues;
+ *   aborting the signal closes the stream and the server stops the run; cache: false asks the model
+ *   even for cached answers; batchId books the usage to the run. With PII pseudonymization results come
+ *   mapped back, every entry with pseudonymized: [tokens]
+ * @returns {Promise<Object>} - Payload of the final "done" event ({ completed, total, parseStatus, usage })
+ * @throws {Error} - AbortError when cancelled (see isAbortError)
+ */
+export async function streamBatchSearch(documentText, queries, { onProgress, onResult, onError, signal, cache, batchId } = {}) {
+  logger.info('AI_SEARCH', 'Starting streamed batch search', {
+    queries: queries.length,
+    documentLength: documentText.length
+  });
+
+  const mapping = isPseudonymizationEnabled() ? pseudonymize(documentText) : null;
+  const sentText = mapping ? mapping.text : documentText;
+  // Results go to the caller with the real values and the query as the caller asked it
+  const sentQueries = new Map(queries.map(query => [mapping ? pseudonymizeQuery(query, mapping) : query, query]));
+  const deliver = (query, results) => onResult?.({
+    query,
+    results: mapping
+      ? results.map(entry => ({ ...restoreResult(entry, mapping), query, pseudonymized: tokensIn(entry) }))
+      : results.map(entry => ({ ...entry, query }))
+  });
+
+  // Answers mirrored in IndexedDB come first, only the rest goes to the server
+  const mirror = await openMirror('batch', sentText);
+  const mirrored = mirror && cache !== false
+    ? await Promise.all([...sentQueries.keys()].map(async query => ({ query, results: await mirror.get(query) })))
+    : [];
+  const hits = mirrored.filter(item => item.results);
+  hits.forEach(({ query, results }) => deliver(sentQueries.get(query), results.map(entry => ({ ...entry, cached: true }))));
+
+  const remaining = [...sentQueries.keys()].filter(query => !hits.some(hit => hit.query === query));
+  if (remaining.length === 0) {
+    const repaired = hits.some(hit => hit.results.some(entry => entry.parseStatus === 'repaired'));
+    return { completed: queries.length, total: queries.length, parseStatus: repaired ? 'repaired' : 'parsed', usage: null };
+  }
+
+  const response = await fetch('/api/batch-stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...sessionHeaders() },
+    body: JSON.stringify({
+      queries: remaining,
+      document: normalizeForAI(sentText),  // Same model input (and cache key) as a single search
+      originalDocument: sentText,
+      batchId,
+      ...(cache === false ? { cache } : {}),
+      ...(mapping ? { pseudonymized: mapping.counts } : {})
+    }),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `HTTP ${response.status}`);
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let summary = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = parseServerEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (!message) continue;
+
+      if (message.event === 'progress') {
+        onProgress?.({ ...message.data, queries: message.data.queries?.map(query => sentQueries.get(query) ?? query) });
+      }
+      else if (message.event === 'result') {
+        const { query, results } = message.data;
+        deliver(sentQueries.get(query) ?? query, results);
+        if (results.every(entry => entry.parseStatus !== 'fallback')) await mirror?.set(query, results);
+      }
+      else if (message.event === 'error') {
+        onError?.({ ...message.data, queries: message.data.queries?.map(query => sentQueries.get(query) ?? query) });
+      }
+      else if (message.event === 'done') summary = message.data;
+    }
+  }
+
+  // Stream ended without "done" - server or connection died mid-run
+  if (!summary) throw new Error('Spojení se serverem bylo přerušeno');
+
+  logger.info('AI_SEARCH', 'Streamed batch search completed', { ...summary, mirrored: hits.length });
+  return { ...summary, completed: summary.completed + hits.length, total: queries.length };
+}
+
 /**
  * Normalize text for AI processing
  * - Remove diacritics for better matching
@@ -98,22 +271,54 @@ function normalizeForAI(text) {
 
 /**
  * Batch search - multiple queries at once
+ * Runs up to `concurrency` searches side by side; pacing and rate-limit backoff are done
+ * by the server's scheduler (LLM_CONCURRENCY, LLM_RATE_PER_MINUTE), not here
  * @param {string} documentText - Document to search
- * @param {string[]} queries - Array of queries
- * @returns {Promise<Object[]>} - Array of results
+ * @param {string[]} queries - Array of queries, most important first
+ * @param {Object} options - { signal, concurrency = 3 } - a cancelled run starts no further queries
+ * @returns {Promise<Object[]>} - Array of results in query order (cancelled ones are left out)
  */
-export async function batchAISearch(documentText, queries) {
-  const results = [];
-
-  for (const query of queries) {
-    const result = await aiSearch(documentText, query);
-    results.push(result);
+export async function batchAISearch(documentText, queries, { signal, concurrency = 3 } = {}) {
+  const results = new Array(queries.length);
+  let next = 0;
 
-    // Small delay to avoid rate limiting
-    if (queries.indexOf(query) < queries.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 500));
+  const worker = async () => {
+    while (next < queries.length && !signal?.aborted) {
+      const index = next++;
+      results[index] = await aiSearch(documentText, queries[index], { signal });
     }
-  }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queries.length) }, worker));
+  return results.filter(result => result && !result.cancelled);
+}
 
-  return results;
-}
\ No newline at end of file
+/**
+ * Contract type of a document and its extraction template (see server/contractTemplates.js)
+ * The server gets the tokenized text when pseudonymization is on - the type does not depend on personal data
+ * @returns {Promise<Object>} - { contractType, label, confidence, reason, source, parseStatus, template }
+ * @throws {Error} - with the server's message
+ */
+export async function classifyDocument(documentText, { signal } = {}) {
+  const mapping = isPseudonymizationEnabled() ? pseudonymize(documentText) : null;
+
+  const response = await fetch('/api/classify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...sessionHeaders() },
+    body: JSON.stringify({
+      document: mapping ? mapping.text : documentText,
+      ...(mapping ? { pseudonymized: mapping.counts } : {})
+    }),
+    signal
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+  logger.info('AI_SEARCH', 'Document classified', {
+    contractType: data.contractType,
+    source: data.source,
+    confidence: data.confidence
+  });
+  return data;
+}
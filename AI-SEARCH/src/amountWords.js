@@ -0,0 +1,178 @@
+/**
+ * Amounts in words ("slovy") and their cross-check
+ * Contracts state an amount twice - "7 850 000 Kč (slovy: sedm milionů osm set padesát tisíc korun českých)".
+ * Every amount found by CZECH_LEGAL_PATTERNS.amount in an extracted value is looked up in the document,
+ * the "slovy" text right after it is parsed and both numbers are compared.
+ * A mismatch is a high-severity finding - one of the two is a typo and the contract is ambiguous.
+ *
+ * Words may be separate or joined ("osmsetpadesáttisíc"), with or without diacritics.
+ */
+
+import { removeDiacritics } from './documentNormalizer.js';
+import { CZECH_LEGAL_PATTERNS } from './contractAnalyzer.js';
+import { parseCzechNumber } from './valueNormalization.js';
+
+// Number words without diacritics - matched longest first, so "sedmnact" wins over "sedm"
+const NUMBER_WORDS = {
+  nula: 0, jeden: 1, jedna: 1, jedno: 1, jednu: 1, dva: 2, dve: 2, tri: 3, ctyri: 4, pet: 5, sest: 6,
+  sedm: 7, osm: 8, devet: 9, deset: 10, jedenact: 11, dvanact: 12, trinact: 13, ctrnact: 14,
+  patnact: 15, sestnact: 16, sedmnact: 17, osmnact: 18, devatenact: 19,
+  dvacet: 20, tricet: 30, ctyricet: 40, padesat: 50, sedesat: 60, sedmdesat: 70, osmdesat: 80, devadesat: 90,
+  sto: 100, sta: 100, ste: 100, set: 100
+};
+
+const SCALE_WORDS = {
+  tisic: 1e3, tisice: 1e3, tisicu: 1e3,
+  milion: 1e6, miliony: 1e6, milionu: 1e6,
+  miliarda: 1e9, miliardy: 1e9, miliard: 1e9
+};
+
+// Words that end the number part ("... korun českých", "... eur")
+const CURRENCY_WORDS = [
+  ['CZK', /^(?:korun|koruna|koruny|kc|czk)/],
+  ['EUR', /^(?:eur|euro)/],
+  ['USD', /^(?:dolar|usd)/]
+];
+
+const MORPHEMES = [...Object.keys(NUMBER_WORDS), ...Object.keys(SCALE_WORDS), 'a']
+  .sort((a, b) => b.length - a.length);
+
+// How far after an amount its "slovy" may start, and how long the words may run
+const WORDS_WINDOW = 120;
+const WORDS_MAX_LENGTH = 200;
+
+/**
+ * Split a run of letters into number words ("osmsetpadesat" -> ["osm", "set", "padesat"]), null if it does not split
+ */
+function splitWords(run) {
+  const words = [];
+  let position = 0;
+  while (position < run.length) {
+    const word = MORPHEMES.find(candidate => run.startsWith(candidate, position));
+    if (!word) return null;
+    words.push(word);
+    position += word.length;
+  }
+  return words;
+}
+
+/**
+ * Value of a whole-number phrase
+ */
+function wordsValue(words) {
+  let total = 0;
+  let group = 0; // part below a thousand
+  words.forEach(word => {
+    if (word === 'a') return;
+    if (SCALE_WORDS[word]) {
+      total += (group || 1) * SCALE_WORDS[word];
+      group = 0;
+    } else if (NUMBER_WORDS[word] === 100) {
+      // "pět set", "jedenáct set" (1100), "sto" on its own
+      group = group > 0 && group < 100 ? group * 100 : group + 100;
+    } else {
+      group += NUMBER_WORDS[word];
+    }
+  });
+  return total + group;
+}
+
+/**
+ * Parse Czech number words
+ * @param {string} text - "sedm milionů osm set padesát tisíc korun českých a padesát haléřů"
+ * @returns {Object|null} - { number, currency } - currency is null when the words do not name one,
+ *   null when the text is not a number in words
+ */
+export function parseCzechNumberWords(text) {
+  const tokens = removeDiacritics(String(text || '')).toLowerCase().match(/[a-z]+/g) || [];
+  const whole = [];
+  const fraction = [];
+  let currency = null;
+  let target = whole;
+
+  for (const token of tokens) {
+    const currencyWord = CURRENCY_WORDS.find(([, pattern]) => pattern.test(token));
+    if (currencyWord) {
+      currency = currency || currencyWord[0];
+      target = fraction; // haléře / centy follow the currency
+      continue;
+    }
+    if (/^(?:cesk|halir|haler|cent)/.test(token)) continue;
+    const words = splitWords(token);
+    if (!words) {
+      if (target === fraction) break; // text after the amount
+      return null;
+    }
+    target.push(...words);
+  }
+
+  if (!whole.some(word => word !== 'a')) return null;
+  const cents = fraction.some(word => word !== 'a') ? wordsValue(fraction) : 0;
+  return { number: wordsValue(whole) + cents / 100, currency };
+}
+
+/**
+ * The "slovy" text following an amount in the document
+ * @returns {Object|null} - { start, end, text }
+ */
+export function findAmountInWords(text, amountEnd) {
+  const window = text.slice(amountEnd, amountEnd + WORDS_WINDOW + WORDS_MAX_LENGTH);
+  const match = window.match(/slovy\s*[:\-–]?\s*/i);
+  if (!match || match.index > WORDS_WINDOW) return null;
+  // Another amount in between - the words belong to that one
+  if (/\d{2,}/.test(window.slice(0, match.index))) return null;
+
+  const wordsStart = match.index + match[0].length;
+  const rest = window.slice(wordsStart);
+  const length = rest.search(/[)\]\n;]|\.\s|\d/);
+  const wordsText = (length === -1 ? rest : rest.slice(0, length)).replace(/[\s,.]+$/, '');
+  if (!wordsText) return null;
+  return { start: amountEnd + wordsStart, end: amountEnd + wordsStart + wordsText.length, text: wordsText };
+}
+
+const currencyOfFigure = (figure) => {
+  if (/eur|€/i.test(figure)) return 'EUR';
+  return /kč|czk|korun/i.test(figure) ? 'CZK' : null;
+};
+
+// Czech number for messages ("7 850 000")
+const formatNumber = (number) => number.toLocaleString('cs-CZ', { maximumFractionDigits: 2 });
+
+/**
+ * Cross-check the amounts of an extracted value against their "slovy" counterparts
+ * @param {string} text - Document text
+ * @param {Object} span - { start, end } of the value in the text
+ * @returns {Array} - [{ figure, words, figureValue, wordsValue, status: 'match'|'mismatch'|'unparsed', severity, label, message }]
+ *   one entry per amount that has a "slovy" text
+ */
+export function crossCheckAmountWords(text, span) {
+  if (!text || !span || typeof span.start !== 'number') return [];
+  // The words may come after the extracted span - "7 850 000 Kč" extracted, "(slovy: ...)" follows
+  const region = text.slice(span.start, span.end);
+  const pattern = new RegExp(CZECH_LEGAL_PATTERNS.amount.pattern.source, CZECH_LEGAL_PATTERNS.amount.pattern.flags);
+
+  return [...region.matchAll(pattern)].flatMap(match => {
+    const figure = match[0];
+    const figureEnd = span.start + match.index + figure.length;
+    const words = findAmountInWords(text, figureEnd);
+    if (!words) return [];
+
+    const figureValue = parseCzechNumber(figure.match(/[\d\s .,]*\d/)[0].trim());
+    const parsed = parseCzechNumberWords(words.text);
+    if (!parsed || figureValue === null) {
+      return [{ figure, words: words.text, figureValue, wordsValue: null, status: 'unparsed', severity: 'low', label: 'slovy nečitelné', message: `Částku slovy „${words.text}“ se nepodařilo přečíst` }];
+    }
+
+    const figureCurrency = currencyOfFigure(figure);
+    const sameCurrency = !parsed.currency || !figureCurrency || parsed.currency === figureCurrency;
+    const sameNumber = Math.abs(parsed.number - figureValue) < 0.005;
+    if (sameNumber && sameCurrency) {
+      return [{ figure, words: words.text, figureValue, wordsValue: parsed.number, status: 'match', severity: null, label: 'slovy', message: `Částka souhlasí se slovy: ${words.text}` }];
+    }
+
+    const message = sameNumber
+      ? `Měna číslem (${figureCurrency}) a slovy (${parsed.currency}) nesouhlasí: „${figure}“ × „${words.text}“`
+      : `Částka číslem ${formatNumber(figureValue)} a slovy ${formatNumber(parsed.number)} nesouhlasí: „${figure}“ × „${words.text}“`;
+    return [{ figure, words: words.text, figureValue, wordsValue: parsed.number, status: 'mismatch', severity: 'high', label: 'slovy nesouhlasí', message }];
+  });
+}
@@ -0,0 +1,47 @@
+/**
+ * Login session
+ * The server checks the account and keeps the session in an HttpOnly cookie (see server/auth.js) -
+ * the browser sends it with every /api request and no script here ever sees the token.
+ * Roles and permissions come with the session; the UI hides what the user may not do,
+ * the server refuses it either way.
+ */
+
+export const ROLE_LABELS = {
+  analyst: 'analytik',
+  reviewer: 'revizor',
+  admin: 'správce'
+};
+
+/**
+ * @param {Object|null} user - { username, roles, permissions } from the session
+ */
+export const can = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+const postJson = (url, body) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body || {})
+});
+
+/**
+ * Current session
+ * @returns {Promise<Object|null>} - { user: { username, roles, permissions }, expiresAt }, null when not logged in
+ */
+export async function fetchSession() {
+  const response = await fetch('/api/auth/session');
+  return response.ok ? response.json() : null;
+}
+
+/**
+ * @returns {Promise<Object>} - { user, expiresAt }; throws with the server's message on failure
+ */
+export async function login(username, password) {
+  const response = await postJson('/api/auth/login', { username, password });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data;
+}
+
+export async function logout() {
+  await postJson('/api/auth/logout');
+}
@@ -0,0 +1,47 @@
+import './DocumentTabs.css';
+
+const FORMAT_LABELS = {
+  pdf: 'PDF',
+  docx: 'DOCX'
+};
+
+/**
+ * Tab bar of the multi-document workspace
+ */
+const DocumentTabs = ({ documents, activeDocumentId, onSelect, onClose, onAdd }) => {
+  return (
+    <div className="document-tabs" role="tablist">
+      {documents.map(doc => (
+        <div
+          key={doc.id}
+          role="tab"
+          aria-selected={doc.id === activeDocumentId}
+          className={`document-tab ${doc.id === activeDocumentId ? 'active' : ''}`}
+          onClick={() => onSelect(doc.id)}
+          title={doc.name}
+        >
+          {FORMAT_LABELS[doc.structure?.format] && (
+            <span className="document-tab-format">{FORMAT_LABELS[doc.structure.format]}</span>
+          )}
+          <span className="document-tab-name">{doc.name}</span>
+          {doc.history.length > 0 && (
+            <span className="document-tab-count" title="Počet vyhledávání v dokumentu">
+              {doc.history.length}
+            </span>
+          )}
+          <button
+            className="document-tab-close"
+            onClick={(e) => {
+              e.stopPropagation();
+              onClose(doc.id);
+            }}
+            title="Zavřít dokument"
+          >×</button>
+        </div>
+      ))}
+      <button className="document-tab-add" onClick={onAdd} title="Nový dokument (vložit text)">+</button>
+    </div>
+  );
+};
+
+export default DocumentTabs;
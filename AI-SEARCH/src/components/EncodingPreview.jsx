@@ -0,0 +1,65 @@
+import { useMemo, useState } from 'react';
+import './EncodingPreview.css';
+import { SUPPORTED_ENCODINGS, decodeBytes } from '../encodingDetection.js';
+
+const PREVIEW_LENGTH = 800;
+
+const METHOD_LABELS = {
+  bom: 'podle BOM',
+  utf8: 'platné UTF-8',
+  statistics: 'odhad podle četnosti znaků'
+};
+
+/**
+ * Preview of a plain-text upload with encoding override
+ * Shown before the decoded text is used as the document
+ */
+const EncodingPreview = ({ fileName, bytes, detection, onConfirm, onCancel }) => {
+  const [encoding, setEncoding] = useState(detection.encoding);
+
+  const preview = useMemo(() => {
+    try {
+      return decodeBytes(bytes.subarray(0, PREVIEW_LENGTH * 4), encoding).slice(0, PREVIEW_LENGTH);
+    } catch {
+      return '';
+    }
+  }, [bytes, encoding]);
+
+  return (
+    <div className="encoding-overlay">
+      <div className="encoding-dialog">
+        <div className="encoding-header">
+          <h3>Kódování souboru</h3>
+          <span className="encoding-file">{fileName}</span>
+        </div>
+
+        <div className="encoding-detected">
+          Zjištěno: <strong>{SUPPORTED_ENCODINGS.find(e => e.value === detection.encoding)?.label || detection.encoding}</strong>
+          {' '}({METHOD_LABELS[detection.method] || detection.method})
+        </div>
+
+        <label className="encoding-select-label">
+          Použít kódování:
+          <select
+            value={encoding}
+            onChange={(e) => setEncoding(e.target.value)}
+            className="encoding-select"
+          >
+            {SUPPORTED_ENCODINGS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <pre className="encoding-preview">{preview}</pre>
+
+        <div className="encoding-actions">
+          <button className="encoding-cancel-btn" onClick={onCancel}>Zrušit</button>
+          <button className="encoding-confirm-btn" onClick={() => onConfirm(encoding)}>Použít</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EncodingPreview;
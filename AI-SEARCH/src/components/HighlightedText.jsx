@@ -3,9 +3,13 @@ import * as React from 'react';
 import './HighlightedText.css';
 import { removeDiacritics } from '../documentNormalizer.js';
 
+// Highlight entries are plain values or grounded spans { value, start, end }
+const valueOf = (entry) => (typeof entry === 'string' ? entry : entry.value);
+
 /**
  * Component to display text with highlighted search results
- * Supports highlighting multiple values (array) or a single value (string)
+ * Supports highlighting multiple values (array) or a single value (string).
+ * Entries with start/end highlight exactly that span, plain values every occurrence.
  */
 const HighlightedText = forwardRef(({ text, highlight, showValidation, onValidate, onHighlightClick }, ref) => {
   const containerRef = useRef(null);
@@ -34,7 +38,7 @@ const HighlightedText = forwardRef(({ text, highlight, showValidation, onValidat
 
     if (highlight && Array.isArray(highlight) && highlight.length > 0) {
       // Find highlights that match the current search value(s)
-      highlight.forEach(searchValue => {
+      highlight.map(valueOf).forEach(searchValue => {
         const normalizedSearchValue = removeDiacritics(searchValue).toLowerCase();
         let refs = highlightsByValue.current.get(searchValue);
         if (!refs || refs.length === 0) {
@@ -98,7 +102,7 @@ const HighlightedText = forwardRef(({ text, highlight, showValidation, onValidat
 
     if (valuesToHighlight && Array.isArray(valuesToHighlight)) {
       // Try to find specific values using Map
-      valuesToHighlight.forEach(value => {
+      valuesToHighlight.map(valueOf).forEach(value => {
         const normalizedSearchValue = removeDiacritics(value).toLowerCase();
 
         // Try both original and normalized value as keys
@@ -182,7 +186,14 @@ const HighlightedText = forwardRef(({ text, highlight, showValidation, onValidat
 
   // Build a map of positions to highlight
   const highlightPositions = [];
-  highlightValues.forEach(value => {
+  highlightValues.forEach(entry => {
+    // Grounded span from the backend - exactly this occurrence
+    if (typeof entry === 'object' && typeof entry.start === 'number' && entry.end <= text.length) {
+      highlightPositions.push({ start: entry.start, end: entry.end, value: entry.value });
+      return;
+    }
+
+    const value = valueOf(entry);
     // Normalize value the same way
     const normalizedValue = removeDiacritics(value).toLowerCase();
     let index = normalizedText.indexOf(normalizedValue);
@@ -0,0 +1,84 @@
+import { useEffect, useRef, useState } from 'react';
+import './PdfPageView.css';
+import { renderPdfPage } from '../pdfParser.js';
+
+/**
+ * Renders one PDF page and draws highlight boxes over it
+ * Boxes are in PDF viewport units (scale 1, top-left origin)
+ */
+const PdfPageView = ({ file, page, pageCount, boxes = [], onPageChange }) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [scale, setScale] = useState(null);
+  const [isRendering, setIsRendering] = useState(false);
+  const [renderError, setRenderError] = useState('');
+
+  useEffect(() => {
+    if (!file || !canvasRef.current) return;
+
+    let cancelled = false;
+    setIsRendering(true);
+    setRenderError('');
+
+    (async () => {
+      try {
+        const data = await file.arrayBuffer();
+        const width = containerRef.current?.clientWidth ? containerRef.current.clientWidth - 32 : undefined;
+        const usedScale = await renderPdfPage(data, page, canvasRef.current, width);
+        if (!cancelled) setScale(usedScale);
+      } catch (error) {
+        console.error('PDF render error:', error);
+        if (!cancelled) setRenderError('Stránku se nepodařilo vykreslit');
+      } finally {
+        if (!cancelled) setIsRendering(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file, page]);
+
+  const pageBoxes = boxes.filter(box => box.page === page);
+
+  return (
+    <div className="pdf-page-view" ref={containerRef}>
+      <div className="pdf-page-toolbar">
+        <button
+          className="pdf-page-nav"
+          onClick={() => onPageChange?.(page - 1)}
+          disabled={page <= 1}
+        >
+          ‹
+        </button>
+        <span>Strana {page}{pageCount ? ` / ${pageCount}` : ''}</span>
+        <button
+          className="pdf-page-nav"
+          onClick={() => onPageChange?.(page + 1)}
+          disabled={pageCount ? page >= pageCount : false}
+        >
+          ›
+        </button>
+        {isRendering && <span className="pdf-page-status">Vykresluji...</span>}
+        {renderError && <span className="pdf-page-status error">{renderError}</span>}
+      </div>
+      <div className="pdf-page-canvas-wrapper">
+        <canvas ref={canvasRef} />
+        {scale && pageBoxes.map((box, index) => (
+          <div
+            key={index}
+            className="pdf-highlight-box"
+            style={{
+              left: `${box.x * scale}px`,
+              top: `${box.y * scale}px`,
+              width: `${box.width * scale}px`,
+              height: `${box.height * scale}px`
+            }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PdfPageView;
@@ -0,0 +1,107 @@
+import { useMemo, useState } from 'react';
+import './RedactionDialog.css';
+import {
+  REDACTION_CATEGORIES,
+  DEFAULT_REDACTION_CATEGORIES,
+  findRedactions,
+  redactText,
+  countRedactions
+} from '../redaction.js';
+
+const PREVIEW_LENGTH = 1500;
+
+const FORMATS = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'docx', label: 'DOCX' },
+  { value: 'txt', label: 'Text (.txt)' }
+];
+
+/**
+ * Redacted copy of the active document - the user picks the categories and the format,
+ * the preview shows the blacked-out text before anything is exported
+ */
+const RedactionDialog = ({ documentName, text, history, structure, onExport, onCancel }) => {
+  const [categories, setCategories] = useState(DEFAULT_REDACTION_CATEGORIES);
+  const [format, setFormat] = useState('pdf');
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Counts per category with everything selected - the checkboxes show what each one would remove
+  const available = useMemo(
+    () => countRedactions(findRedactions(text, { history, structure, categories: REDACTION_CATEGORIES.map(c => c.type) })),
+    [text, history, structure]
+  );
+  const redactions = useMemo(
+    () => findRedactions(text, { history, structure, categories }),
+    [text, history, structure, categories]
+  );
+  const preview = useMemo(() => redactText(text, redactions).slice(0, PREVIEW_LENGTH), [text, redactions]);
+
+  const toggleCategory = (type) => {
+    setCategories(prev => (prev.includes(type) ? prev.filter(item => item !== type) : [...prev, type]));
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      await onExport(format, redactions, categories);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="redaction-overlay">
+      <div className="redaction-dialog">
+        <div className="redaction-header">
+          <h3>Začerněná kopie</h3>
+          <span className="redaction-file">{documentName}</span>
+        </div>
+
+        <div className="redaction-categories">
+          {REDACTION_CATEGORIES.map(category => (
+            <label key={category.type} className="redaction-category">
+              <input
+                type="checkbox"
+                checked={categories.includes(category.type)}
+                onChange={() => toggleCategory(category.type)}
+              />
+              {category.label}
+              <span className="redaction-count">{available[category.type] || 0}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="redaction-summary">
+          Začerní se {redactions.length} míst - nalezené vzory v textu a podložené výsledky hledání.
+          Protokol se stáhne zvlášť: obsahuje odstraněné údaje, neposílejte ho s kopií.
+        </div>
+
+        <pre className="redaction-preview">
+          {preview}
+          {text.length > PREVIEW_LENGTH && '\n…'}
+        </pre>
+
+        <div className="redaction-actions">
+          <label className="redaction-format-label">
+            Formát:
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className="redaction-format">
+              {FORMATS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <button className="redaction-cancel-btn" onClick={onCancel}>Zrušit</button>
+          <button
+            className="redaction-confirm-btn"
+            onClick={handleExport}
+            disabled={isExporting || categories.length === 0}
+          >
+            {isExporting ? 'Exportuji...' : 'Exportovat'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RedactionDialog;
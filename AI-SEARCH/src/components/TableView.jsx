@@ -1,5 +1,15 @@
 import { useState, useMemo } from 'react'
 import './TableView.css'
+import { locateEntry, findValueRange, ungroundedTitle, FORMAT_FALLBACK_TITLE, CANCELLED_TITLE, CACHED_TITLE, PSEUDONYMIZED_TITLE } from '../documentLocation.js'
+import { buildDocumentMatrix, formatMatrixCell, formatMatrixValue } from '../documentWorkspace.js'
+import { validateIdentifier, VERDICTS, IDENTIFIER_LABELS } from '../identifierValidation.js'
+import { normalizeTypedValue, compareTypedValues, VALUE_KINDS } from '../valueNormalization.js'
+import { crossCheckAmountWords } from '../amountWords.js'
+
+// Names of the value kinds and identifiers a template field may expect
+const FIELD_TYPE_LABELS = { ...VALUE_KINDS, ...IDENTIFIER_LABELS }
+
+const FINDING_ICONS = { high: '⚠', medium: '⚠', low: '?' }
 
 const TableView = ({
   searchResults = [],
@@ -7,21 +17,30 @@ const TableView = ({
   onExport,
   onResultClick,
   onDelete,
-  selectedFields = ['category', 'query', 'label', 'value', 'absoluteValue', 'type'],
+  onClearCache,
+  documentText = '',
+  documentStructure = null,
+  documents = [], // Workspace documents - rows are located in the document they come from
+  layout = 'list', // 'list' | 'matrix' (documents as rows, queries as columns)
+  onLayoutChange,
+  selectedFields = ['document', 'category', 'query', 'label', 'value', 'absoluteValue', 'type', 'location'],
   showExportOptions = true
 }) => {
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' })
   const [selectedRows, setSelectedRows] = useState(new Set())
   const [filterText, setFilterText] = useState('')
+  const [verdictFilter, setVerdictFilter] = useState('all') // 'all' | 'valid' | 'invalid' | 'unchecked' | 'findings'
 
   // Available columns for export
   const availableColumns = [
+    { key: 'document', label: 'Dokument', type: 'text' },
     { key: 'category', label: 'Kategorie', type: 'text' },
     { key: 'query', label: 'Dotaz', type: 'text' },
     { key: 'label', label: 'Popisek', type: 'text' },
     { key: 'value', label: 'Hodnota', type: 'text' },
-    { key: 'absoluteValue', label: 'Absolutní hodnota', type: 'text' },
-    { key: 'type', label: 'Typ', type: 'text' }
+    { key: 'absoluteValue', label: 'Normalizovaná hodnota', type: 'text' },
+    { key: 'type', label: 'Typ', type: 'text' },
+    { key: 'location', label: 'Umístění', type: 'text' }
   ]
 
   // Detect if value is number or text
@@ -38,7 +57,7 @@ const TableView = ({
     return numericPattern.test(str) ? 'number' : 'text'
   }
 
-  // Extract absolute numeric value (remove all non-digits)
+  // Digits of a value without a typed form (identifiers: 940819/1011 -> 9408191011)
   const extractAbsoluteValue = (value, valueType) => {
     if (!value || valueType === 'text') return ''
 
@@ -49,44 +68,133 @@ const TableView = ({
     return digitsOnly || ''
   }
 
+  // Where in the source document the value is ("strana 3, řádek 14")
+  // and whether it comes from a low-confidence OCR region
+  // entry is { value, start?, end?, grounded?, ambiguous? } - grounded spans are used as they are
+  const describeLocation = (result, entry) => {
+    const source = documents.find(doc => doc.id === result.documentId)
+    const text = source ? source.text : documentText
+    const structure = source ? source.structure : documentStructure
+    const grounded = typeof entry === 'object' ? entry.grounded : undefined
+    const ambiguous = typeof entry === 'object' ? entry.ambiguous : undefined
+    if (!text) return { location: '', ocrConfidence: null, lowConfidence: false, grounded, ambiguous }
+    const found = locateEntry(text, structure, entry)
+    return {
+      location: found?.label || '',
+      ocrConfidence: found?.ocrConfidence ?? null,
+      lowConfidence: !!found?.lowConfidence,
+      grounded,
+      ambiguous
+    }
+  }
+
+  // Typed value (amount + currency, ISO date, %, m², duration, phone) - see valueNormalization.js
+  // type is the kind of the value, absoluteValue its canonical form; sorting goes by typedValue
+  const typeValue = (value, query) => {
+    const typedValue = normalizeTypedValue(value, { query })
+    const valueType = detectValueType(value)
+    return {
+      type: typedValue?.kind || valueType,
+      absoluteValue: typedValue?.canonical || extractAbsoluteValue(value, valueType),
+      typedValue
+    }
+  }
+
+  // Amounts of the value against their "slovy" text in the document - see amountWords.js
+  // findings are the mismatches (high) and words that could not be read (low)
+  const checkAmountWords = (result, entry) => {
+    const source = documents.find(doc => doc.id === result.documentId)
+    const text = source ? source.text : documentText
+    if (!text || entry?.grounded === false) return { amountWords: [], findings: [] }
+    const span = typeof entry?.start === 'number' && typeof entry?.end === 'number'
+      ? entry
+      : findValueRange(text, typeof entry === 'object' ? entry?.value : entry)
+    const amountWords = crossCheckAmountWords(text, span)
+    return { amountWords, findings: amountWords.filter(check => check.severity) }
+  }
+
+  // Checksum verdict of the value (RČ, IČO, DIČ, IBAN, account number) - see identifierValidation.js
+  const checkValue = (value, query) => {
+    const { verdict, reason, kind } = validateIdentifier(value, { query })
+    return { checksum: verdict, checksumReason: reason, checksumKind: kind }
+  }
+
+  // Value against the template field it answers (result.field, see server/contractTemplates.js) -
+  // wrong kind of value (medium), failed checksum (high), amount without its "slovy" (low)
+  const checkField = (row) => {
+    const field = row.rawResult.field
+    const value = String(row.value ?? '').trim()
+    if (!field || !value || value === 'Nenalezeno' || row.status === 'cancelled') return row
+
+    const findings = []
+    const actual = IDENTIFIER_LABELS[field.type] ? row.checksumKind : row.typedValue?.kind
+    if (field.type !== 'text' && actual !== field.type) {
+      findings.push({
+        severity: 'medium',
+        label: 'jiný typ',
+        message: `Šablona očekává ${FIELD_TYPE_LABELS[field.type]}, hodnota ${actual ? `je ${FIELD_TYPE_LABELS[actual]}` : 'tento typ neobsahuje'}`
+      })
+    }
+    if (field.validators.includes('checksum') && row.checksum === 'invalid') {
+      findings.push({ severity: 'high', label: 'kontrolní součet', message: row.checksumReason })
+    }
+    if (field.validators.includes('amountWords') && actual === 'amount' && row.grounded !== false && row.amountWords.length === 0) {
+      findings.push({ severity: 'low', label: 'bez slovy', message: 'Šablona očekává částku i slovy, v dokumentu za částkou chybí' })
+    }
+    return findings.length > 0 ? { ...row, findings: [...row.findings, ...findings] } : row
+  }
+
   // Transform search results for table display
   const tableData = useMemo(() => {
     const rows = []
 
     searchResults.forEach((result, index) => {
       if (result.answer) {
-        // AI response format
-        if (result.answer.type === 'single') {
+        // AI response format - yes/no questions answer with a plain "Ano"/"Ne"
+        const answer = typeof result.answer === 'string' ? { type: 'single', value: result.answer } : result.answer
+        if (answer.type === 'single') {
           // Single result - one row
-          const value = result.answer.value
-          const valueType = detectValueType(value)
-          const absoluteValue = extractAbsoluteValue(value, valueType)
+          const value = answer.value
 
           rows.push({
-            id: `${index}-0`,
+            id: `${result.id ?? index}-0`,
+            document: result.documentName || '',
             category: result.category || '',
             query: result.query || 'Dotaz',
-            label: result.answer.label || 'Výsledek',
+            label: answer.label || 'Výsledek',
             value: value,
-            type: valueType,
-            absoluteValue: absoluteValue,
+            ...typeValue(value, result.query),
+            ...checkValue(value, result.query),
+            ...checkAmountWords(result, answer),
+            ...describeLocation(result, result.fullContext
+              ? { value: result.fullContext, ...result.fullContextSpan }
+              : answer),
+            parseStatus: result.parseStatus,
+            status: result.status, // 'cancelled' when the run was stopped before the answer
+            cached: result.cached, // answered from the result cache, no model call
+            pseudonymized: result.pseudonymized, // tokens the model answered with (PII pseudonymization)
             rawResult: result
           })
-        } else if (result.answer.type === 'multiple' && result.answer.results?.length > 0) {
+        } else if (answer.type === 'multiple' && answer.results?.length > 0) {
           // Multiple results - separate row for each
-          result.answer.results.forEach((item, itemIndex) => {
+          answer.results.forEach((item, itemIndex) => {
             const value = item.value
-            const valueType = detectValueType(value)
-            const absoluteValue = extractAbsoluteValue(value, valueType)
 
             rows.push({
-              id: `${index}-${itemIndex}`,
+              id: `${result.id ?? index}-${itemIndex}`,
+              document: result.documentName || '',
               category: result.category || '',
               query: result.query || 'Dotaz',
               label: item.label || 'Výsledek',
               value: value,
-              type: valueType,
-              absoluteValue: absoluteValue,
+              ...typeValue(value, result.query),
+              ...checkValue(value, result.query),
+              ...checkAmountWords(result, item),
+              ...describeLocation(result, item),
+              parseStatus: result.parseStatus,
+              status: result.status,
+              cached: result.cached,
+              pseudonymized: result.pseudonymized,
               rawResult: result
             })
           })
@@ -94,36 +202,53 @@ const TableView = ({
       } else {
         // Fallback for non-AI results
         const value = typeof result.value === 'string' ? result.value : (result.content || '')
-        const valueType = detectValueType(value)
-        const absoluteValue = extractAbsoluteValue(value, valueType)
 
         rows.push({
           id: result.id || index,
+          document: result.documentName || '',
           category: result.category || '',
           query: result.query || 'Dotaz',
           label: result.label || 'Výsledek',
           value: value,
-          type: valueType,
-          absoluteValue: absoluteValue,
+          ...typeValue(value, result.query),
+          ...checkValue(value, result.query),
+          ...checkAmountWords(result, value),
+          ...describeLocation(result, value),
+          parseStatus: result.parseStatus,
+          status: result.status,
+          cached: result.cached,
+          pseudonymized: result.pseudonymized,
           rawResult: result
         })
       }
     })
 
-    return rows
-  }, [searchResults])
+    return rows.map(checkField)
+  }, [searchResults, documents, documentText, documentStructure])
 
   // Filter data based on search text
   const filteredData = useMemo(() => {
-    if (!filterText) return tableData
+    const byVerdict = verdictFilter === 'all' ? tableData
+      : verdictFilter === 'findings' ? tableData.filter(row => row.findings.length > 0)
+      : tableData.filter(row => row.checksum === verdictFilter)
+    if (!filterText) return byVerdict
     
     const searchTerm = filterText.toLowerCase()
-    return tableData.filter(row => 
+    return byVerdict.filter(row => 
       Object.values(row).some(value => 
         String(value).toLowerCase().includes(searchTerm)
       )
     )
-  }, [tableData, filterText])
+  }, [tableData, filterText, verdictFilter])
+
+  // Rows per verdict for the filter options
+  const verdictCounts = useMemo(() => tableData.reduce((counts, row) => ({
+    ...counts,
+    [row.checksum]: (counts[row.checksum] || 0) + 1
+  }), {}), [tableData])
+
+  // Documents × queries matrix (built from unsorted rows - history order decides the newest run)
+  const matrix = useMemo(() => buildDocumentMatrix(filteredData), [filteredData])
 
   // Sort data
   const sortedData = useMemo(() => {
@@ -136,7 +261,10 @@ const TableView = ({
       if (aVal === bVal) return 0
       
       let comparison = 0
-      if (typeof aVal === 'number' && typeof bVal === 'number') {
+      if ((sortConfig.key === 'value' || sortConfig.key === 'absoluteValue') && (a.typedValue || b.typedValue)) {
+        // Amounts by amount, dates by day - not "10 000 Kč" before "9 000 Kč"
+        comparison = compareTypedValues(a.typedValue, b.typedValue) || String(aVal).localeCompare(String(bVal))
+      } else if (typeof aVal === 'number' && typeof bVal === 'number') {
         comparison = aVal - bVal
       } else {
         comparison = String(aVal).localeCompare(String(bVal))
@@ -202,6 +330,24 @@ const TableView = ({
     return selected.length > 0 ? selected : sortedData
   }
 
+  const handleExport = (format) => {
+    if (layout !== 'matrix') {
+      onExport?.(format, getSelectedRowsData())
+      return
+    }
+
+    // Matrix layout - Excel gets an extra sheet with the matrix as shown
+    onExport?.(format, sortedData, {
+      matrix: {
+        columns: matrix.queries,
+        rows: matrix.rows.map(row => ({
+          document: row.document,
+          values: matrix.queries.map(query => formatMatrixCell(row.cells[query]))
+        }))
+      }
+    })
+  }
+
   const handleDelete = () => {
     if (selectedRows.size > 0) {
       // Delete selected rows
@@ -228,15 +374,46 @@ const TableView = ({
             onChange={(e) => setFilterText(e.target.value)}
             className="filter-input"
           />
+          <select
+            value={verdictFilter}
+            onChange={(e) => setVerdictFilter(e.target.value)}
+            className="verdict-filter"
+            title="Kontrolní součty rodných čísel, IČO, DIČ, IBAN a čísel účtů"
+          >
+            <option value="all">Kontrola: vše</option>
+            {Object.entries(VERDICTS).map(([verdict, { label, icon }]) => (
+              <option key={verdict} value={verdict}>{icon} {label} ({verdictCounts[verdict] || 0})</option>
+            ))}
+            <option value="findings">⚠ nálezy ({tableData.filter(row => row.findings.length > 0).length})</option>
+          </select>
           <span className="result-count">
-            {selectedRows.size > 0 ? `${selectedRows.size}/${sortedData.length}` : sortedData.length} výsledků
+            {layout === 'matrix'
+              ? `${matrix.rows.length} dokumentů × ${matrix.queries.length} dotazů`
+              : `${selectedRows.size > 0 ? `${selectedRows.size}/${sortedData.length}` : sortedData.length} výsledků`}
           </span>
+          {onLayoutChange && (
+            <div className="layout-toggle">
+              <button
+                className={`layout-toggle-btn ${layout === 'list' ? 'active' : ''}`}
+                onClick={() => onLayoutChange('list')}
+              >
+                Seznam
+              </button>
+              <button
+                className={`layout-toggle-btn ${layout === 'matrix' ? 'active' : ''}`}
+                onClick={() => onLayoutChange('matrix')}
+                title="Dokumenty v řádcích, dotazy ve sloupcích"
+              >
+                Matice
+              </button>
+            </div>
+          )}
         </div>
         
         {showExportOptions && (
           <div className="export-buttons">
             <button
-              onClick={() => onExport?.('csv', getSelectedRowsData())}
+              onClick={() => handleExport('csv')}
               disabled={sortedData.length === 0}
               className="export-button"
             >
@@ -247,7 +424,7 @@ const TableView = ({
               CSV
             </button>
             <button
-              onClick={() => onExport?.('xlsx', getSelectedRowsData())}
+              onClick={() => handleExport('xlsx')}
               disabled={sortedData.length === 0}
               className="export-button"
             >
@@ -258,7 +435,7 @@ const TableView = ({
               Excel
             </button>
             <button
-              onClick={() => onExport?.('pdf', getSelectedRowsData())}
+              onClick={() => handleExport('pdf')}
               disabled={sortedData.length === 0}
               className="export-button"
             >
@@ -269,6 +446,15 @@ const TableView = ({
               </svg>
               PDF
             </button>
+            {onClearCache && (
+              <button
+                onClick={onClearCache}
+                className="export-button"
+                title="Vymazat uložené odpovědi dokumentů - další hledání se znovu zeptá modelu"
+              >
+                Vymazat cache
+              </button>
+            )}
             <button
               onClick={handleDelete}
               disabled={sortedData.length === 0}
@@ -284,102 +470,200 @@ const TableView = ({
         )}
       </div>
 
-      <div className="table-container">
-        <table className="results-table">
-          <thead>
-            <tr>
-              <th className="select-column">
-                <input
-                  type="checkbox"
-                  checked={selectedRows.size === sortedData.length && sortedData.length > 0}
-                  onChange={handleSelectAll}
-                />
-              </th>
-              {availableColumns
-                .filter(col => selectedFields.includes(col.key))
-                .map(column => (
-                  <th
-                    key={column.key}
-                    className={`sortable ${sortConfig.key === column.key ? 'sorted' : ''}`}
-                    onClick={() => handleSort(column.key)}
-                  >
-                    {column.label}
-                    <span className="sort-indicator">
-                      {getSortIcon(column.key)}
-                    </span>
-                  </th>
+      {layout === 'matrix' ? (
+        <div className="table-container">
+          <table className="results-table matrix-table">
+            <thead>
+              <tr>
+                <th className="matrix-document-column">Dokument</th>
+                {matrix.queries.map(query => (
+                  <th key={query}>{query}</th>
                 ))}
-              <th>Akce</th>
-            </tr>
-          </thead>
-          <tbody>
-            {sortedData.map((row, index) => {
-              const status = validationStatus[row.id]
-              const rowClass = `table-row ${selectedRows.has(row.id) ? 'selected' : ''} ${status === 'correct' ? 'validated-correct' : ''} ${status === 'incorrect' ? 'validated-incorrect' : ''}`
-
-              return (
-              <tr
-                key={row.id}
-                className={rowClass}
-              >
-                <td className="select-column">
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.rows.map(row => (
+                <tr key={row.documentId} className="table-row">
+                  <td className="matrix-document-column">{row.document}</td>
+                  {matrix.queries.map(query => (
+                    <td key={query} className="cell-text">
+                      {(row.cells[query] || []).map(cell => {
+                        const status = validationStatus[cell.id]
+                        return (
+                          <span
+                            key={cell.id}
+                            className={`value-cell clickable matrix-value ${status === 'correct' ? 'validated-correct' : ''} ${status === 'incorrect' ? 'validated-incorrect' : ''} ${cell.grounded === false || cell.parseStatus === 'fallback' ? 'ungrounded' : ''} ${cell.status === 'cancelled' ? 'cancelled' : ''}`}
+                            onClick={() => onResultClick?.(cell.rawResult, cell.id)}
+                            title={cell.status === 'cancelled'
+                              ? CANCELLED_TITLE
+                              : cell.parseStatus === 'fallback'
+                              ? FORMAT_FALLBACK_TITLE
+                              : cell.grounded === false ? ungroundedTitle(cell) : 'Klikněte pro zvýraznění v dokumentu'}
+                          >
+                            {formatMatrixValue(cell, row.cells[query].length)}
+                            {(cell.grounded === false || cell.parseStatus === 'fallback') && ' ⚠'}
+                          </span>
+                        )
+                      })}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {matrix.rows.length === 0 && (
+            <div className="empty-table">
+              <p>Žádné výsledky k zobrazení</p>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="results-table">
+            <thead>
+              <tr>
+                <th className="select-column">
                   <input
                     type="checkbox"
-                    checked={selectedRows.has(row.id)}
-                    onChange={() => handleRowSelect(row.id)}
+                    checked={selectedRows.size === sortedData.length && sortedData.length > 0}
+                    onChange={handleSelectAll}
                   />
-                </td>
+                </th>
                 {availableColumns
                   .filter(col => selectedFields.includes(col.key))
                   .map(column => (
-                    <td key={column.key} className={`cell-${column.type}`}>
-                      {column.key === 'value' ? (
-                        <span
-                          className="value-cell clickable"
-                          onClick={() => onResultClick?.(row.rawResult, row.id)}
-                          title="Klikněte pro zvýraznění v dokumentu"
-                        >
-                          {formatCellValue(row[column.key], column.type)}
-                        </span>
-                      ) : (
-                        formatCellValue(row[column.key], column.type)
-                      )}
-                    </td>
+                    <th
+                      key={column.key}
+                      className={`sortable ${sortConfig.key === column.key ? 'sorted' : ''}`}
+                      onClick={() => handleSort(column.key)}
+                    >
+                      {column.label}
+                      <span className="sort-indicator">
+                        {getSortIcon(column.key)}
+                      </span>
+                    </th>
                   ))}
-                <td className="actions-column">
-                  <button
-                    onClick={() => onResultClick?.(row.rawResult, row.id)}
-                    className="action-button"
-                    title="Zvýraznit v dokumentu"
-                  >
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
-                      <circle cx="11" cy="11" r="8" stroke="currentColor" strokeWidth="2"/>
-                      <path d="M21 21l-4.35-4.35" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
-                    </svg>
-                  </button>
-                  <button
-                    onClick={() => navigator.clipboard.writeText(row.value)}
-                    className="action-button"
-                    title="Kopírovat hodnotu"
-                  >
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
-                      <rect x="9" y="9" width="13" height="13" rx="2" ry="2" stroke="currentColor" strokeWidth="2"/>
-                      <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1" stroke="currentColor" strokeWidth="2"/>
-                    </svg>
-                  </button>
-                </td>
+                <th>Akce</th>
               </tr>
-              )
-            })}
-          </tbody>
-        </table>
+            </thead>
+            <tbody>
+              {sortedData.map((row, index) => {
+                const status = validationStatus[row.id]
+                const rowClass = `table-row ${selectedRows.has(row.id) ? 'selected' : ''} ${status === 'correct' ? 'validated-correct' : ''} ${status === 'incorrect' ? 'validated-incorrect' : ''} ${row.lowConfidence ? 'ocr-low-confidence' : ''} ${row.grounded === false || row.parseStatus === 'fallback' ? 'ungrounded' : ''} ${row.status === 'cancelled' ? 'cancelled' : ''} ${row.amountWords.some(check => check.status === 'mismatch') ? 'words-mismatch' : ''}`
+
+                return (
+                <tr
+                  key={row.id}
+                  className={rowClass}
+                >
+                  <td className="select-column">
+                    <input
+                      type="checkbox"
+                      checked={selectedRows.has(row.id)}
+                      onChange={() => handleRowSelect(row.id)}
+                    />
+                  </td>
+                  {availableColumns
+                    .filter(col => selectedFields.includes(col.key))
+                    .map(column => (
+                      <td key={column.key} className={`cell-${column.type}`}>
+                        {column.key === 'value' ? (
+                          <span
+                            className="value-cell clickable"
+                            onClick={() => onResultClick?.(row.rawResult, row.id)}
+                            title="Klikněte pro zvýraznění v dokumentu"
+                          >
+                            {formatCellValue(row[column.key], column.type)}
+                            {row.lowConfidence && (
+                              <span
+                                className="ocr-warning"
+                                title={`Hodnota pochází z oblasti s nízkou jistotou OCR (${row.ocrConfidence} %) - ověřte ji v dokumentu`}
+                              >
+                                ⚠ OCR {row.ocrConfidence} %
+                              </span>
+                            )}
+                            {row.grounded === false && (
+                              <span className="ungrounded-warning" title={ungroundedTitle(row)}>
+                                ⚠ {row.ambiguous ? 'nejednoznačné' : 'nepodloženo'}
+                              </span>
+                            )}
+                            {row.parseStatus === 'fallback' && (
+                              <span className="format-warning" title={FORMAT_FALLBACK_TITLE}>
+                                ⚠ chybný formát
+                              </span>
+                            )}
+                            {row.status === 'cancelled' && (
+                              <span className="cancelled-badge" title={CANCELLED_TITLE}>
+                                ⊘ zrušeno
+                              </span>
+                            )}
+                            {row.cached && (
+                              <span className="cached-badge" title={CACHED_TITLE}>
+                                ⚡ z cache
+                              </span>
+                            )}
+                            {row.pseudonymized?.length > 0 && (
+                              <span className="pseudonymized-badge" title={`${PSEUDONYMIZED_TITLE} ${row.pseudonymized.join(', ')}`}>
+                                🛡 pseudonymizováno
+                              </span>
+                            )}
+                            {row.findings.map((finding, findingIndex) => (
+                              <span key={findingIndex} className={`finding-badge finding-${finding.severity}`} title={finding.message}>
+                                {FINDING_ICONS[finding.severity]} {finding.label}
+                              </span>
+                            ))}
+                            {row.amountWords.length > 0 && row.findings.length === 0 && (
+                              <span className="amount-words-badge" title={row.amountWords.map(check => check.message).join('\n')}>
+                                ✓ slovy
+                              </span>
+                            )}
+                            {row.checksumKind && (
+                              <span className={`checksum-badge checksum-${row.checksum}`} title={row.checksumReason}>
+                                {VERDICTS[row.checksum].icon} {VERDICTS[row.checksum].label}
+                              </span>
+                            )}
+                          </span>
+                        ) : (
+                          formatCellValue(column.key === 'type' ? (VALUE_KINDS[row.type] || row.type) : row[column.key], column.type)
+                        )}
+                      </td>
+                    ))}
+                  <td className="actions-column">
+                    <button
+                      onClick={() => onResultClick?.(row.rawResult, row.id)}
+                      className="action-button"
+                      title="Zvýraznit v dokumentu"
+                    >
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
+                        <circle cx="11" cy="11" r="8" stroke="currentColor" strokeWidth="2"/>
+                        <path d="M21 21l-4.35-4.35" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => navigator.clipboard.writeText(row.value)}
+                      className="action-button"
+                      title="Kopírovat hodnotu"
+                    >
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
+                        <rect x="9" y="9" width="13" height="13" rx="2" ry="2" stroke="currentColor" strokeWidth="2"/>
+                        <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1" stroke="currentColor" strokeWidth="2"/>
+                      </svg>
+                    </button>
+                  </td>
+                </tr>
+                )
+              })}
+            </tbody>
+          </table>
         
-        {sortedData.length === 0 && (
-          <div className="empty-table">
-            <p>Žádné výsledky k zobrazení</p>
-          </div>
-        )}
-      </div>
+          {sortedData.length === 0 && (
+            <div className="empty-table">
+              <p>Žádné výsledky k zobrazení</p>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,396 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import './TemplateLibrary.css';
+import { can } from '../auth.js';
+import {
+  FIELD_TYPE_OPTIONS,
+  FIELD_VALIDATOR_OPTIONS,
+  fetchTemplates,
+  fetchTemplateVersion,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} from '../templateLibrary.js';
+
+const emptyField = () => ({ name: '', category: '', type: 'text', validators: [], multiple: false, help: '' });
+
+const typeLabel = (type) => FIELD_TYPE_OPTIONS.find(option => option.value === type)?.label || type;
+
+const formatDate = (iso) => new Date(iso).toLocaleString('cs-CZ');
+
+/**
+ * Template library - named query checklists stored on the server (see templateLibrary.js)
+ * Picking a template fills the batch modal with its fields; own templates are edited, versioned,
+ * shared and exported here, a draft (the current checklist) can be saved as a new template
+ */
+const TemplateLibrary = ({ currentUser, draft, onPick, onExport, onClose }) => {
+  const [templates, setTemplates] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [viewedVersion, setViewedVersion] = useState(null); // older version shown instead of the current one
+  const [editing, setEditing] = useState(draft ? { name: '', description: '', contractType: null, fields: draft } : null);
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const importRef = useRef(null);
+
+  useEffect(() => {
+    fetchTemplates()
+      .then(setTemplates)
+      .catch(loadError => setError(`Šablony se nepodařilo načíst: ${loadError.message}`));
+  }, []);
+
+  const selected = templates.find(template => template.id === selectedId) || null;
+  const shown = viewedVersion || selected;
+  const canEdit = Boolean(selected && !selected.builtin &&
+    (selected.owner === currentUser?.username || can(currentUser, 'templates:manage')));
+
+  // Contract types come from the built-in templates (one per type)
+  const contractTypes = useMemo(
+    () => templates.filter(template => template.builtin).map(template => ({ value: template.contractType, label: template.name })),
+    [templates]
+  );
+
+  const groups = [
+    { label: 'Výchozí', items: templates.filter(template => template.builtin) },
+    { label: 'Moje', items: templates.filter(template => !template.builtin && template.owner === currentUser?.username) },
+    { label: 'Sdílené a ostatní', items: templates.filter(template => !template.builtin && template.owner !== currentUser?.username) }
+  ].filter(group => group.items.length > 0);
+
+  // Runs a server call, replaces the changed template in the list
+  const run = async (action) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      const template = await action();
+      if (template) {
+        setTemplates(prev => (prev.some(item => item.id === template.id)
+          ? prev.map(item => (item.id === template.id ? template : item))
+          : [...prev, template]));
+        setSelectedId(template.id);
+      }
+      return true;
+    } catch (actionError) {
+      setError(actionError.message);
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const select = (id) => {
+    setSelectedId(id);
+    setViewedVersion(null);
+    setEditing(null);
+    setError('');
+  };
+
+  const startEdit = () => {
+    const { name, description, contractType, fields } = selected;
+    setEditing({ id: selected.id, baseVersion: selected.version, name, description, contractType, fields });
+  };
+
+  // Copy of a built-in or somebody else's template as a new own one
+  const startCopy = () => {
+    const { name, description, contractType, fields } = shown;
+    setEditing({ name: `${name} (kopie)`, description, contractType, fields });
+  };
+
+  const save = async () => {
+    const { id, baseVersion, ...content } = editing;
+    const saved = await run(() => (id ? updateTemplate(id, { baseVersion, ...content }) : createTemplate(content)));
+    if (saved) setEditing(null);
+  };
+
+  const updateField = (index, changes) => {
+    setEditing(prev => ({
+      ...prev,
+      fields: prev.fields.map((field, fieldIndex) => {
+        if (fieldIndex !== index) return field;
+        const next = { ...field, ...changes };
+        // Validators that do not fit the new type go away
+        next.validators = next.validators.filter(validator =>
+          FIELD_VALIDATOR_OPTIONS.find(option => option.value === validator)?.types.includes(next.type));
+        return next;
+      })
+    }));
+  };
+
+  const toggleValidator = (index, validator) => {
+    const { validators } = editing.fields[index];
+    updateField(index, {
+      validators: validators.includes(validator) ? validators.filter(item => item !== validator) : [...validators, validator]
+    });
+  };
+
+  const removeField = (index) => {
+    setEditing(prev => ({ ...prev, fields: prev.fields.filter((_, fieldIndex) => fieldIndex !== index) }));
+  };
+
+  const showVersion = (version) => {
+    if (version === selected.version) return setViewedVersion(null);
+    run(async () => {
+      setViewedVersion(await fetchTemplateVersion(selected.id, version));
+    });
+  };
+
+  const restoreVersion = async () => {
+    const restored = await run(() => updateTemplate(selected.id, { baseVersion: selected.version, restoreVersion: viewedVersion.version }));
+    if (restored) setViewedVersion(null);
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Smazat šablonu „${selected.name}“ se všemi verzemi?`)) return;
+    const removed = await run(() => deleteTemplate(selected.id));
+    if (removed) {
+      setTemplates(prev => prev.filter(template => template.id !== selected.id));
+      setSelectedId(null);
+    }
+  };
+
+  const importFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    await run(async () => {
+      let content;
+      try {
+        content = JSON.parse(await file.text());
+      } catch {
+        throw new Error(`Soubor ${file.name} není platný JSON`);
+      }
+      return createTemplate(content);
+    });
+  };
+
+  const renderEditor = () => (
+    <div className="template-editor">
+      <div className="template-editor-meta">
+        <input
+          className="template-input template-name-input"
+          value={editing.name}
+          onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+          placeholder="Název šablony"
+        />
+        <select
+          className="template-input"
+          value={editing.contractType || ''}
+          onChange={(e) => setEditing(prev => ({ ...prev, contractType: e.target.value || null }))}
+        >
+          <option value="">Typ smlouvy neurčen</option>
+          {contractTypes.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+      </div>
+      <input
+        className="template-input"
+        value={editing.description || ''}
+        onChange={(e) => setEditing(prev => ({ ...prev, description: e.target.value }))}
+        placeholder="Popis - k čemu šablona slouží"
+      />
+
+      <div className="template-fields">
+        <div className="template-field-row template-field-head">
+          <span>Dotaz</span>
+          <span>Kategorie</span>
+          <span>Typ hodnoty</span>
+          <span>Kontroly</span>
+          <span>Nápověda</span>
+          <span />
+        </div>
+        {editing.fields.map((field, index) => (
+          <div key={index} className="template-field-row">
+            <input
+              className="template-input"
+              value={field.name}
+              onChange={(e) => updateField(index, { name: e.target.value })}
+              placeholder="Na co se ptát"
+            />
+            <input
+              className="template-input"
+              value={field.category}
+              onChange={(e) => updateField(index, { category: e.target.value })}
+              placeholder="Ostatní"
+            />
+            <select className="template-input" value={field.type} onChange={(e) => updateField(index, { type: e.target.value })}>
+              {FIELD_TYPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <span className="template-field-checks">
+              {FIELD_VALIDATOR_OPTIONS.filter(option => option.types.includes(field.type)).map(option => (
+                <label key={option.value}>
+                  <input
+                    type="checkbox"
+                    checked={field.validators.includes(option.value)}
+                    onChange={() => toggleValidator(index, option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+              <label title="Dokument obvykle obsahuje více hodnot (strany, parcely)">
+                <input
+                  type="checkbox"
+                  checked={field.multiple}
+                  onChange={(e) => updateField(index, { multiple: e.target.checked })}
+                />
+                více hodnot
+              </label>
+            </span>
+            <input
+              className="template-input"
+              value={field.help}
+              onChange={(e) => updateField(index, { help: e.target.value })}
+              placeholder="Co se počítá, kde to bývá"
+            />
+            <button className="template-remove-field" onClick={() => removeField(index)} title="Odebrat položku">✕</button>
+          </div>
+        ))}
+        <button
+          className="template-add-field"
+          onClick={() => setEditing(prev => ({ ...prev, fields: [...prev.fields, emptyField()] }))}
+        >
+          + Přidat položku
+        </button>
+      </div>
+
+      <div className="template-actions">
+        <button className="template-secondary-btn" onClick={() => setEditing(null)}>Zrušit</button>
+        <button className="template-primary-btn" onClick={save} disabled={isBusy || !editing.name.trim() || editing.fields.length === 0}>
+          {editing.id ? `Uložit jako verzi ${editing.baseVersion + 1}` : 'Uložit šablonu'}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderDetail = () => (
+    <div className="template-detail">
+      <div className="template-detail-header">
+        <h4>{shown.name}</h4>
+        <span className="template-meta">
+          {selected.builtin
+            ? 'výchozí šablona'
+            : `${selected.owner} · verze ${shown.version} · ${formatDate(shown.updatedAt)}${selected.shared ? ' · sdílená' : ''}`}
+        </span>
+      </div>
+      {shown.description && <p className="template-description">{shown.description}</p>}
+      {viewedVersion && (
+        <div className="template-version-note">
+          Starší verze {viewedVersion.version} ({viewedVersion.updatedBy}) - aktuální je verze {selected.version}
+        </div>
+      )}
+
+      <table className="template-field-table">
+        <thead>
+          <tr><th>Dotaz</th><th>Kategorie</th><th>Typ</th><th>Kontroly</th></tr>
+        </thead>
+        <tbody>
+          {shown.fields.map(field => (
+            <tr key={field.name} title={field.help || undefined}>
+              <td>{field.name}{field.help && <span className="template-help-mark"> ⓘ</span>}</td>
+              <td>{field.category}</td>
+              <td>{typeLabel(field.type)}{field.multiple ? ' (více)' : ''}</td>
+              <td>{field.validators.map(validator => FIELD_VALIDATOR_OPTIONS.find(option => option.value === validator)?.label).join(', ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selected.versions.length > 1 && (
+        <div className="template-versions">
+          Verze:
+          {[...selected.versions].reverse().map(version => (
+            <button
+              key={version.version}
+              className={`template-version ${shown.version === version.version ? 'active' : ''}`}
+              onClick={() => showVersion(version.version)}
+              title={`${version.updatedBy}, ${formatDate(version.updatedAt)}`}
+            >
+              {version.version}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="template-actions">
+        {viewedVersion ? (
+          <>
+            <button className="template-secondary-btn" onClick={() => setViewedVersion(null)}>Zpět na aktuální</button>
+            {canEdit && (
+              <button className="template-secondary-btn" onClick={restoreVersion} disabled={isBusy}>Obnovit tuto verzi</button>
+            )}
+          </>
+        ) : (
+          <>
+            {canEdit && <button className="template-danger-btn" onClick={remove} disabled={isBusy}>Smazat</button>}
+            {canEdit && (
+              <label className="template-share">
+                <input
+                  type="checkbox"
+                  checked={selected.shared}
+                  disabled={isBusy}
+                  onChange={(e) => run(() => updateTemplate(selected.id, { shared: e.target.checked }))}
+                />
+                sdílet s ostatními
+              </label>
+            )}
+            <button className="template-secondary-btn" onClick={() => onExport(selected)}>Export</button>
+            <button className="template-secondary-btn" onClick={startCopy}>Kopie</button>
+            {canEdit && <button className="template-secondary-btn" onClick={startEdit}>Upravit</button>}
+          </>
+        )}
+        <button className="template-primary-btn" onClick={() => onPick(shown)}>Použít</button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="template-overlay">
+      <div className="template-dialog">
+        <div className="template-header">
+          <h3>Šablony dotazů</h3>
+          <button className="template-secondary-btn" onClick={() => importRef.current?.click()} disabled={isBusy}>Import</button>
+          <input ref={importRef} type="file" accept=".json,application/json" onChange={importFile} hidden />
+          <button
+            className="template-secondary-btn"
+            onClick={() => setEditing({ name: '', description: '', contractType: null, fields: [emptyField()] })}
+          >
+            + Nová šablona
+          </button>
+          <button className="template-close-btn" onClick={onClose} title="Zavřít">✕</button>
+        </div>
+
+        {error && <div className="template-error">{error}</div>}
+
+        <div className="template-body">
+          <ul className="template-list">
+            {groups.map(group => (
+              <li key={group.label}>
+                <span className="template-group">{group.label}</span>
+                <ul>
+                  {group.items.map(template => (
+                    <li key={template.id}>
+                      <button
+                        className={`template-list-item ${template.id === selectedId ? 'active' : ''}`}
+                        onClick={() => select(template.id)}
+                      >
+                        {template.name}
+                        <span className="template-count">{template.fields.length}</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+
+          {editing ? renderEditor() : shown ? renderDetail() : (
+            <div className="template-empty">
+              Vyberte šablonu - její položky se načtou do hromadného vyhledávání i s kategoriemi a očekávanými typy hodnot.
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateLibrary;
@@ -3,6 +3,7 @@
 
 import { removeDiacritics } from './documentNormalizer.js';
 import { logger } from './logger.js';
+import { checkCompanyId } from './identifierValidation.js';
 
 /**
  * Czech legal document patterns and validators
@@ -56,7 +57,8 @@ export const CZECH_LEGAL_PATTERNS = {
 
   // Financial amounts (Czech currency)
   amount: {
-    pattern: /\b\d{1,3}(?:[\s\.\,]\d{3})*(?:[,\.]\d{1,2})?\s*(?:Kč|CZK|korun|EUR|€)\b/gi,
+    // ",-" after whole amounts; no \b at the end - it is ASCII only and never follows "č"
+    pattern: /\b\d{1,3}(?:[ \t.,]\d{3})*(?:[,.]\d{1,2})?(?:,-+|,–)?\s*(?:Kč|CZK|korun\p{L}*|EUR|€)(?![\p{L}\d])/giu,
     validator: (value) => {
       return /\d/.test(value) && /(?:Kč|CZK|korun|EUR|€)/i.test(value);
     },
@@ -516,7 +518,8 @@ function validateBirthNumber(birthNumber) {
   // Validate day
   if (day < 1 || day > 31) return false;
   
-  // Additional validation could include checksum for post-1954 birth numbers
+  // No mod 11 here on purpose - a mistyped birth number is still personal data to find;
+  // the checksum verdict of extracted values comes from identifierValidation.js
   return true;
 }
 
@@ -524,18 +527,7 @@ function validateBirthNumber(birthNumber) {
  * Validate Czech company ID (IČO)
  */
 function validateCompanyId(ico) {
-  if (!/^\d{8}$/.test(ico)) return false;
-  
-  // Calculate checksum
-  let sum = 0;
-  for (let i = 0; i < 7; i++) {
-    sum += parseInt(ico[i]) * (8 - i);
-  }
-  
-  const remainder = sum % 11;
-  const checksum = remainder < 2 ? remainder : 11 - remainder;
-  
-  return checksum === parseInt(ico[7]);
+  return /^\d{8}$/.test(ico) && checkCompanyId(ico).verdict === 'valid';
 }
 
 /**
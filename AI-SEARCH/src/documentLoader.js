@@ -0,0 +1,66 @@
+/**
+ * Document upload ingestion
+ * Turns an uploaded file into plain text plus an optional structure map
+ */
+
+import { parseDocx } from './docxParser.js';
+import { recognizeScannedPdf, recognizeScannedImage } from './ocrIngestion.js';
+import { detectEncoding, decodeBytes } from './encodingDetection.js';
+import { logger } from './logger.js';
+
+const getExtension = (fileName = '') => fileName.split('.').pop().toLowerCase();
+
+/**
+ * Load uploaded file
+ * @param {File} file - File from the upload input
+ * @param {Function} onProgress - OCR progress callback ({ current, total })
+ * @returns {Promise<Object>} - { text, format, structure, fileName, file?, encoding?, bytes? }
+ *   Plain-text files also carry the detected encoding and raw bytes so the user can override it
+ */
+export async function loadDocumentFile(file, onProgress) {
+  const format = getExtension(file.name);
+
+  logger.info('DOCUMENT', 'Loading file', {
+    fileName: file.name,
+    size: file.size,
+    format
+  });
+
+  switch (format) {
+    case 'docx': {
+      const { text, structure } = await parseDocx(await file.arrayBuffer());
+      return { text, format, structure, fileName: file.name };
+    }
+    case 'pdf': {
+      // pdf.js is large, load it only when a PDF is uploaded
+      const { parsePdf } = await import('./pdfParser.js');
+      const data = await file.arrayBuffer();
+      let { text, structure } = await parsePdf(data);
+
+      // Scanned contract without text layer - fall back to OCR
+      if (!structure.hasTextLayer) {
+        logger.info('DOCUMENT', 'PDF has no text layer, running OCR', { fileName: file.name });
+        ({ text, structure } = await recognizeScannedPdf(data, onProgress));
+        if (!structure.hasTextLayer) {
+          throw new Error('V naskenovaném PDF se nepodařilo rozpoznat žádný text');
+        }
+      }
+      return { text, format, structure, fileName: file.name, file };
+    }
+    case 'png':
+    case 'jpg':
+    case 'jpeg':
+    case 'tif':
+    case 'tiff':
+    case 'bmp': {
+      const { text, structure } = await recognizeScannedImage(file, onProgress);
+      return { text, format: 'image', structure, fileName: file.name };
+    }
+    default: {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const encoding = detectEncoding(bytes);
+      const text = decodeBytes(bytes, encoding.encoding);
+      return { text, format: 'txt', structure: null, fileName: file.name, encoding, bytes };
+    }
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Document locations
+ * Maps character offsets of the extracted text back to the source document:
+ * page/line/box for PDF and OCR scans, article for DOCX, line for plain text.
+ */
+
+import { removeDiacritics } from './documentNormalizer.js';
+
+// OCR words below this confidence (0-100) should be double-checked by a reviewer
+export const LOW_OCR_CONFIDENCE = 80;
+
+/**
+ * Find index of the span containing offset (binary search)
+ */
+const findSpanIndex = (spans, offset) => {
+  let low = 0;
+  let high = spans.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (offset < spans[mid].start) high = mid - 1;
+    else if (offset >= spans[mid].end) low = mid + 1;
+    else return mid;
+  }
+  return -1;
+};
+
+/**
+ * Box of a character range inside a single span.
+ * Glyph widths are not known, so the box is interpolated by character count.
+ */
+const sliceBox = (span, start, end) => {
+  const length = span.end - span.start || 1;
+  const from = Math.max(start, span.start) - span.start;
+  const to = Math.min(end, span.end) - span.start;
+  return {
+    x: span.box.x + span.box.width * (from / length),
+    y: span.box.y,
+    width: span.box.width * ((to - from) / length),
+    height: span.box.height
+  };
+};
+
+/**
+ * Map character offset to page, line and bounding box
+ * @returns {Object|null} - { page, line, box }
+ */
+export const locatePdfOffset = (structure, offset) => {
+  if (!structure?.spans?.length) return null;
+
+  let index = findSpanIndex(structure.spans, offset);
+  if (index === -1) {
+    // Offset falls on inserted whitespace - use the following span
+    index = structure.spans.findIndex(span => span.start > offset);
+    if (index === -1) return null;
+  }
+
+  const span = structure.spans[index];
+  const charOffset = Math.max(offset, span.start);
+  return { page: span.page, line: span.line, box: sliceBox(span, charOffset, charOffset + 1) };
+};
+
+/**
+ * Map character range to page boxes (one box per text item it touches)
+ * @returns {Object|null} - { page, line, boxes: [{page, x, y, width, height}], ocrConfidence, lowConfidence }
+ */
+export const locatePdfRange = (structure, start, end) => {
+  const first = locatePdfOffset(structure, start);
+  if (!first) return null;
+
+  const covered = structure.spans.filter(span => span.end > start && span.start < end);
+  const boxes = covered.map(span => ({ page: span.page, ...sliceBox(span, start, end) }));
+
+  // OCR spans carry per-word confidence - the range is as reliable as its weakest word
+  const confidences = covered.map(span => span.confidence).filter(c => typeof c === 'number');
+  const ocrConfidence = confidences.length > 0 ? Math.min(...confidences) : null;
+
+  return {
+    page: first.page,
+    line: first.line,
+    boxes,
+    ocrConfidence,
+    lowConfidence: ocrConfidence !== null && ocrConfidence < LOW_OCR_CONFIDENCE
+  };
+};
+
+/**
+ * Line number (1-based) of an offset in plain text
+ */
+const lineOfOffset = (text, offset) => {
+  let line = 1;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text[i] === '\n') line++;
+  }
+  return line;
+};
+
+/**
+ * Describe where a character range lies in the source document
+ * @returns {Object|null} - { start, end, page?, line?, boxes?, article?, label }
+ */
+export const locateRange = (text, structure, start, end) => {
+  if (start < 0 || end <= start) return null;
+
+  if (structure?.spans) {
+    const location = locatePdfRange(structure, start, end);
+    if (location) {
+      return { start, end, ...location, label: `strana ${location.page}, řádek ${location.line}` };
+    }
+  }
+
+  if (structure?.format === 'docx') {
+    const article = structure.articles.find(a => start >= a.start && start < a.end);
+    if (article) {
+      return { start, end, article: article.number, label: `čl. ${article.number}` };
+    }
+  }
+
+  const line = lineOfOffset(text, start);
+  return { start, end, line, label: `řádek ${line}` };
+};
+
+/**
+ * Find first occurrence of a value (case and diacritics insensitive)
+ * @returns {{start: number, end: number}|null}
+ */
+export const findValueRange = (text, value) => {
+  if (!text || !value || typeof value !== 'string') return null;
+
+  const needle = removeDiacritics(value.trim()).toLowerCase();
+  if (!needle) return null;
+
+  const index = removeDiacritics(text).toLowerCase().indexOf(needle);
+  return index === -1 ? null : { start: index, end: index + needle.length };
+};
+
+/**
+ * Find value in the document and describe its location
+ */
+export const locateValue = (text, structure, value) => {
+  const range = findValueRange(text, value);
+  return range ? locateRange(text, structure, range.start, range.end) : null;
+};
+
+// Tooltip for values the backend could not find in the source text
+export const UNGROUNDED_TITLE = 'Hodnotu se nepodařilo najít ve zdrojovém textu - neberte ji jako fakt';
+
+/**
+ * Tooltip for a value that is not grounded - ambiguous ones (found several times, with no position
+ * to tell which occurrence the model meant) say so
+ * @param {Object} entry - { grounded, ambiguous? } - ambiguous is the number of occurrences
+ */
+export const ungroundedTitle = (entry) => (entry?.ambiguous
+  ? `Hodnota je ve zdrojovém textu ${entry.ambiguous}× a není jasné, kterého výskytu se odpověď týká - ověřte ji v dokumentu`
+  : UNGROUNDED_TITLE);
+
+// Tooltip for answers where the model broke the response format (parseStatus 'fallback')
+export const FORMAT_FALLBACK_TITLE = 'Model nevrátil odpověď v požadovaném formátu ani po opravě - výsledek není spolehlivý, zopakujte dotaz';
+
+// Tooltip for queries of a batch run that was cancelled before they were answered
+export const CANCELLED_TITLE = 'Hledání bylo zrušeno dřív, než dotaz dostal odpověď - spusťte ho znovu';
+
+// Tooltip for answers that contained pseudonymized personal data (followed by the tokens)
+export const PSEUDONYMIZED_TITLE = 'Model viděl místo osobních údajů jen tokeny, hodnota byla převedena zpět:';
+
+// Tooltip for answers served from the result cache instead of a new model call
+export const CACHED_TITLE = 'Odpověď z cache - stejný dotaz nad stejným dokumentem, modelem a verzí promptu; novou odpověď dá až vymazání cache (oprávnění cache:manage)';
+
+/**
+ * Locate extracted value - exact span from the backend when grounded,
+ * text search only for results without a span (older history)
+ * @param {Object|string} entry - { value, start?, end?, grounded?, ambiguous? } or plain value
+ */
+export const locateEntry = (text, structure, entry) => {
+  if (!entry) return null;
+  if (typeof entry === 'string') return locateValue(text, structure, entry);
+  if (entry.grounded === false) return null;
+  if (typeof entry.start === 'number' && typeof entry.end === 'number' && entry.end <= text.length) {
+    return locateRange(text, structure, entry.start, entry.end);
+  }
+  return locateValue(text, structure, entry.value);
+};
+
+/**
+ * What to highlight for an answer - grounded spans only
+ * Values the backend could not find in the source are never highlighted
+ * @param {Object|string} answer - { type: 'single'|'multiple', ... } or plain string
+ * @param {string} fullContext - Context of a yes/no answer (highlighted instead of the answer)
+ * @param {Object} fullContextSpan - { start, end, grounded } of the context
+ * @returns {Array} - [{ value, start?, end? }]
+ */
+export const answerHighlights = (answer, fullContext, fullContextSpan) => {
+  if (fullContext) {
+    if (fullContextSpan?.grounded === false) return [];
+    return [{ value: fullContext, start: fullContextSpan?.start, end: fullContextSpan?.end }];
+  }
+  if (!answer) return [];
+
+  const entries = typeof answer === 'object'
+    ? (answer.type === 'multiple' ? answer.results || [] : [answer])
+    : [{ value: answer }];
+
+  return entries
+    .filter(entry => entry.grounded !== false && typeof entry.value === 'string' && entry.value !== 'Nenalezeno')
+    .map(entry => ({ value: entry.value, start: entry.start, end: entry.end }));
+};
@@ -0,0 +1,112 @@
+/**
+ * Multi-document workspace
+ * A loan file consists of several documents (contract, dodatky, LV extract, ID copies).
+ * Every document keeps its own search history, highlights and validation status.
+ */
+
+let idCounter = 0;
+
+/**
+ * Unique id without dashes - table row ids are built as `${historyId}-${itemIndex}`
+ */
+export const createId = (prefix = '') =>
+  `${prefix}${Date.now().toString(36)}${(idCounter++).toString(36)}`;
+
+/**
+ * Create workspace document
+ * @param {Object} source - { name, text, structure?, file? } from loadDocumentFile or pasted text
+ */
+export const createWorkspaceDocument = ({ name, text = '', structure = null, file = null }) => ({
+  id: createId('doc'),
+  name,
+  text,
+  structure,
+  file,
+  history: [],        // Search history of this document (newest first)
+  answer: null,       // Last answer shown in the search pane
+  highlight: null,    // Values highlighted in the document
+  validationStatus: {} // { [tableRowId]: 'correct' | 'incorrect' }
+});
+
+/**
+ * Apply patch (object or function of the document) to one document
+ */
+export const updateWorkspaceDocument = (documents, id, update) =>
+  documents.map(doc => {
+    if (doc.id !== id) return doc;
+    const patch = typeof update === 'function' ? update(doc) : update;
+    return { ...doc, ...patch };
+  });
+
+/**
+ * Name for a new document that does not clash with already loaded ones
+ */
+export const uniqueDocumentName = (documents, name) => {
+  const names = new Set(documents.map(doc => doc.name));
+  if (!names.has(name)) return name;
+
+  let index = 2;
+  while (names.has(`${name} (${index})`)) index++;
+  return `${name} (${index})`;
+};
+
+/**
+ * History of given documents for the table - every item tagged with its document
+ */
+export const collectHistory = (documents) =>
+  documents.flatMap(doc =>
+    doc.history.map(item => ({ ...item, documentId: doc.id, documentName: doc.name }))
+  );
+
+/**
+ * Validation status of all documents merged (row ids are unique across the workspace)
+ */
+export const collectValidationStatus = (documents) =>
+  documents.reduce((all, doc) => ({ ...all, ...doc.validationStatus }), {});
+
+/**
+ * Documents × queries matrix from table rows
+ * Only the newest run of a query per document is used (one batch run or one single search)
+ * @param {Array} rows - Table rows ({ id, document, query, label, value, rawResult })
+ * @returns {Object} - { queries: string[], rows: [{ documentId, document, cells: { [query]: row[] } }] }
+ */
+export const buildDocumentMatrix = (rows) => {
+  const queries = [];
+  const documentRows = new Map();
+
+  rows.forEach(row => {
+    const documentId = row.rawResult?.documentId || row.document;
+    if (!documentRows.has(documentId)) {
+      documentRows.set(documentId, { documentId, document: row.document, cells: {}, runs: {} });
+    }
+    const documentRow = documentRows.get(documentId);
+    if (!queries.includes(row.query)) queries.push(row.query);
+
+    // History is newest first - the first run seen for the query wins
+    const run = row.rawResult?.batchId || row.rawResult?.id || row.id;
+    if (!documentRow.runs[row.query]) {
+      documentRow.runs[row.query] = run;
+      documentRow.cells[row.query] = [];
+    }
+    if (documentRow.runs[row.query] === run) {
+      documentRow.cells[row.query].push(row);
+    }
+  });
+
+  return {
+    queries,
+    rows: Array.from(documentRows.values()).map(({ runs, ...documentRow }) => documentRow)
+  };
+};
+
+/**
+ * Text of one value in a matrix cell - "label: value" when the cell has more results
+ */
+export const formatMatrixValue = (row, cellSize) =>
+  cellSize > 1 && row.label && row.label !== 'Výsledek' ? `${row.label}: ${row.value}` : row.value;
+
+/**
+ * Text of a whole matrix cell (export)
+ */
+export const formatMatrixCell = (cell = []) =>
+  cell.map(row => formatMatrixValue(row, cell.length)).join('; ');
@@ -0,0 +1,510 @@
+/**
+ * DOCX ingestion
+ * Extracts plain text and a structure map (paragraphs, table cells,
+ * numbered articles) from Word documents - body, headers/footers,
+ * footnotes and endnotes.
+ */
+
+import JSZip from 'jszip';
+import { logger } from './logger.js';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// Elements whose content never belongs to the visible text
+const SKIPPED_ELEMENTS = new Set([
+  'pPr', 'rPr', 'tblPr', 'trPr', 'tcPr', 'sectPr',
+  'del', 'delText', 'instrText', 'fldChar',
+  'drawing', 'pict', 'object'
+]);
+
+const PART_LABELS = {
+  header: 'Záhlaví',
+  footer: 'Zápatí',
+  footnotes: 'Poznámky pod čarou',
+  endnotes: 'Vysvětlivky'
+};
+
+/**
+ * Article headings used in Czech contracts:
+ * "Článek I.", "Čl. 3", "III. článek", "§ 12", "IV. Kupní cena"
+ */
+const ARTICLE_PATTERNS = [
+  /^(?:článek|čl\.)\s*([IVXLCDM]+|\d+)\.?\s*(.*)$/i,
+  /^([IVXLCDM]+|\d+)\.\s*článek\.?\s*(.*)$/i,
+  /^§\s*(\d+[a-z]?)\.?\s*(.*)$/i,
+  /^([IVXLCDM]+)\.\s+(\S.{0,100})$/
+];
+
+const isW = (node, name) =>
+  node.nodeType === 1 && node.namespaceURI === W_NS && node.localName === name;
+
+const wAttr = (element, name) =>
+  element.getAttributeNS(W_NS, name) || element.getAttribute(`w:${name}`) || null;
+
+const firstChild = (element, name) => {
+  for (const child of element.childNodes) {
+    if (isW(child, name)) return child;
+  }
+  return null;
+};
+
+/**
+ * Accumulates text and keeps track of the current offset
+ */
+class TextBuilder {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  append(text) {
+    this.chunks.push(text);
+    this.length += text.length;
+  }
+
+  toString() {
+    return this.chunks.join('');
+  }
+}
+
+const toRoman = (number) => {
+  const numerals = [
+    [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+    [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+  ];
+  let result = '';
+  let rest = number;
+  for (const [value, numeral] of numerals) {
+    while (rest >= value) {
+      result += numeral;
+      rest -= value;
+    }
+  }
+  return result;
+};
+
+const toLetters = (number) => {
+  let result = '';
+  let rest = number;
+  while (rest > 0) {
+    const index = (rest - 1) % 26;
+    result = String.fromCharCode(65 + index) + result;
+    rest = Math.floor((rest - 1) / 26);
+  }
+  return result;
+};
+
+const formatNumber = (number, numFmt) => {
+  switch (numFmt) {
+    case 'upperRoman': return toRoman(number);
+    case 'lowerRoman': return toRoman(number).toLowerCase();
+    case 'upperLetter': return toLetters(number);
+    case 'lowerLetter': return toLetters(number).toLowerCase();
+    case 'none': return '';
+    default: return String(number);
+  }
+};
+
+/**
+ * Parse numbering.xml into numId -> level definitions
+ */
+function parseNumbering(numberingXml) {
+  const definitions = new Map();
+  if (!numberingXml) return definitions;
+
+  const abstracts = new Map();
+  for (const abstractNum of numberingXml.getElementsByTagNameNS(W_NS, 'abstractNum')) {
+    const levels = [];
+    for (const lvl of abstractNum.getElementsByTagNameNS(W_NS, 'lvl')) {
+      const ilvl = parseInt(wAttr(lvl, 'ilvl'), 10) || 0;
+      const start = firstChild(lvl, 'start');
+      const numFmt = firstChild(lvl, 'numFmt');
+      const lvlText = firstChild(lvl, 'lvlText');
+      levels[ilvl] = {
+        start: start ? parseInt(wAttr(start, 'val'), 10) || 1 : 1,
+        numFmt: numFmt ? wAttr(numFmt, 'val') : 'decimal',
+        lvlText: lvlText ? wAttr(lvlText, 'val') || '' : ''
+      };
+    }
+    abstracts.set(wAttr(abstractNum, 'abstractNumId'), levels);
+  }
+
+  for (const num of numberingXml.getElementsByTagNameNS(W_NS, 'num')) {
+    const abstractRef = firstChild(num, 'abstractNumId');
+    if (!abstractRef) continue;
+    const levels = abstracts.get(wAttr(abstractRef, 'val'));
+    if (levels) {
+      definitions.set(wAttr(num, 'numId'), levels);
+    }
+  }
+
+  return definitions;
+}
+
+/**
+ * Parse styles.xml - style id -> { name, numId, ilvl, basedOn }
+ */
+function parseStyles(stylesXml) {
+  const styles = new Map();
+  if (!stylesXml) return styles;
+
+  for (const style of stylesXml.getElementsByTagNameNS(W_NS, 'style')) {
+    const name = firstChild(style, 'name');
+    const basedOn = firstChild(style, 'basedOn');
+    const pPr = firstChild(style, 'pPr');
+    const numPr = pPr ? firstChild(pPr, 'numPr') : null;
+    const numId = numPr ? firstChild(numPr, 'numId') : null;
+    const ilvl = numPr ? firstChild(numPr, 'ilvl') : null;
+
+    styles.set(wAttr(style, 'styleId'), {
+      name: name ? wAttr(name, 'val') : '',
+      basedOn: basedOn ? wAttr(basedOn, 'val') : null,
+      numId: numId ? wAttr(numId, 'val') : null,
+      ilvl: ilvl ? parseInt(wAttr(ilvl, 'val'), 10) || 0 : 0
+    });
+  }
+
+  return styles;
+}
+
+/**
+ * Resolve numbering from the paragraph itself or its style chain
+ */
+function resolveNumPr(paragraph, styleId, styles) {
+  const pPr = firstChild(paragraph, 'pPr');
+  const numPr = pPr ? firstChild(pPr, 'numPr') : null;
+  if (numPr) {
+    const numId = firstChild(numPr, 'numId');
+    const ilvl = firstChild(numPr, 'ilvl');
+    return {
+      numId: numId ? wAttr(numId, 'val') : null,
+      ilvl: ilvl ? parseInt(wAttr(ilvl, 'val'), 10) || 0 : 0
+    };
+  }
+
+  let current = styleId;
+  const visited = new Set();
+  while (current && styles.has(current) && !visited.has(current)) {
+    visited.add(current);
+    const style = styles.get(current);
+    if (style.numId) return { numId: style.numId, ilvl: style.ilvl };
+    current = style.basedOn;
+  }
+  return null;
+}
+
+/**
+ * Collect visible text of a run container (paragraph, hyperlink, insertion...)
+ */
+function collectRunText(node, out) {
+  for (const child of node.childNodes) {
+    if (child.nodeType !== 1) continue;
+
+    // Alternate content duplicates text boxes (Choice + Fallback), skip it
+    if (child.localName === 'AlternateContent') continue;
+    if (child.namespaceURI !== W_NS) {
+      collectRunText(child, out);
+      continue;
+    }
+    if (SKIPPED_ELEMENTS.has(child.localName)) continue;
+
+    switch (child.localName) {
+      case 't':
+        out.push(child.textContent);
+        break;
+      case 'tab':
+        out.push('\t');
+        break;
+      case 'br':
+      case 'cr':
+        out.push('\n');
+        break;
+      case 'noBreakHyphen':
+        out.push('-');
+        break;
+      case 'footnoteReference':
+      case 'endnoteReference':
+        out.push(`[${wAttr(child, 'id')}]`);
+        break;
+      default:
+        collectRunText(child, out);
+    }
+  }
+}
+
+/**
+ * Walks the WordprocessingML blocks and builds text + structure map
+ */
+class DocxTextExtractor {
+  constructor({ numbering, styles }) {
+    this.numbering = numbering;
+    this.styles = styles;
+    this.counters = new Map(); // numId -> counters per level
+    this.builder = new TextBuilder();
+    this.paragraphs = [];
+    this.tables = [];
+    this.parts = [];
+  }
+
+  numberingPrefix(paragraph, styleId) {
+    const numPr = resolveNumPr(paragraph, styleId, this.styles);
+    if (!numPr || !numPr.numId || numPr.numId === '0') return '';
+
+    const levels = this.numbering.get(numPr.numId);
+    const level = levels?.[numPr.ilvl];
+    if (!level) return '';
+
+    const counters = this.counters.get(numPr.numId) || [];
+    counters[numPr.ilvl] = counters[numPr.ilvl] !== undefined
+      ? counters[numPr.ilvl] + 1
+      : level.start;
+    counters.length = numPr.ilvl + 1; // restart deeper levels
+    this.counters.set(numPr.numId, counters);
+
+    if (level.numFmt === 'bullet') return '• ';
+
+    const text = level.lvlText.replace(/%(\d)/g, (_, lvl) => {
+      const index = parseInt(lvl, 10) - 1;
+      const value = counters[index] ?? levels[index]?.start ?? 1;
+      return formatNumber(value, levels[index]?.numFmt);
+    });
+    return text ? `${text} ` : '';
+  }
+
+  paragraphText(paragraph) {
+    const pPr = firstChild(paragraph, 'pPr');
+    const pStyle = pPr ? firstChild(pPr, 'pStyle') : null;
+    const styleId = pStyle ? wAttr(pStyle, 'val') : null;
+
+    const runs = [];
+    collectRunText(paragraph, runs);
+
+    return {
+      text: this.numberingPrefix(paragraph, styleId) + runs.join(''),
+      style: styleId ? this.styles.get(styleId)?.name || styleId : null
+    };
+  }
+
+  /**
+   * Plain text of a block container, used for table cells
+   */
+  blockText(container) {
+    const lines = [];
+    for (const child of container.childNodes) {
+      if (isW(child, 'p')) {
+        const { text } = this.paragraphText(child);
+        if (text.trim()) lines.push(text.trim());
+      } else if (isW(child, 'tbl')) {
+        for (const row of child.childNodes) {
+          if (!isW(row, 'tr')) continue;
+          const cells = [];
+          for (const cell of row.childNodes) {
+            if (isW(cell, 'tc')) cells.push(this.blockText(cell));
+          }
+          lines.push(cells.join(' '));
+        }
+      } else if (isW(child, 'sdt')) {
+        const content = firstChild(child, 'sdtContent');
+        if (content) lines.push(this.blockText(content));
+      }
+    }
+    return lines.join(' ').replace(/\s*\n\s*/g, ' ');
+  }
+
+  appendParagraph(paragraph, part) {
+    const { text, style } = this.paragraphText(paragraph);
+    const start = this.builder.length;
+    this.builder.append(text);
+
+    if (text.trim()) {
+      this.paragraphs.push({ start, end: start + text.length, part, style });
+    }
+    this.builder.append('\n');
+  }
+
+  appendTable(table, part) {
+    const tableEntry = { start: this.builder.length, end: 0, part, rows: [] };
+
+    for (const row of table.childNodes) {
+      if (!isW(row, 'tr')) continue;
+
+      const rowIndex = tableEntry.rows.length;
+      const cells = [];
+      let colIndex = 0;
+      for (const cell of row.childNodes) {
+        if (!isW(cell, 'tc')) continue;
+        if (colIndex > 0) this.builder.append('\t');
+
+        const text = this.blockText(cell);
+        const start = this.builder.length;
+        this.builder.append(text);
+        cells.push({ start, end: start + text.length, row: rowIndex, col: colIndex });
+        colIndex++;
+      }
+      tableEntry.rows.push(cells);
+      this.builder.append('\n');
+    }
+
+    tableEntry.end = this.builder.length;
+    this.tables.push(tableEntry);
+  }
+
+  walkBlocks(container, part) {
+    for (const child of container.childNodes) {
+      if (isW(child, 'p')) {
+        this.appendParagraph(child, part);
+      } else if (isW(child, 'tbl')) {
+        this.appendTable(child, part);
+      } else if (isW(child, 'sdt')) {
+        const content = firstChild(child, 'sdtContent');
+        if (content) this.walkBlocks(content, part);
+      } else if (isW(child, 'customXml')) {
+        this.walkBlocks(child, part);
+      }
+    }
+  }
+
+  /**
+   * Add a document part (body, header, ...) and record its range
+   */
+  appendPart(type, source, container, { heading } = {}) {
+    if (heading) {
+      this.builder.append(`\n--- ${heading} ---\n`);
+    }
+    const start = this.builder.length;
+    this.walkBlocks(container, type);
+    this.parts.push({ type, source, start, end: this.builder.length });
+  }
+
+  /**
+   * Footnotes/endnotes - each note is prefixed with its reference number
+   */
+  appendNotes(type, source, notesXml) {
+    const notes = Array.from(notesXml.getElementsByTagNameNS(W_NS, type === 'footnotes' ? 'footnote' : 'endnote'))
+      .filter(note => !wAttr(note, 'type')); // skip separators
+    if (notes.length === 0) return;
+
+    this.builder.append(`\n--- ${PART_LABELS[type]} ---\n`);
+    const start = this.builder.length;
+    notes.forEach(note => {
+      this.builder.append(`[${wAttr(note, 'id')}] `);
+      this.walkBlocks(note, type);
+    });
+    this.parts.push({ type, source, start, end: this.builder.length });
+  }
+}
+
+/**
+ * Detect numbered articles among body paragraphs
+ */
+function detectArticles(text, paragraphs, bodyEnd) {
+  const articles = [];
+  const bodyParagraphs = paragraphs.filter(p => p.part === 'body');
+
+  bodyParagraphs.forEach((paragraph, index) => {
+    const line = text.slice(paragraph.start, paragraph.end).trim();
+    if (line.length > 120) return;
+
+    for (const pattern of ARTICLE_PATTERNS) {
+      const match = line.match(pattern);
+      if (!match) continue;
+
+      let title = (match[2] || '').replace(/^[\s.:\-–]+/, '').trim();
+      if (!title) {
+        // "Článek I." followed by the title on its own line
+        const next = bodyParagraphs[index + 1];
+        const nextLine = next ? text.slice(next.start, next.end).trim() : '';
+        if (nextLine && nextLine.length <= 100) title = nextLine;
+      }
+
+      articles.push({ number: match[1], title, start: paragraph.start, end: bodyEnd });
+      break;
+    }
+  });
+
+  // Each article ends where the next one starts
+  for (let i = 0; i < articles.length - 1; i++) {
+    articles[i].end = articles[i + 1].start;
+  }
+
+  return articles;
+}
+
+const partNumber = (path) => parseInt(path.match(/(\d+)\.xml$/)?.[1] || '0', 10);
+
+/**
+ * Parse a DOCX file
+ * @param {ArrayBuffer|Blob|Uint8Array} data - Raw .docx file content
+ * @returns {Promise<{text: string, structure: Object}>} - Plain text and structure map
+ */
+export async function parseDocx(data) {
+  const startTime = Date.now();
+  const zip = await JSZip.loadAsync(data);
+  const parser = new DOMParser();
+
+  const readXml = async (path) => {
+    const file = zip.file(path);
+    if (!file) return null;
+    const xml = parser.parseFromString(await file.async('string'), 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+      logger.warn('DOCX', 'Could not parse part', { path });
+      return null;
+    }
+    return xml;
+  };
+
+  const documentXml = await readXml('word/document.xml');
+  const body = documentXml?.getElementsByTagNameNS(W_NS, 'body')[0];
+  if (!body) {
+    throw new Error('Soubor není platný DOCX dokument');
+  }
+
+  const extractor = new DocxTextExtractor({
+    numbering: parseNumbering(await readXml('word/numbering.xml')),
+    styles: parseStyles(await readXml('word/styles.xml'))
+  });
+
+  extractor.appendPart('body', 'word/document.xml', body);
+  const bodyEnd = extractor.builder.length;
+
+  // Headers and footers - identical variants (first/even/default) only once
+  for (const type of ['header', 'footer']) {
+    const seen = new Set();
+    const files = zip.file(new RegExp(`^word/${type}\\d*\\.xml$`))
+      .sort((a, b) => partNumber(a.name) - partNumber(b.name));
+
+    for (const file of files) {
+      const xml = await readXml(file.name);
+      const root = xml?.documentElement;
+      const content = root ? root.textContent.trim() : '';
+      if (!content || seen.has(content)) continue;
+      seen.add(content);
+
+      extractor.appendPart(type, file.name, root, { heading: PART_LABELS[type] });
+    }
+  }
+
+  for (const type of ['footnotes', 'endnotes']) {
+    const xml = await readXml(`word/${type}.xml`);
+    if (xml) extractor.appendNotes(type, `word/${type}.xml`, xml);
+  }
+
+  const text = extractor.builder.toString().replace(/\s+$/, '');
+  const structure = {
+    format: 'docx',
+    parts: extractor.parts.map(part => ({ ...part, end: Math.min(part.end, text.length) })),
+    paragraphs: extractor.paragraphs,
+    tables: extractor.tables,
+    articles: detectArticles(text, extractor.paragraphs, bodyEnd)
+  };
+
+  logger.info('DOCX', 'Document parsed', {
+    length: text.length,
+    paragraphs: structure.paragraphs.length,
+    tables: structure.tables.length,
+    articles: structure.articles.length,
+    duration: `${Date.now() - startTime}ms`
+  });
+
+  return { text, structure };
+}
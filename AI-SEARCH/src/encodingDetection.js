@@ -0,0 +1,93 @@
+/**
+ * Charset detection for plain-text uploads
+ * Older Czech exports (core banking) are in Windows-1250 or ISO-8859-2,
+ * newer ones in UTF-8. Detection order: BOM -> valid UTF-8 -> byte statistics.
+ */
+
+import { logger } from './logger.js';
+
+export const SUPPORTED_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'windows-1250', label: 'Windows-1250 (cp1250)' },
+  { value: 'iso-8859-2', label: 'ISO-8859-2 (Latin 2)' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' }
+];
+
+const BOMS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+];
+
+// Czech letters - the more of them a decoding produces, the more plausible it is
+const CZECH_LETTERS = /[áčďéěíňóřšťúůýžÁČĎÉĚÍŇÓŘŠŤÚŮÝŽ]/g;
+
+// Characters that practically never occur in Czech text - typical mojibake
+// (C1 controls from ISO-8859-2 on cp1250 bytes, ©®«»ąľ from cp1250 on ISO bytes)
+const SUSPICIOUS_CHARS = /[\u0080-\u009F©®«»ąľĄĽ�]/g;
+
+const hasBom = (bytes, bom) => bom.every((byte, i) => bytes[i] === byte);
+
+const isAscii = (bytes) => {
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] > 0x7F) return false;
+  }
+  return true;
+};
+
+const isValidUtf8 = (bytes) => {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Score how Czech-like a decoded text looks
+ */
+const scoreDecoding = (text) => {
+  const letters = (text.match(CZECH_LETTERS) || []).length;
+  const suspicious = (text.match(SUSPICIOUS_CHARS) || []).length;
+  return letters - suspicious * 3;
+};
+
+/**
+ * Decode bytes with the given encoding (BOM is stripped)
+ */
+export const decodeBytes = (bytes, encoding) => new TextDecoder(encoding).decode(bytes);
+
+/**
+ * Detect charset of a text file
+ * @param {Uint8Array} bytes - Raw file content
+ * @returns {Object} - { encoding, method: 'bom'|'ascii'|'utf8'|'statistics', isAscii, scores? }
+ */
+export const detectEncoding = (bytes) => {
+  for (const bom of BOMS) {
+    if (hasBom(bytes, bom.bytes)) {
+      return { encoding: bom.encoding, method: 'bom', isAscii: false };
+    }
+  }
+
+  if (isAscii(bytes)) {
+    return { encoding: 'utf-8', method: 'ascii', isAscii: true };
+  }
+
+  if (isValidUtf8(bytes)) {
+    return { encoding: 'utf-8', method: 'utf8', isAscii: false };
+  }
+
+  // Not UTF-8 - pick the single-byte Central European charset with the best score
+  const sample = bytes.subarray(0, 256 * 1024);
+  const scores = ['windows-1250', 'iso-8859-2'].map(encoding => ({
+    encoding,
+    score: scoreDecoding(decodeBytes(sample, encoding))
+  }));
+  scores.sort((a, b) => b.score - a.score);
+
+  logger.info('ENCODING', 'Charset detected from byte statistics', { scores });
+
+  return { encoding: scores[0].encoding, method: 'statistics', isAscii: false, scores };
+};
@@ -1,6 +1,8 @@
 import * as XLSX from 'xlsx'
 import jsPDF from 'jspdf'
 import autoTable from 'jspdf-autotable'
+import JSZip from 'jszip'
+import { templateFile } from './templateLibrary.js'
 
 /**
  * Comprehensive Export System for Contract Analysis
@@ -76,6 +78,12 @@ export class ExportSystem {
 
     const workbook = XLSX.utils.book_new()
 
+    // Documents × queries matrix (cross-document batch) goes first
+    if (options.matrix) {
+      const matrixSheet = this.createExcelMatrixSheet(options.matrix)
+      XLSX.utils.book_append_sheet(workbook, matrixSheet, 'Matrix')
+    }
+
     // Main results sheet
     const resultsSheet = this.createExcelResultsSheet(data)
     XLSX.utils.book_append_sheet(workbook, resultsSheet, 'Search Results')
@@ -89,7 +97,7 @@ export class ExportSystem {
     XLSX.utils.book_append_sheet(workbook, typesSheet, 'Data Types')
 
     // Statistics sheet
-    const statsSheet = this.createExcelStatsSheet(data)
+    const statsSheet = this.createExcelStatsSheet(data, options.usage)
     XLSX.utils.book_append_sheet(workbook, statsSheet, 'Statistics')
 
     // Convert to binary and download
@@ -105,7 +113,7 @@ export class ExportSystem {
     })
     
     this.downloadBlob(blob, `contract-analysis-${this.getTimestamp()}.xlsx`)
-    return { success: true, format: 'Excel', recordCount: data.length, sheets: 4 }
+    return { success: true, format: 'Excel', recordCount: data.length, sheets: workbook.SheetNames.length }
   }
 
   /**
@@ -143,7 +151,7 @@ export class ExportSystem {
    * CSV Helper Methods
    */
   getCSVHeaders(sampleItem) {
-    return ['Kategorie', 'Dotaz', 'Popisek', 'Hodnota', 'Absolutní hodnota', 'Typ']
+    return ['Dokument', 'Kategorie', 'Dotaz', 'Popisek', 'Hodnota', 'Normalizovaná hodnota', 'Typ', 'Kontrola', 'Důvod kontroly', 'Nálezy']
   }
 
   formatRowForCSV(item, headers) {
@@ -158,12 +166,16 @@ export class ExportSystem {
 
     return headers.map(header => {
       switch (header) {
+        case 'Dokument': return escapeCSV(item.document)
         case 'Kategorie': return escapeCSV(item.category)
         case 'Dotaz': return escapeCSV(item.query)
         case 'Popisek': return escapeCSV(item.label)
         case 'Hodnota': return escapeCSV(item.value)
-        case 'Absolutní hodnota': return escapeCSV(item.absoluteValue)
+        case 'Normalizovaná hodnota': return escapeCSV(item.absoluteValue)
         case 'Typ': return escapeCSV(item.type)
+        case 'Kontrola': return escapeCSV(item.checksum)
+        case 'Důvod kontroly': return escapeCSV(item.checksumReason)
+        case 'Nálezy': return escapeCSV(item.findings)
         default: return ''
       }
     })
@@ -172,29 +184,67 @@ export class ExportSystem {
   /**
    * Excel Helper Methods
    */
+
+  // Cell of a typed value (valueNormalization.js) - a Date for dates, the number otherwise,
+  // durations in their own unit ("P36M" -> 36) rather than in days
+  typedCell(typedValue) {
+    if (!typedValue) return ''
+    if (typedValue.date) return new Date(`${typedValue.date}T00:00:00Z`)
+    if (typedValue.kind === 'duration') return Number(typedValue.canonical.slice(1, -1))
+    return typedValue.number ?? ''
+  }
+
+  typedCellFormat(typedValue) {
+    switch (typedValue?.kind) {
+      case 'amount': return '#,##0.00'
+      case 'percent': return '0.00'
+      case 'area': return '#,##0.##'
+      case 'date': return 'yyyy-mm-dd'
+      default: return null
+    }
+  }
   createExcelResultsSheet(data) {
-    const headers = ['Kategorie', 'Dotaz', 'Popisek', 'Hodnota', 'Absolutní hodnota', 'Typ']
+    const headers = ['Dokument', 'Kategorie', 'Dotaz', 'Popisek', 'Hodnota', 'Normalizovaná hodnota', 'Číslo', 'Jednotka', 'Typ', 'Kontrola', 'Důvod kontroly', 'Nálezy']
 
     const rows = data.map(item => [
+      item.document || '',
       item.category || '',
       item.query || '',
       item.label || '',
       item.value || '',
       item.absoluteValue || '',
-      item.type || ''
+      this.typedCell(item.typedValue),
+      item.typedValue?.unit || '',
+      item.type || '',
+      item.checksum || '',
+      item.checksumReason || '',
+      item.findings || ''
     ])
 
     const wsData = [headers, ...rows]
-    const worksheet = XLSX.utils.aoa_to_sheet(wsData)
+    const worksheet = XLSX.utils.aoa_to_sheet(wsData, { cellDates: true, dateNF: 'yyyy-mm-dd' })
+
+    // Typed values as real numbers / dates, so Excel can sum and filter them
+    data.forEach((item, index) => {
+      const cell = worksheet[XLSX.utils.encode_cell({ r: index + 1, c: 6 })]
+      const format = this.typedCellFormat(item.typedValue)
+      if (cell && format) cell.z = format
+    })
 
     // Set column widths
     worksheet['!cols'] = [
+      { width: 25 }, // Dokument
       { width: 20 }, // Kategorie
       { width: 25 }, // Dotaz
       { width: 20 }, // Popisek
       { width: 20 }, // Hodnota
-      { width: 20 }, // Absolutní hodnota
-      { width: 12 }  // Typ
+      { width: 20 }, // Normalizovaná hodnota
+      { width: 16 }, // Číslo
+      { width: 10 }, // Jednotka
+      { width: 12 }, // Typ
+      { width: 14 }, // Kontrola
+      { width: 50 }, // Důvod kontroly
+      { width: 50 }  // Nálezy
     ]
 
     // Apply styles to header row
@@ -212,6 +262,20 @@ export class ExportSystem {
     return worksheet
   }
 
+  /**
+   * Matrix sheet - one row per document, one column per query
+   * @param {Object} matrix - { columns: string[], rows: [{ document, values: string[] }] }
+   */
+  createExcelMatrixSheet(matrix) {
+    const headers = ['Dokument', ...matrix.columns]
+    const rows = matrix.rows.map(row => [row.document, ...row.values])
+
+    const worksheet = XLSX.utils.aoa_to_sheet([headers, ...rows])
+    worksheet['!cols'] = [{ width: 30 }, ...matrix.columns.map(() => ({ width: 22 }))]
+
+    return worksheet
+  }
+
   createExcelSummarySheet(data, options) {
     const summary = this.generateDataSummary(data)
     
@@ -259,7 +323,10 @@ export class ExportSystem {
     return worksheet
   }
 
-  createExcelStatsSheet(data) {
+  /**
+   * @param {Object} usage - Token usage from sessionUsageReport() (usage.js), section skipped without it
+   */
+  createExcelStatsSheet(data, usage) {
     const stats = this.calculateStatistics(data)
     
     const statsData = [
@@ -282,8 +349,20 @@ export class ExportSystem {
       ['Max Matches:', stats.maxMatches]
     ]
 
+    if (usage) {
+      const usageRow = (name, item) => [name, item.requests, item.inputTokens, item.outputTokens, item.cost]
+      statsData.push(
+        [''],
+        [`Token Usage (estimated cost in ${usage.currency})`],
+        ['', 'Requests', 'Input Tokens', 'Output Tokens', 'Cost'],
+        usageRow('Session', usage.session),
+        ...usage.batches.map(batch => usageRow(`Batch ${batch.batchId}`, batch)),
+        ...usage.documents.map(doc => usageRow(doc.name, doc))
+      )
+    }
+
     const worksheet = XLSX.utils.aoa_to_sheet(statsData)
-    worksheet['!cols'] = [{ width: 25 }, { width: 15 }]
+    worksheet['!cols'] = [{ width: 25 }, { width: 15 }, { width: 14 }, { width: 14 }, { width: 12 }]
 
     return worksheet
   }
@@ -327,6 +406,7 @@ export class ExportSystem {
 
   addPDFMainTable(doc, data) {
     const tableData = data.map(item => [
+      (item.document || '').substring(0, 20) + (item.document?.length > 20 ? '...' : ''),
       (item.category || '').substring(0, 18) + (item.category?.length > 18 ? '...' : ''),
       (item.query || '').substring(0, 20) + (item.query?.length > 20 ? '...' : ''),
       (item.label || '').substring(0, 15) + (item.label?.length > 15 ? '...' : ''),
@@ -336,7 +416,7 @@ export class ExportSystem {
     ])
 
     autoTable(doc, {
-      head: [['Kategorie', 'Dotaz', 'Popisek', 'Hodnota', 'Absolutní hodnota', 'Typ']],
+      head: [['Dokument', 'Kategorie', 'Dotaz', 'Popisek', 'Hodnota', 'Normalizovaná hodnota', 'Typ']],
       body: tableData,
       startY: 95,
       styles: { fontSize: 7 },
@@ -344,10 +424,11 @@ export class ExportSystem {
       columnStyles: {
         0: { cellWidth: 35 },
         1: { cellWidth: 35 },
-        2: { cellWidth: 28 },
+        2: { cellWidth: 35 },
         3: { cellWidth: 28 },
         4: { cellWidth: 28 },
-        5: { cellWidth: 16 }
+        5: { cellWidth: 28 },
+        6: { cellWidth: 16 }
       },
       margin: { left: 20, right: 20 }
     })
@@ -513,6 +594,123 @@ export class ExportSystem {
     return 'text'
   }
 
+  /**
+   * Redacted copy of a document for sharing (see redaction.js) plus the redaction log as a separate CSV -
+   * the log lists the removed values, so it is never part of the copy
+   * @param {string} format - 'txt' | 'docx' | 'pdf'
+   * @param {Object} redacted - { name, text, log } - text already blacked out, log from redactionLogCsv
+   */
+  async exportRedactedDocument(format, redacted) {
+    const baseName = `${redacted.name.replace(/\.[^.]+$/, '')}-zacerneno`
+
+    switch (format) {
+      case 'txt':
+        this.downloadFile(redacted.text, `${baseName}.txt`, 'text/plain;charset=utf-8')
+        break
+      case 'docx':
+        this.downloadBlob(await this.buildTextDocx(redacted.text), `${baseName}.docx`)
+        break
+      case 'pdf':
+        this.buildTextPdf(redacted.text, redacted.name).save(`${baseName}.pdf`)
+        break
+      default:
+        throw new Error(`Unsupported export format: ${format}`)
+    }
+
+    // BOM - Excel reads the Czech text as UTF-8
+    this.downloadFile(`\ufeff${redacted.log}`, `${baseName}-protokol.csv`, 'text/csv;charset=utf-8')
+    return { success: true, format: format.toUpperCase() }
+  }
+
+  /**
+   * Minimal DOCX - one paragraph per line, no styles
+   */
+  async buildTextDocx(text) {
+    const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    const paragraphs = text.split('\n')
+      .map(line => `<w:p><w:r><w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r></w:p>`)
+      .join('')
+
+    const zip = new JSZip()
+    zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '</Types>')
+    zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+      '</Relationships>')
+    zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      `<w:body>${paragraphs}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/></w:sectPr></w:body>` +
+      '</w:document>')
+
+    return zip.generateAsync({
+      type: 'blob',
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    })
+  }
+
+  /**
+   * PDF of plain text - pages are drawn on a canvas and embedded as images: the standard PDF fonts
+   * have no Czech letters, and a redacted copy must not carry a text layer anyway
+   */
+  buildTextPdf(text, title) {
+    const page = { width: 1240, height: 1754, margin: 110, lineHeight: 34 } // A4 at 150 dpi
+    const canvas = document.createElement('canvas')
+    canvas.width = page.width
+    canvas.height = page.height
+    const context = canvas.getContext('2d')
+    context.font = '23px Arial, Helvetica, sans-serif'
+
+    // Wrap lines to the page width - words first, characters for words longer than a line
+    const maxWidth = page.width - 2 * page.margin
+    const lines = []
+    text.split('\n').forEach(paragraph => {
+      let line = ''
+      paragraph.split(/(\s+)/).forEach(word => {
+        if (context.measureText(line + word).width <= maxWidth) {
+          line += word
+          return
+        }
+        if (line.trim()) lines.push(line.trimEnd())
+        line = ''
+        for (const char of word.trimStart()) {
+          if (context.measureText(line + char).width > maxWidth) {
+            lines.push(line)
+            line = ''
+          }
+          line += char
+        }
+      })
+      lines.push(line.trimEnd())
+    })
+
+    const linesPerPage = Math.floor((page.height - 2 * page.margin) / page.lineHeight)
+    const pageCount = Math.max(1, Math.ceil(lines.length / linesPerPage))
+    const doc = new jsPDF('p', 'mm', 'a4')
+
+    for (let index = 0; index < pageCount; index++) {
+      context.fillStyle = '#ffffff'
+      context.fillRect(0, 0, page.width, page.height)
+      context.fillStyle = '#111111'
+      context.font = '23px Arial, Helvetica, sans-serif'
+      lines.slice(index * linesPerPage, (index + 1) * linesPerPage).forEach((line, lineIndex) => {
+        context.fillText(line, page.margin, page.margin + (lineIndex + 1) * page.lineHeight)
+      })
+      context.fillStyle = '#6b7280'
+      context.font = '18px Arial, Helvetica, sans-serif'
+      context.fillText(`${title} - začerněná kopie · strana ${index + 1}/${pageCount}`, page.margin, page.height - page.margin / 2)
+
+      if (index > 0) doc.addPage()
+      doc.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, 210, 297)
+    }
+
+    return doc
+  }
+
   /**
    * Utility Methods
    */
@@ -526,6 +724,14 @@ export class ExportSystem {
     ].join('\\n')
   }
 
+  /**
+   * Template of the library as a JSON file - the import of the library takes it back (templateLibrary.js)
+   */
+  exportTemplate(template) {
+    const baseName = template.name.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'sablona'
+    this.downloadFile(templateFile(template), `${baseName}.json`, 'application/json')
+  }
+
   getTimestamp() {
     return new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)
   }
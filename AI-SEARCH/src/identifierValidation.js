@@ -0,0 +1,334 @@
+/**
+ * Checksum validation of Czech identifiers in extracted values
+ * Every table row gets a verdict:
+ *   valid      - an identifier was found and its check digits / bank code are right
+ *   invalid    - an identifier was found and something does not add up (a mistyped digit)
+ *   unchecked  - no identifier in the value, one that has no check digit (RČ before 1954),
+ *                or a number that only looks like an identifier and does not check out
+ * The kind of identifier comes from the query ("číslo účtu ...") or, failing that, from the value's shape.
+ *
+ * Rules:
+ *   RČ    - 10 digits divisible by 11 (remainder 10 -> check digit 0 until 1985), valid date,
+ *           month +50 for women, +20 / +70 when a day's series ran out (since 2004)
+ *   IČO   - weights 8..2, check digit (11 - sum % 11) % 10
+ *   DIČ   - CZ + IČO for legal entities, CZ + RČ for natural persons
+ *   IBAN  - mod 97 == 1, country length; a Czech IBAN is checked as an account as well
+ *   účet  - ČNB weights: prefix 10,5,8,4,2,1 and number 6,3,7,9,10,5,8,4,2,1, each sum divisible by 11;
+ *           the bank code has to be on the ČNB code list
+ */
+
+import { removeDiacritics } from './documentNormalizer.js';
+
+export const VERDICTS = {
+  valid: { label: 'platné', icon: '✓' },
+  invalid: { label: 'neplatné', icon: '✗' },
+  unchecked: { label: 'nekontrolováno', icon: '–' }
+};
+
+export const IDENTIFIER_LABELS = {
+  birthNumber: 'rodné číslo',
+  companyId: 'IČO',
+  vatNumber: 'DIČ',
+  iban: 'IBAN',
+  bankAccount: 'číslo účtu'
+};
+
+// Bank codes of the ČNB code list (kódy platebního styku), snapshot - update when ČNB publishes changes.
+// A code missing here is reported as unchecked, not invalid - the snapshot may be older than the bank.
+export const CZ_BANK_CODES = {
+  '0100': 'Komerční banka',
+  '0300': 'ČSOB',
+  '0600': 'MONETA Money Bank',
+  '0710': 'Česká národní banka',
+  '0800': 'Česká spořitelna',
+  '2010': 'Fio banka',
+  '2060': 'Citfin',
+  '2070': 'TRINITY BANK',
+  '2100': 'Hypoteční banka',
+  '2200': 'Peněžní dům, spořitelní družstvo',
+  '2220': 'Artesa, spořitelní družstvo',
+  '2250': 'Banka CREDITAS',
+  '2260': 'NEY spořitelní družstvo',
+  '2275': 'Podnikatelská družstevní záložna',
+  '2600': 'Citibank Europe',
+  '2700': 'UniCredit Bank',
+  '3030': 'Air Bank',
+  '3050': 'BNP Paribas Personal Finance',
+  '3060': 'PKO BP',
+  '3500': 'ING Bank',
+  '4000': 'Max banka',
+  '4300': 'Národní rozvojová banka',
+  '5500': 'Raiffeisenbank',
+  '5800': 'J&T BANKA',
+  '6000': 'PPF banka',
+  '6100': 'Raiffeisenbank (Equa bank)',
+  '6200': 'COMMERZBANK',
+  '6210': 'mBank',
+  '6300': 'BNP Paribas',
+  '6363': 'Partners Banka',
+  '6700': 'Všeobecná úverová banka',
+  '6800': 'Sberbank CZ',
+  '7910': 'Deutsche Bank',
+  '7950': 'Raiffeisen stavební spořitelna',
+  '7960': 'ČSOB Stavební spořitelna',
+  '7970': 'MONETA Stavební Spořitelna',
+  '7990': 'Modrá pyramida stavební spořitelna',
+  '8030': 'Volksbank Raiffeisenbank Nordoberpfalz',
+  '8040': 'Oberbank',
+  '8060': 'Stavební spořitelna České spořitelny',
+  '8090': 'Česká exportní banka',
+  '8150': 'HSBC Continental Europe',
+  '8190': 'Sparkasse Oberlausitz-Niederschlesien',
+  '8198': 'FAS finance company',
+  '8199': 'MoneyPolo Europe',
+  '8200': 'PRIVAT BANK der Raiffeisenlandesbank Oberösterreich',
+  '8220': 'Payment execution',
+  '8250': 'Bank of China (CEE)',
+  '8255': 'Bank of Communications',
+  '8265': 'Industrial and Commercial Bank of China',
+  '8270': 'Fairplay Pay',
+  '8280': 'B-Efekt',
+  '8293': 'Mercurius partners',
+  '8299': 'BESTPAY',
+  '8500': 'Ferratum Bank'
+};
+
+// IBAN lengths of the countries that show up in our contracts - other countries get the mod 97 check only
+const IBAN_LENGTHS = { CZ: 24, SK: 24, AT: 20, DE: 22, PL: 28, HU: 28, GB: 22, NL: 18, FR: 27 };
+
+const PREFIX_WEIGHTS = [10, 5, 8, 4, 2, 1];
+const NUMBER_WEIGHTS = [6, 3, 7, 9, 10, 5, 8, 4, 2, 1];
+
+// Kind of identifier by the query (without diacritics, lowercase)
+const QUERY_KINDS = [
+  ['iban', /iban/],
+  ['vatNumber', /\bdic\b|danove identifikacni/],
+  ['companyId', /\bico\b|identifikacni cisl/],
+  ['birthNumber', /rodn\w* cisl|\brc\b|r\.\s?c\./],
+  ['bankAccount', /\bucet|\buctu|bankovni spojeni|\bc\.\s?u\./]
+];
+
+// Identifiers inside a value - the value can be a whole sentence ("č. ú. 19-2000145399/0800")
+const VALUE_PATTERNS = {
+  iban: /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){3,7}(?:\s?[A-Z0-9]{1,4})?\b/g,
+  vatNumber: /\bCZ\s?\d{8,10}\b/g,
+  birthNumber: /\b\d{6}\s?\/?\s?\d{3,4}\b/g,
+  bankAccount: /(?:\b\d{1,6}\s?-\s?)?\b\d{2,10}\s?\/\s?\d{4}\b/g,
+  companyId: /\b\d{8}\b/g
+};
+
+// Kinds recognised by shape alone - a bare 8-digit number is an IČO and an RČ without the slash
+// is an RČ only when the query says so
+const SHAPE_PATTERNS = {
+  iban: VALUE_PATTERNS.iban,
+  vatNumber: VALUE_PATTERNS.vatNumber,
+  birthNumber: /\b\d{6}\s?\/\s?\d{3,4}\b/g,
+  bankAccount: VALUE_PATTERNS.bankAccount
+};
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+const weightedSum = (digits, weights) =>
+  digits.split('').reduce((sum, digit, index) => sum + Number(digit) * weights[index], 0);
+
+const result = (verdict, reason) => ({ verdict, reason });
+
+/**
+ * Rodné číslo - with or without the slash
+ */
+export function checkBirthNumber(value) {
+  const digits = digitsOf(value);
+  if (digits.length !== 9 && digits.length !== 10) return result('invalid', 'rodné číslo musí mít 9 nebo 10 číslic');
+
+  const yy = Number(digits.slice(0, 2));
+  let month = Number(digits.slice(2, 4));
+  const day = Number(digits.slice(4, 6));
+
+  // 9 digits = issued before 1954, 10 digits = 1954 onwards (00-53 is then 2000-2053)
+  const year = digits.length === 9 ? (yy < 54 ? 1900 + yy : 1800 + yy) : (yy < 54 ? 2000 + yy : 1900 + yy);
+
+  if (month > 70) month -= 70;
+  else if (month > 50) month -= 50;
+  else if (month > 20) month -= 20;
+  if (month < 1 || month > 12) return result('invalid', `neplatný měsíc narození (${digits.slice(2, 4)})`);
+  // Extra +20 (men) / +70 (women) for exhausted day series only from 2004 on
+  const rawMonth = Number(digits.slice(2, 4));
+  if (((rawMonth > 20 && rawMonth <= 32) || rawMonth > 70) && year < 2004) {
+    return result('invalid', `měsíc +${rawMonth > 70 ? 70 : 20} se přiděluje až od roku 2004`);
+  }
+
+  const daysInMonth = new Date(year, month, 0).getDate();
+  if (day < 1 || day > daysInMonth) return result('invalid', `neplatný den narození (${digits.slice(4, 6)})`);
+
+  if (digits.length === 9) return result('unchecked', 'devítimístné rodné číslo (před rokem 1954) nemá kontrolní číslici');
+
+  const remainder = Number(digits.slice(0, 9)) % 11;
+  const check = Number(digits[9]);
+  if (remainder === check) return result('valid', 'kontrolní číslice sedí (mod 11)');
+  // Until 1985 a remainder of 10 was written as check digit 0
+  if (remainder === 10 && check === 0 && year < 1986) return result('valid', 'kontrolní číslice sedí (mod 11, zbytek 10 → 0)');
+  return result('invalid', `kontrolní číslice nesedí (mod 11: očekáváno ${remainder === 10 ? 0 : remainder}, je ${check})`);
+}
+
+/**
+ * IČO - 8 digits, shorter ones are written without their leading zeros
+ */
+export function checkCompanyId(value) {
+  const digits = digitsOf(value);
+  if (digits.length === 0 || digits.length > 8) return result('invalid', 'IČO musí mít 8 číslic');
+  const padded = digits.padStart(8, '0');
+
+  const sum = weightedSum(padded.slice(0, 7), [8, 7, 6, 5, 4, 3, 2]);
+  const expected = (11 - (sum % 11)) % 10;
+  return expected === Number(padded[7])
+    ? result('valid', 'kontrolní číslice IČO sedí')
+    : result('invalid', `kontrolní číslice IČO nesedí (očekáváno ${expected}, je ${padded[7]})`);
+}
+
+/**
+ * DIČ - CZ + IČO (8 digits) or CZ + rodné číslo (9-10 digits)
+ */
+export function checkVatNumber(value) {
+  const compact = value.replace(/\s/g, '').toUpperCase();
+  if (!/^CZ\d{8,10}$/.test(compact)) return result('invalid', 'DIČ musí mít tvar CZ + 8 až 10 číslic');
+  const digits = compact.slice(2);
+
+  if (digits.length === 8) {
+    const check = checkCompanyId(digits);
+    return result(check.verdict, `DIČ právnické osoby: ${check.reason}`);
+  }
+  // CZ699... are DIČ assigned by the tax office to persons without an RČ - no check digit
+  if (digits.length === 9 && digits.startsWith('6')) {
+    return result('unchecked', 'zvláštní DIČ přidělené finančním úřadem nemá kontrolní číslici');
+  }
+  const check = checkBirthNumber(digits);
+  return result(check.verdict, `DIČ fyzické osoby: ${check.reason}`);
+}
+
+/**
+ * Czech account number [prefix-]number/bank code
+ */
+export function checkBankAccount(value) {
+  const match = value.replace(/\s/g, '').match(/^(?:(\d{1,6})-)?(\d{2,10})\/(\d{4})$/);
+  if (!match) return result('invalid', 'číslo účtu musí mít tvar [předčíslí-]číslo/kód banky');
+  const [, prefix = '', number, bankCode] = match;
+
+  if (prefix && weightedSum(prefix.padStart(6, '0'), PREFIX_WEIGHTS) % 11 !== 0) {
+    return result('invalid', `předčíslí ${prefix} nesplňuje kontrolu vahami ČNB (mod 11)`);
+  }
+  if (number.replace(/^0+/, '').length < 2) return result('invalid', 'číslo účtu musí mít alespoň dvě platné číslice');
+  if (weightedSum(number.padStart(10, '0'), NUMBER_WEIGHTS) % 11 !== 0) {
+    return result('invalid', `číslo ${number} nesplňuje kontrolu vahami ČNB (mod 11)`);
+  }
+  if (!CZ_BANK_CODES[bankCode]) return result('unchecked', `vahy ČNB sedí, kód banky ${bankCode} neznáme (není v uloženém číselníku ČNB)`);
+  return result('valid', `vahy ČNB sedí, banka ${bankCode} ${CZ_BANK_CODES[bankCode]}`);
+}
+
+/**
+ * IBAN - mod 97 over the rearranged digits (letters as 10-35), computed piecewise
+ */
+export function checkIban(value) {
+  const compact = value.replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(compact)) return result('invalid', 'IBAN musí mít tvar kód země + 2 číslice + číslo účtu');
+
+  const country = compact.slice(0, 2);
+  if (IBAN_LENGTHS[country] && compact.length !== IBAN_LENGTHS[country]) {
+    return result('invalid', `IBAN ${country} má mít ${IBAN_LENGTHS[country]} znaků, má ${compact.length}`);
+  }
+
+  const rearranged = (compact.slice(4) + compact.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  const remainder = rearranged.split('').reduce((rest, digit) => (rest * 10 + Number(digit)) % 97, 0);
+  if (remainder !== 1) return result('invalid', 'kontrolní číslice IBAN nesedí (mod 97)');
+
+  if (country !== 'CZ') return result('valid', 'kontrolní číslice IBAN sedí (mod 97)');
+
+  // CZkk BBBB PPPPPP NNNNNNNNNN - the embedded account has to pass on its own
+  const bankCode = compact.slice(4, 8);
+  const prefix = compact.slice(8, 14).replace(/^0+/, '');
+  const number = compact.slice(14).replace(/^0+/, '');
+  const account = checkBankAccount(`${prefix ? `${prefix}-` : ''}${number.padStart(2, '0')}/${bankCode}`);
+  if (account.verdict === 'invalid') return result('invalid', `mod 97 sedí, ale účet v IBAN: ${account.reason}`);
+  return result(account.verdict, `mod 97 sedí, ${account.reason}`);
+}
+
+const CHECKS = {
+  birthNumber: checkBirthNumber,
+  companyId: checkCompanyId,
+  vatNumber: checkVatNumber,
+  iban: checkIban,
+  bankAccount: checkBankAccount
+};
+
+/**
+ * Kind of identifier the query asks for, null when it asks for something else
+ */
+export function queryKind(query) {
+  const normalized = removeDiacritics(query || '').toLowerCase();
+  return QUERY_KINDS.find(([, pattern]) => pattern.test(normalized))?.[0] || null;
+}
+
+/**
+ * Identifiers of one kind in a value
+ */
+const findIdentifiers = (value, kind, patterns = VALUE_PATTERNS) => [...value.matchAll(patterns[kind])].map(match => match[0]);
+
+/**
+ * Verdict over all identifiers of one kind found in a value
+ */
+function verdictOf(kind, found) {
+  const checks = found.map(item => ({ kind, value: item, ...CHECKS[kind](item) }));
+  const failed = checks.find(check => check.verdict === 'invalid');
+  const verdict = failed ? 'invalid' : checks.every(check => check.verdict === 'valid') ? 'valid' : 'unchecked';
+  const shown = failed || checks.find(check => check.verdict === verdict) || checks[0];
+  const reason = `${IDENTIFIER_LABELS[kind]} ${shown.value}: ${shown.reason}`;
+
+  return { verdict, reason, kind, checks };
+}
+
+/**
+ * Kinds a value could be by its shape - "123457/0100" is an RČ as much as an account at Komerční banka,
+ * a known bank code after the slash puts the account first
+ */
+function shapeKinds(text) {
+  const kinds = Object.keys(SHAPE_PATTERNS).filter(kind => findIdentifiers(text, kind, SHAPE_PATTERNS).length > 0);
+  const knownBank = findIdentifiers(text, 'bankAccount', SHAPE_PATTERNS).some(item => CZ_BANK_CODES[digitsOf(item).slice(-4)]);
+  return knownBank ? [...kinds.filter(kind => kind !== 'birthNumber'), ...kinds.filter(kind => kind === 'birthNumber')] : kinds;
+}
+
+/**
+ * Verdict for an extracted value
+ * A value with several identifiers is invalid when any of them is, valid when all of them are.
+ * Without the query naming the kind, the kind is only guessed from the shape - the first guess that
+ * checks out wins, and one that does not is reported unchecked (it may be another kind of number).
+ * @param {string} value - Value as extracted (may contain more text around the identifier)
+ * @param {Object} options - { query } - the question the value answers
+ * @returns {Object} - { verdict: 'valid'|'invalid'|'unchecked', reason, kind, checks: [{ kind, value, verdict, reason }] }
+ */
+export function validateIdentifier(value, { query } = {}) {
+  const text = String(value ?? '').trim();
+  if (!text) return { verdict: 'unchecked', reason: 'prázdná hodnota', kind: null, checks: [] };
+
+  const expected = queryKind(query);
+  if (expected) {
+    let kind = expected;
+    let found = findIdentifiers(text, expected);
+    // "číslo účtu" answered with an IBAN, "DIČ" with a bare IČO etc.
+    if (found.length === 0 && expected === 'bankAccount') [kind, found] = ['iban', findIdentifiers(text, 'iban')];
+    if (found.length === 0 && expected === 'vatNumber') [kind, found] = ['companyId', findIdentifiers(text, 'companyId')];
+    if (found.length > 0) return verdictOf(kind, found);
+  }
+
+  const guesses = shapeKinds(text).map(kind => verdictOf(kind, findIdentifiers(text, kind, SHAPE_PATTERNS)));
+  const guess = guesses.find(item => item.verdict === 'valid') || guesses[0];
+  if (guess) {
+    return guess.verdict === 'invalid'
+      ? { ...guess, verdict: 'unchecked', reason: `${guess.reason} - typ určen jen podle tvaru hodnoty` }
+      : guess;
+  }
+
+  // Digits where an identifier was asked for are a malformed one ("2000145399/080"),
+  // an answer without digits ("nenalezeno") has nothing to check
+  return expected && /\d/.test(text)
+    ? { verdict: 'invalid', reason: `hodnota neobsahuje ${IDENTIFIER_LABELS[expected]} v platném tvaru`, kind: expected, checks: [] }
+    : { verdict: 'unchecked', reason: 'hodnota není identifikátor s kontrolním součtem', kind: null, checks: [] };
+}
@@ -0,0 +1,147 @@
+/**
+ * OCR ingestion for scanned documents
+ * Page images are recognized by the local OCR service (/api/ocr) and turned
+ * into the same text + page/line/box model the PDF text layer produces,
+ * with per-word confidence kept on every span.
+ */
+
+import { logger } from './logger.js';
+
+const PAGE_SEPARATOR = '\n\n';
+
+/**
+ * Send one page image to the OCR service
+ */
+async function recognizeImage(blob) {
+  const response = await fetch('/api/ocr', {
+    method: 'POST',
+    headers: { 'Content-Type': blob.type || 'image/png' },
+    body: blob
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `OCR selhalo (HTTP ${response.status})`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Append recognized page to the text model
+ * @param {Object} model - { text, pages, spans } being built
+ * @param {Object} ocrPage - OCR service response
+ * @param {Object} page - { number, width, height, scale } - scale converts image px to page units
+ */
+function appendOcrPage(model, ocrPage, page) {
+  if (page.number > 1) model.text += PAGE_SEPARATOR;
+
+  const pageEntry = {
+    number: page.number,
+    width: page.width,
+    height: page.height,
+    start: model.text.length,
+    end: model.text.length,
+    confidence: ocrPage.confidence,
+    lines: []
+  };
+
+  ocrPage.lines.forEach((line, lineIndex) => {
+    if (lineIndex > 0) model.text += '\n';
+    const lineStart = model.text.length;
+
+    line.words.forEach((word, wordIndex) => {
+      if (wordIndex > 0) model.text += ' ';
+      const start = model.text.length;
+      model.text += word.text;
+      model.spans.push({
+        start,
+        end: model.text.length,
+        page: page.number,
+        line: lineIndex + 1,
+        confidence: word.confidence,
+        box: {
+          x: word.bbox.x0 / page.scale,
+          y: word.bbox.y0 / page.scale,
+          width: (word.bbox.x1 - word.bbox.x0) / page.scale,
+          height: (word.bbox.y1 - word.bbox.y0) / page.scale
+        }
+      });
+    });
+
+    pageEntry.lines.push({ number: lineIndex + 1, start: lineStart, end: model.text.length });
+  });
+
+  pageEntry.end = model.text.length;
+  model.pages.push(pageEntry);
+}
+
+const toStructure = (model, format) => ({
+  format,
+  ocr: true,
+  hasTextLayer: model.text.trim().length > 0,
+  pages: model.pages,
+  spans: model.spans
+});
+
+/**
+ * OCR of a PDF without text layer
+ * @param {ArrayBuffer} data - Raw .pdf file content
+ * @param {Function} onProgress - Called with { current, total } after each page
+ * @returns {Promise<{text: string, structure: Object}>}
+ */
+export async function recognizeScannedPdf(data, onProgress) {
+  const { openPdf, renderPdfPageImage } = await import('./pdfParser.js');
+  const startTime = Date.now();
+  const pdf = await openPdf(data);
+  const model = { text: '', pages: [], spans: [] };
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      onProgress?.({ current: pageNumber, total: pdf.numPages });
+      const image = await renderPdfPageImage(pdf, pageNumber);
+      const ocrPage = await recognizeImage(image.blob);
+      appendOcrPage(model, ocrPage, { number: pageNumber, ...image });
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  logger.info('OCR', 'Scanned PDF recognized', {
+    pages: model.pages.length,
+    length: model.text.length,
+    duration: `${Date.now() - startTime}ms`
+  });
+
+  return { text: model.text, structure: toStructure(model, 'pdf') };
+}
+
+const imageSize = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    URL.revokeObjectURL(url);
+  };
+  img.onerror = () => {
+    reject(new Error('Obrázek se nepodařilo načíst'));
+    URL.revokeObjectURL(url);
+  };
+  img.src = url;
+});
+
+/**
+ * OCR of a single scanned image (photo or scan of a page)
+ */
+export async function recognizeScannedImage(file, onProgress) {
+  onProgress?.({ current: 1, total: 1 });
+  const size = await imageSize(file);
+  const model = { text: '', pages: [], spans: [] };
+
+  const ocrPage = await recognizeImage(file);
+  appendOcrPage(model, ocrPage, { number: 1, scale: 1, ...size });
+
+  logger.info('OCR', 'Image recognized', { length: model.text.length });
+
+  return { text: model.text, structure: toStructure(model, 'image') };
+}
@@ -0,0 +1,176 @@
+/**
+ * PDF text-layer ingestion
+ * Extracts text page by page and keeps a mapping from every character
+ * offset back to page, line and bounding box.
+ */
+
+import { getDocument, GlobalWorkerOptions } from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { logger } from './logger.js';
+
+GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+const PAGE_SEPARATOR = '\n\n';
+
+/**
+ * Open PDF document from raw bytes
+ * pdf.js transfers the buffer to its worker, so we always pass a copy
+ */
+export const openPdf = (data) => {
+  const bytes = data instanceof Uint8Array ? data.slice() : new Uint8Array(data.slice(0));
+  return getDocument({ data: bytes }).promise;
+};
+
+/**
+ * Convert pdf.js text item to a top-left based box (viewport units, scale 1)
+ */
+const itemBox = (item, pageHeight) => {
+  const [, , c, d, x, y] = item.transform;
+  const height = item.height || Math.hypot(c, d);
+  return {
+    x,
+    y: pageHeight - y - height,
+    width: item.width,
+    height
+  };
+};
+
+/**
+ * Group text items into lines - same baseline within half of the glyph height
+ */
+function groupIntoLines(items, pageHeight) {
+  const positioned = items
+    .filter(item => item.str && item.str.length > 0)
+    .map(item => ({ item, box: itemBox(item, pageHeight) }))
+    .sort((a, b) => a.box.y - b.box.y || a.box.x - b.box.x);
+
+  const lines = [];
+  positioned.forEach(entry => {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(entry.box.height, 1) / 2;
+    if (line && Math.abs(line.y - entry.box.y) <= tolerance) {
+      line.entries.push(entry);
+    } else {
+      lines.push({ y: entry.box.y, entries: [entry] });
+    }
+  });
+
+  lines.forEach(line => line.entries.sort((a, b) => a.box.x - b.box.x));
+  return lines;
+}
+
+/**
+ * Parse a PDF file
+ * @param {ArrayBuffer|Uint8Array} data - Raw .pdf file content
+ * @returns {Promise<{text: string, structure: Object}>} - Plain text and page/line/box map
+ */
+export async function parsePdf(data) {
+  const startTime = Date.now();
+  const pdf = await openPdf(data);
+
+  let text = '';
+  const pages = [];
+  const spans = []; // { start, end, page, line, box } - sorted by start
+
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: 1 });
+    const content = await page.getTextContent();
+
+    if (pageNumber > 1) text += PAGE_SEPARATOR;
+    const pageEntry = {
+      number: pageNumber,
+      width: viewport.width,
+      height: viewport.height,
+      start: text.length,
+      end: text.length,
+      lines: []
+    };
+
+    groupIntoLines(content.items, viewport.height).forEach((line, lineIndex) => {
+      if (lineIndex > 0) text += '\n';
+      const lineStart = text.length;
+      let previous = null;
+
+      line.entries.forEach(({ item, box }) => {
+        // Insert a space where pdf.js gives us a visible gap between items
+        if (previous && !/\s$/.test(previous.item.str) && !/^\s/.test(item.str)) {
+          const gap = box.x - (previous.box.x + previous.box.width);
+          if (gap > box.height * 0.15) text += ' ';
+        }
+
+        const start = text.length;
+        text += item.str;
+        spans.push({ start, end: text.length, page: pageNumber, line: lineIndex + 1, box });
+        previous = { item, box };
+      });
+
+      pageEntry.lines.push({ number: lineIndex + 1, start: lineStart, end: text.length });
+    });
+
+    pageEntry.end = text.length;
+    pages.push(pageEntry);
+    page.cleanup();
+  }
+
+  await pdf.destroy();
+
+  const structure = {
+    format: 'pdf',
+    hasTextLayer: text.trim().length > 0,
+    pages,
+    spans
+  };
+
+  logger.info('PDF', 'Document parsed', {
+    pages: pages.length,
+    length: text.length,
+    hasTextLayer: structure.hasTextLayer,
+    duration: `${Date.now() - startTime}ms`
+  });
+
+  return { text, structure };
+}
+
+/**
+ * Render single page to canvas
+ * @returns {Promise<number>} - Scale used for rendering (for overlay positioning)
+ */
+export async function renderPdfPage(data, pageNumber, canvas, targetWidth) {
+  const pdf = await openPdf(data);
+  try {
+    const page = await pdf.getPage(pageNumber);
+    const baseViewport = page.getViewport({ scale: 1 });
+    const scale = targetWidth ? targetWidth / baseViewport.width : 1.5;
+    const viewport = page.getViewport({ scale });
+
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    await page.render({ canvas, canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+    return scale;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Render page to an image for OCR
+ * @returns {Promise<{blob: Blob, scale: number, width: number, height: number}>}
+ *   width/height are in PDF viewport units (scale 1)
+ */
+export async function renderPdfPageImage(pdf, pageNumber, scale = 2) {
+  const page = await pdf.getPage(pageNumber);
+  const baseViewport = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = viewport.width;
+  canvas.height = viewport.height;
+  await page.render({ canvas, canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  page.cleanup();
+
+  return { blob, scale, width: baseViewport.width, height: baseViewport.height };
+}
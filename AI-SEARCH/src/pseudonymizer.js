@@ -0,0 +1,202 @@
+/**
+ * PII pseudonymization
+ * Personal data found by CZECH_LEGAL_PATTERNS is replaced by stable tokens ([RC_1], [UCET_2], ...)
+ * before a document leaves the browser; answers coming back are mapped to the real values again.
+ * The mapping table lives only in this module's memory - it is never sent, stored or logged.
+ * The server gets the tokenized text and the number of tokens per category (for its audit log).
+ *
+ * Spans (start/end) of answers refer to the tokenized text on the server; they are moved back
+ * to the original text here, a token maps to the whole value it replaced.
+ *
+ * Configuration (env):
+ *   VITE_PII_PSEUDONYMIZATION  'true' on by default (the user can turn it off),
+ *                              'required' always on, anything else off by default
+ */
+
+import { CZECH_LEGAL_PATTERNS } from './contractAnalyzer.js';
+import { logger } from './logger.js';
+
+// Token prefix per pattern - earlier categories win where matches overlap
+// (a birth number also looks like an account number, a name can be part of an address)
+export const PII_CATEGORIES = [
+  { type: 'birthNumber', prefix: 'RC', label: 'rodné číslo' },
+  { type: 'bankAccount', prefix: 'UCET', label: 'číslo účtu' },
+  { type: 'phoneNumber', prefix: 'TEL', label: 'telefon' },
+  { type: 'address', prefix: 'ADRESA', label: 'adresa' },
+  { type: 'fullName', prefix: 'JMENO', label: 'jméno' }
+];
+
+const TOKEN_PATTERN = new RegExp(`\\[(?:${PII_CATEGORIES.map(category => category.prefix).join('|')})_\\d+\\]`, 'g');
+
+const STORAGE_KEY = 'aiSearchPseudonymize';
+const MAX_CACHED_DOCUMENTS = 20;
+
+const setting = import.meta.env.VITE_PII_PSEUDONYMIZATION;
+export const pseudonymizationRequired = setting === 'required';
+
+const mappings = new Map(); // original text -> mapping (insertion order = age)
+
+/**
+ * Whether documents are pseudonymized before they are sent
+ */
+export function isPseudonymizationEnabled() {
+  if (pseudonymizationRequired) return true;
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return stored === null ? setting === 'true' : stored === 'true';
+}
+
+export function setPseudonymizationEnabled(enabled) {
+  if (pseudonymizationRequired) return;
+  localStorage.setItem(STORAGE_KEY, String(enabled));
+  logger.info('PII', 'Pseudonymization switched', { enabled });
+}
+
+const tokenKey = (category, value) => `${category.prefix}|${value.replace(/\s+/g, ' ').trim()}`;
+
+/**
+ * Value of a pattern match - the patterns' \b is ASCII only, so a match can stop inside a word
+ * ending in a Czech letter ("Malá" -> "Mal") or run over a line break
+ */
+function matchBounds(text, match) {
+  const start = match.index;
+  const line = match[0].split('\n')[0].trimEnd();
+  let end = start + line.length;
+  while (end < text.length && /\p{L}/u.test(text[end])) end++;
+  return { start, end };
+}
+
+/**
+ * Matches of all categories without overlaps, in text order
+ * @returns {Array} - [{ start, end, value, category }] - category is an entry of PII_CATEGORIES
+ */
+export function detectPII(text) {
+  const taken = [];
+  PII_CATEGORIES.forEach(category => {
+    const pattern = CZECH_LEGAL_PATTERNS[category.type];
+    for (const match of text.matchAll(pattern.pattern)) {
+      const { start, end } = matchBounds(text, match);
+      if (pattern.validator && !pattern.validator(text.slice(start, end))) continue;
+      if (taken.some(other => start < other.end && other.start < end)) continue;
+      taken.push({ start, end, value: text.slice(start, end), category });
+    }
+  });
+  return taken.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Tokenize a document - the same value always gets the same token within the document
+ * @returns {Object} - { text, entries: [{ token, value, type, label, count }], segments, counts }
+ *   segments are [{ start, end, pseudoStart, pseudoEnd, token }] - where each token sits in both texts
+ */
+export function pseudonymize(text) {
+  if (mappings.has(text)) return mappings.get(text);
+
+  const tokens = new Map(); // tokenKey -> entry
+  const perPrefix = {};
+  const segments = [];
+  let output = '';
+  let position = 0;
+
+  detectPII(text).forEach(match => {
+    const key = tokenKey(match.category, match.value);
+    let entry = tokens.get(key);
+    if (!entry) {
+      perPrefix[match.category.prefix] = (perPrefix[match.category.prefix] || 0) + 1;
+      entry = {
+        token: `[${match.category.prefix}_${perPrefix[match.category.prefix]}]`,
+        value: match.value,
+        type: match.category.type,
+        label: match.category.label,
+        count: 0
+      };
+      tokens.set(key, entry);
+    }
+    entry.count++;
+
+    output += text.slice(position, match.start);
+    segments.push({ start: match.start, end: match.end, pseudoStart: output.length, pseudoEnd: output.length + entry.token.length, token: entry.token });
+    output += entry.token;
+    position = match.end;
+  });
+  output += text.slice(position);
+
+  const mapping = {
+    text: output,
+    entries: [...tokens.values()],
+    segments,
+    counts: perPrefix,
+    byToken: new Map([...tokens.values()].map(entry => [entry.token, entry]))
+  };
+
+  mappings.set(text, mapping);
+  while (mappings.size > MAX_CACHED_DOCUMENTS) mappings.delete(mappings.keys().next().value);
+
+  // Audit - which tokens went out, never the values
+  logger.info('PII', 'Document pseudonymized', {
+    documentLength: text.length,
+    counts: perPrefix,
+    tokens: mapping.entries.map(entry => entry.token)
+  });
+  return mapping;
+}
+
+/**
+ * Text the server gets for the document - tokenized when pseudonymization is on
+ */
+export const outgoingText = (text) => (isPseudonymizationEnabled() ? pseudonymize(text || '').text : text);
+
+/**
+ * Every version of the document the server may have seen - the text and, once it was sent
+ * pseudonymized, the tokenized text (cache and usage are kept per hash of what the server got)
+ */
+export const sentVersions = (text) => (mappings.has(text) ? [text, mappings.get(text).text] : [text]);
+
+/**
+ * Values of the document in a query are sent as their tokens too ("rodné číslo 855215/1238" -> "rodné číslo [RC_1]")
+ */
+export const pseudonymizeQuery = (query, mapping) =>
+  mapping.entries.reduce((text, entry) => text.split(entry.value).join(entry.token), query);
+
+/**
+ * Offset in the tokenized text -> offset in the original text
+ * @param {'start'|'end'} edge - a span edge inside a token moves to the start / end of its value
+ */
+function toOriginalOffset(segments, offset, edge) {
+  let shift = 0;
+  for (const segment of segments) {
+    if (offset < segment.pseudoStart || (edge === 'end' && offset === segment.pseudoStart)) break;
+    if (offset < segment.pseudoEnd || (edge === 'end' && offset === segment.pseudoEnd)) {
+      return edge === 'start' ? segment.start : segment.end;
+    }
+    shift = segment.end - segment.pseudoEnd;
+  }
+  return offset + shift;
+}
+
+/**
+ * Replace the tokens in a string by their values
+ */
+export const restoreText = (value, mapping) =>
+  value.replace(TOKEN_PATTERN, token => mapping.byToken.get(token)?.value ?? token);
+
+/**
+ * Tokens that occur in a result (strings anywhere inside it)
+ */
+export const tokensIn = (result) => [...new Set(JSON.stringify(result ?? null).match(TOKEN_PATTERN) || [])];
+
+/**
+ * Map a server result back to the original document - tokens in strings become the values,
+ * start/end pairs are moved to the original text
+ */
+export function restoreResult(result, mapping) {
+  if (typeof result === 'string') return restoreText(result, mapping);
+  if (Array.isArray(result)) return result.map(item => restoreResult(item, mapping));
+  if (!result || typeof result !== 'object') return result;
+
+  const restored = Object.fromEntries(Object.entries(result).map(([key, value]) => [key, restoreResult(value, mapping)]));
+  if (typeof result.start === 'number' && typeof result.end === 'number') {
+    restored.start = toOriginalOffset(mapping.segments, result.start, 'start');
+    restored.end = toOriginalOffset(mapping.segments, result.end, 'end');
+  }
+  return restored;
+}
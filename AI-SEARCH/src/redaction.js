@@ -0,0 +1,170 @@
+/**
+ * Redaction of personal data for sharing a document
+ * What gets blacked out comes from two sources:
+ *   - entities detected by CZECH_LEGAL_PATTERNS (same detection as the pseudonymization)
+ *   - grounded values of search results, assigned to a category by their query ("rodné číslo ...")
+ *     or by the pattern they match; every other occurrence of such a value goes as well
+ * The user picks the categories. The redaction log lists every removed value with its location -
+ * it contains the removed data, so it stays internal and is never part of the shared copy.
+ */
+
+import { removeDiacritics } from './documentNormalizer.js';
+import { CZECH_LEGAL_PATTERNS } from './contractAnalyzer.js';
+import { PII_CATEGORIES, detectPII } from './pseudonymizer.js';
+import { answerHighlights, locateRange } from './documentLocation.js';
+
+export const REDACTION_CATEGORIES = PII_CATEGORIES;
+
+// Categories selected in the dialog by default - the ones a third party should never see
+export const DEFAULT_REDACTION_CATEGORIES = ['birthNumber', 'bankAccount', 'address', 'fullName'];
+
+const REDACTION_MARK = '█';
+
+// Category of a search result by its query (without diacritics, lowercase)
+const QUERY_CATEGORIES = [
+  ['birthNumber', /rodn\w* cisl|\brc\b|r\.\s?c\./],
+  ['bankAccount', /\bucet|\buctu|iban|bankovni spojeni/],
+  ['phoneNumber', /telefon|\btel\b|mobil/],
+  ['address', /adres|bydlist|\bsidl|trvaly pobyt/],
+  ['fullName', /jmen|prodavajic|kupujic|dluznik|veritel|ruci|zastoupen|osob|podepsan|najemc|pronajimatel/]
+];
+
+const categoryOf = (type) => REDACTION_CATEGORIES.find(category => category.type === type);
+
+/**
+ * Category of a search result value - by its query first, then by the pattern the value matches
+ */
+function resultCategory(query, value) {
+  const normalizedQuery = removeDiacritics(query || '').toLowerCase();
+  const byQuery = QUERY_CATEGORIES.find(([, pattern]) => pattern.test(normalizedQuery));
+  if (byQuery) return categoryOf(byQuery[0]);
+
+  return REDACTION_CATEGORIES.find(category => {
+    const { validator } = CZECH_LEGAL_PATTERNS[category.type];
+    return category.type !== 'fullName' && category.type !== 'address' && validator?.(value.trim());
+  }) || null;
+}
+
+/**
+ * Every exact occurrence of a value in the text
+ */
+function occurrences(text, value) {
+  const found = [];
+  let index = text.indexOf(value);
+  while (value && index !== -1) {
+    found.push({ start: index, end: index + value.length });
+    index = text.indexOf(value, index + value.length);
+  }
+  return found;
+}
+
+/**
+ * Grounded values of the document's search results with their category
+ * @param {Array} history - Search history of the document (table rows)
+ */
+function resultSpans(text, history) {
+  const spans = [];
+  history.forEach(item => {
+    answerHighlights(item.answer).forEach(entry => {
+      if (typeof entry.start !== 'number' || typeof entry.end !== 'number') return;
+      const category = resultCategory(item.query, entry.value);
+      if (!category) return;
+
+      const source = `výsledek hledání „${item.query}“`;
+      spans.push({ start: entry.start, end: entry.end, category, source });
+      // The same value elsewhere in the document is the same personal data
+      occurrences(text, text.slice(entry.start, entry.end))
+        .filter(range => range.start !== entry.start)
+        .forEach(range => spans.push({ ...range, category, source: `${source} - další výskyt` }));
+    });
+  });
+  return spans;
+}
+
+/**
+ * Everything to black out, merged where spans overlap
+ * @param {string} text - Document text
+ * @param {Object} options - { history, structure, categories: ['birthNumber', ...] }
+ * @returns {Array} - [{ start, end, text, type, label, sources, location }] in text order
+ */
+export function findRedactions(text, { history = [], structure = null, categories = DEFAULT_REDACTION_CATEGORIES } = {}) {
+  const detected = detectPII(text).map(match => ({
+    start: match.start,
+    end: match.end,
+    category: match.category,
+    source: 'detekce vzorem'
+  }));
+
+  const spans = [...detected, ...resultSpans(text, history)]
+    .filter(span => categories.includes(span.category.type) && span.end > span.start)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const merged = [];
+  spans.forEach(span => {
+    const last = merged[merged.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+      if (!last.sources.includes(span.source)) last.sources.push(span.source);
+      return;
+    }
+    merged.push({ start: span.start, end: span.end, type: span.category.type, label: span.category.label, sources: [span.source] });
+  });
+
+  return merged.map(redaction => ({
+    ...redaction,
+    text: text.slice(redaction.start, redaction.end),
+    location: locateRange(text, structure, redaction.start, redaction.end)?.label || ''
+  }));
+}
+
+/**
+ * Text with the redactions blacked out - same length, line breaks kept, so the layout does not move
+ */
+export function redactText(text, redactions) {
+  let output = '';
+  let position = 0;
+  redactions.forEach(({ start, end }) => {
+    output += text.slice(position, start) + text.slice(start, end).replace(/[^\n]/g, REDACTION_MARK);
+    position = end;
+  });
+  return output + text.slice(position);
+}
+
+/**
+ * Number of redactions per category
+ * @returns {Object} - { birthNumber: 2, ... }
+ */
+export const countRedactions = (redactions) =>
+  redactions.reduce((counts, { type }) => ({ ...counts, [type]: (counts[type] || 0) + 1 }), {});
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""').replace(/\n/g, ' ')}"`;
+
+/**
+ * Redaction log as CSV - what was removed and where
+ * @param {Object} meta - { documentName, format, categories }
+ */
+export function redactionLogCsv(redactions, { documentName, format, categories = [] } = {}) {
+  const header = [
+    `# Protokol začernění - INTERNÍ, obsahuje odstraněné údaje`,
+    `# Dokument: ${documentName}`,
+    `# Vytvořeno: ${new Date().toISOString()}`,
+    `# Formát kopie: ${format}`,
+    `# Kategorie: ${categories.map(type => categoryOf(type)?.label || type).join(', ')}`,
+    `# Začerněno: ${redactions.length}`
+  ];
+  const rows = redactions.map((redaction, index) => [
+    index + 1,
+    redaction.label,
+    redaction.location,
+    redaction.start,
+    redaction.end,
+    redaction.sources.join('; '),
+    redaction.text
+  ].map(csvCell).join(','));
+
+  return [
+    ...header,
+    ['#', 'Kategorie', 'Umístění', 'Začátek', 'Konec', 'Zdroj', 'Odstraněný text'].map(csvCell).join(','),
+    ...rows
+  ].join('\n');
+}
@@ -0,0 +1,156 @@
+/**
+ * Client side of the result cache
+ * The server keeps the cache (see server/resultCache.js). With VITE_RESULT_CACHE_IDB=true the
+ * browser also mirrors answers in IndexedDB - repeated runs survive a page reload and a server
+ * restart and need no request at all. Keys follow the server: document hash, normalized query
+ * and the server's scope (provider/model/prompt version), so a new model or prompt never reuses
+ * old answers. The TTL is the server's.
+ */
+
+import { logger } from './logger.js';
+import { sentVersions } from './pseudonymizer.js';
+
+const DB_NAME = 'ai-search-cache';
+const STORE = 'results';
+
+export const mirrorEnabled = import.meta.env.VITE_RESULT_CACHE_IDB === 'true'
+  && typeof indexedDB !== 'undefined';
+
+/**
+ * SHA-256 (hex) of the document text - same as the server's source hash
+ * @returns {Promise<string|null>} - null where Web Crypto is missing (non-secure context)
+ */
+export async function hashDocument(text) {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text || ''));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+const normalizeQuery = (query) => String(query).toLowerCase().replace(/\s+/g, ' ').trim();
+
+let scopePromise = null;
+
+/**
+ * Scope and TTL of the server's cache, asked once per page load
+ * @returns {Promise<{ scope, ttl }|null>} - null when the server does not answer
+ */
+const getServerScope = () => {
+  if (!scopePromise) {
+    scopePromise = fetch('/api/cache/scope')
+      .then(response => (response.ok ? response.json() : null))
+      .then(info => (info?.scope && info.ttl > 0 ? { scope: info.scope, ttl: info.ttl } : null))
+      .catch(() => null);
+  }
+  return scopePromise;
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('documentHash', 'documentHash');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one request against the object store
+ */
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Mirror of one document for one task ('search' | 'batch')
+ * @returns {Promise<Object|null>} - { get(query), set(query, value) }, null when the mirror is off
+ */
+export async function openMirror(task, documentText) {
+  if (!mirrorEnabled) return null;
+
+  const [server, documentHash] = await Promise.all([getServerScope(), hashDocument(documentText)]);
+  if (!server || !documentHash) return null;
+
+  const keyOf = (query) => [task, documentHash, normalizeQuery(query), server.scope].join('|');
+
+  return {
+    async get(query) {
+      try {
+        const entry = await withStore('readonly', store => store.get(keyOf(query)));
+        return entry && entry.expiresAt > Date.now() ? entry.value : undefined;
+      } catch (error) {
+        logger.warn('RESULT_CACHE', 'Mirror read failed', { error: error.message });
+        return undefined;
+      }
+    },
+
+    async set(query, value) {
+      try {
+        await withStore('readwrite', store => store.put({
+          key: keyOf(query),
+          documentHash,
+          value,
+          expiresAt: Date.now() + server.ttl
+        }));
+      } catch (error) {
+        logger.warn('RESULT_CACHE', 'Mirror write failed', { error: error.message });
+      }
+    }
+  };
+}
+
+/**
+ * Drop cached answers of the documents, on the server and in the mirror
+ * @param {string[]} documentTexts - Texts of the documents
+ * @returns {Promise<number>} - Number of answers removed on the server
+ */
+export async function clearResultCache(documentTexts) {
+  // Pseudonymized documents are cached under the hash of the tokenized text
+  const texts = documentTexts.flatMap(sentVersions);
+  const hashes = (await Promise.all(texts.map(hashDocument))).filter(Boolean);
+  // Without Web Crypto there is no hash - the whole cache goes
+  const targets = hashes.length === texts.length ? hashes : [undefined];
+
+  let removed = 0;
+  for (const documentHash of targets) {
+    const response = await fetch('/api/cache', {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(documentHash ? { documentHash } : {})
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    removed += (await response.json()).removed || 0;
+  }
+
+  if (mirrorEnabled) {
+    const db = await openDatabase();
+    await Promise.all(targets.map(documentHash => new Promise((resolve, reject) => {
+      const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+      const request = documentHash
+        ? store.index('documentHash').openCursor(IDBKeyRange.only(documentHash))
+        : store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve();
+        cursor.delete();
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    })));
+  }
+
+  logger.info('RESULT_CACHE', 'Cache cleared', { documents: documentTexts.length, removed });
+  return removed;
+}
@@ -0,0 +1,115 @@
+/**
+ * Template library - named query checklists stored on the server (see server/templateLibrary.js)
+ * A picked template fills the batch modal directly: its fields are the queries, grouped by their
+ * category, so the /api/categorize round trip is not needed.
+ */
+
+import { sessionHeaders } from './usage.js';
+
+// Envelope of an exported template file - the server takes the same one on import
+export const TEMPLATE_FORMAT = 'ai-search-template';
+
+export const FIELD_TYPE_OPTIONS = [
+  { value: 'text', label: 'text' },
+  { value: 'amount', label: 'částka' },
+  { value: 'date', label: 'datum' },
+  { value: 'duration', label: 'doba' },
+  { value: 'percent', label: 'procento' },
+  { value: 'area', label: 'plocha' },
+  { value: 'number', label: 'číslo' },
+  { value: 'phone', label: 'telefon' },
+  { value: 'birthNumber', label: 'rodné číslo' },
+  { value: 'companyId', label: 'IČO' },
+  { value: 'vatNumber', label: 'DIČ' },
+  { value: 'iban', label: 'IBAN' },
+  { value: 'bankAccount', label: 'číslo účtu' }
+];
+
+// Validators and the field types they apply to (server/contractTemplates.js VALIDATOR_TYPES)
+export const FIELD_VALIDATOR_OPTIONS = [
+  { value: 'checksum', label: 'kontrolní součet', types: ['birthNumber', 'companyId', 'vatNumber', 'iban', 'bankAccount'] },
+  { value: 'amountWords', label: 'částka slovy', types: ['amount'] }
+];
+
+const DEFAULT_CATEGORY = 'Ostatní';
+
+async function request(method, body, params) {
+  const query = params ? `?${new URLSearchParams(params)}` : '';
+  const response = await fetch(`/api/templates${query}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json', ...sessionHeaders() } : sessionHeaders(),
+    ...(body ? { body: JSON.stringify(body) } : {})
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error([data.error || `HTTP ${response.status}`, data.details].filter(Boolean).join(': '));
+  }
+  return data;
+}
+
+/**
+ * Templates the user may use - built-ins, own ones and the shared ones
+ * @returns {Promise<Array>} - [{ id, name, description, contractType, fields, owner, shared, builtin, version, versions }]
+ */
+export const fetchTemplates = async () => (await request('GET')).templates;
+
+/**
+ * One template in an older version
+ */
+export const fetchTemplateVersion = async (id, version) => (await request('GET', null, { id, version })).template;
+
+/**
+ * New template (or an imported file) - private to its author until shared
+ */
+export const createTemplate = async (content) => (await request('POST', content)).template;
+
+/**
+ * @param {Object} changes - { baseVersion, name?, description?, contractType?, fields?, restoreVersion?, shared? }
+ *   throws when somebody saved a newer version than baseVersion meanwhile
+ */
+export const updateTemplate = async (id, changes) => (await request('PUT', { id, ...changes })).template;
+
+export const deleteTemplate = (id) => request('DELETE', { id });
+
+/**
+ * Content of an exported template file
+ */
+export const templateFile = ({ name, description, contractType, fields }) => JSON.stringify({
+  format: TEMPLATE_FORMAT,
+  exportedAt: new Date().toISOString(),
+  template: { name, description, contractType, fields }
+}, null, 2);
+
+/**
+ * Checklist of the batch modal from a template
+ * @returns {Object} - { batchQueries: [{ category, items }], categoryMap, fieldMap } - maps are query -> category / field
+ */
+export function checklistFromTemplate(template) {
+  const batchQueries = [];
+  template.fields.forEach(field => {
+    const group = batchQueries.find(category => category.category === field.category);
+    if (group) group.items.push(field.name);
+    else batchQueries.push({ category: field.category, items: [field.name] });
+  });
+
+  return {
+    batchQueries,
+    categoryMap: new Map(template.fields.map(field => [field.name, field.category])),
+    fieldMap: new Map(template.fields.map(field => [field.name, field]))
+  };
+}
+
+/**
+ * Template fields from the checklist of the batch modal (a pasted list saved for later)
+ * @param {Array} batchQueries - [{ category, items }]
+ * @param {Map} fieldMap - query -> field of the template the checklist came from, if any
+ */
+export const fieldsFromChecklist = (batchQueries, fieldMap = new Map()) =>
+  batchQueries.flatMap(({ category, items }) => items.map(name => fieldMap.get(name) || {
+    name,
+    category: category || DEFAULT_CATEGORY,
+    type: 'text',
+    validators: [],
+    multiple: false,
+    help: ''
+  }));
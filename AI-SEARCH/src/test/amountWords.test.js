@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { parseCzechNumberWords, findAmountInWords, crossCheckAmountWords } from '../amountWords.js';
+
+const numberOf = (text) => parseCzechNumberWords(text)?.number;
+
+describe('parseCzechNumberWords', () => {
+  it('reads units, teens and tens', () => {
+    expect(numberOf('sedm')).toBe(7);
+    expect(numberOf('sedmnáct')).toBe(17);
+    expect(numberOf('čtyřicet dva')).toBe(42);
+  });
+
+  it('reads hundreds', () => {
+    expect(numberOf('sto')).toBe(100);
+    expect(numberOf('sto dvacet')).toBe(120);
+    expect(numberOf('dvě stě')).toBe(200);
+    expect(numberOf('tři sta padesát')).toBe(350);
+    expect(numberOf('osm set')).toBe(800);
+  });
+
+  it('reads 11-19 hundreds', () => {
+    expect(numberOf('jedenáct set')).toBe(1100);
+    expect(numberOf('patnáct set padesát')).toBe(1550);
+    expect(numberOf('devatenáct set')).toBe(1900);
+  });
+
+  it('reads thousands, millions and billions', () => {
+    expect(numberOf('tisíc')).toBe(1000);
+    expect(numberOf('dva tisíce sto')).toBe(2100);
+    expect(numberOf('sedm milionů osm set padesát tisíc')).toBe(7850000);
+    expect(numberOf('jedna miliarda dvě stě milionů')).toBe(1200000000);
+  });
+
+  it('reads joined words and words without diacritics', () => {
+    expect(numberOf('osmsetpadesáttisíc')).toBe(850000);
+    expect(numberOf('sedm milionu osm set padesat tisic')).toBe(7850000);
+  });
+
+  it('takes the currency and the fraction after it', () => {
+    expect(parseCzechNumberWords('sto korun českých')).toEqual({ number: 100, currency: 'CZK' });
+    expect(parseCzechNumberWords('dvacet eur padesát centů')).toEqual({ number: 20.5, currency: 'EUR' });
+  });
+
+  it('returns null for text that is not a number', () => {
+    expect(parseCzechNumberWords('viz příloha')).toBeNull();
+    expect(parseCzechNumberWords('')).toBeNull();
+  });
+});
+
+describe('findAmountInWords', () => {
+  it('finds the words right after the amount', () => {
+    const text = 'Kupní cena 7 850 000 Kč (slovy: sedm milionů osm set padesát tisíc korun českých).';
+    const words = findAmountInWords(text, text.indexOf('Kč') + 2);
+    expect(words.text).toBe('sedm milionů osm set padesát tisíc korun českých');
+  });
+
+  it('skips words that belong to another amount', () => {
+    const text = 'Cena 100 Kč, záloha 50 Kč (slovy: padesát korun)';
+    expect(findAmountInWords(text, text.indexOf('Kč') + 2)).toBeNull();
+  });
+});
+
+describe('crossCheckAmountWords', () => {
+  const check = (text) => crossCheckAmountWords(text, { start: 0, end: text.indexOf('(') });
+
+  it('matches an amount with its words', () => {
+    expect(check('Cena 1 100 Kč (slovy: jedenáct set korun českých)')[0].status).toBe('match');
+  });
+
+  it('reports a mismatch', () => {
+    const [finding] = check('Cena 1 200 Kč (slovy: jedenáct set korun českých)');
+    expect(finding).toMatchObject({ status: 'mismatch', severity: 'high', wordsValue: 1100 });
+  });
+});
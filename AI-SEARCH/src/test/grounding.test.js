@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { findCorrectPosition, groundValue, groundSearchResult, buildLooseIndex } from '../../server/grounding.js';
+
+const DOCUMENT = `Prodávající: IČO 27082440, DIČ CZ27082440
+Záloha 50 000 Kč je splatná dne 1. 3. 2024, doplatek 50 000 Kč do 1. 6. 2024.
+Kupní cena činí 7 850 000 Kč.`;
+
+describe('findCorrectPosition', () => {
+  it('finds a single occurrence without a hint', () => {
+    const match = findCorrectPosition('7 850 000 Kč', DOCUMENT);
+    expect(DOCUMENT.slice(match.start, match.end)).toBe('7 850 000 Kč');
+  });
+
+  it('ignores occurrences inside a longer number', () => {
+    const match = findCorrectPosition('27082440', DOCUMENT);
+    expect(match.start).toBe(DOCUMENT.indexOf('27082440'));
+  });
+
+  it('matches without diacritics', () => {
+    const match = findCorrectPosition('7 850 000 Kc', DOCUMENT);
+    expect(match.text).toBe('7 850 000 Kč');
+  });
+
+  it('reports a repeated value without a hint as ambiguous', () => {
+    expect(findCorrectPosition('50 000 Kč', DOCUMENT)).toEqual({ ambiguous: 2 });
+    expect(findCorrectPosition('50 000 Kc', DOCUMENT)).toEqual({ ambiguous: 2 });
+  });
+
+  it('takes the occurrence closest to the hint', () => {
+    const second = DOCUMENT.indexOf('doplatek') + 9;
+    expect(findCorrectPosition('50 000 Kč', DOCUMENT, second - 5).start).toBe(second);
+  });
+
+  it('returns null for a value that is not in the document', () => {
+    expect(findCorrectPosition('9 999 Kč', DOCUMENT)).toBeNull();
+  });
+});
+
+describe('groundValue', () => {
+  const looseIndex = buildLooseIndex(DOCUMENT);
+
+  it('keeps the claimed span when it covers the value', () => {
+    const start = DOCUMENT.indexOf('doplatek') + 9;
+    const entry = { value: '50 000 Kč', start, end: start + 9 };
+    expect(groundValue(entry, DOCUMENT, looseIndex)).toEqual({ ...entry, grounded: true });
+  });
+
+  it('does not ground an ambiguous value', () => {
+    expect(groundValue({ value: '50 000 Kč' }, DOCUMENT, looseIndex)).toEqual({ value: '50 000 Kč', grounded: false, ambiguous: 2 });
+  });
+
+  it('does not ground a value that is not in the document', () => {
+    expect(groundValue({ value: '9 999 Kč', start: 0, end: 8 }, DOCUMENT, looseIndex)).toEqual({ value: '9 999 Kč', grounded: false });
+  });
+
+  it('leaves "Nenalezeno" as it is', () => {
+    expect(groundValue({ value: 'Nenalezeno' }, DOCUMENT, looseIndex)).toEqual({ value: 'Nenalezeno' });
+  });
+});
+
+describe('groundSearchResult', () => {
+  it('grounds the values of a multiple answer one by one', () => {
+    const { answer } = groundSearchResult({
+      answer: { type: 'multiple', results: [{ label: 'Cena', value: '7 850 000 Kč' }, { label: 'Záloha', value: '50 000 Kč' }] }
+    }, DOCUMENT);
+    expect(answer.results.map(item => item.grounded)).toEqual([true, false]);
+    expect(answer.results[1].ambiguous).toBe(2);
+  });
+});
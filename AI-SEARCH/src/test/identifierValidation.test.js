@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  checkBirthNumber,
+  checkCompanyId,
+  checkVatNumber,
+  checkBankAccount,
+  checkIban,
+  validateIdentifier
+} from '../identifierValidation.js';
+
+describe('checkBirthNumber', () => {
+  it('accepts a check digit that fits mod 11, with or without the slash', () => {
+    expect(checkBirthNumber('730515/1238').verdict).toBe('valid');
+    expect(checkBirthNumber('7305151238').verdict).toBe('valid');
+    expect(checkBirthNumber('736015/1238').verdict).toBe('valid'); // woman, month +50
+  });
+
+  it('rejects a mistyped check digit', () => {
+    expect(checkBirthNumber('730515/1234')).toMatchObject({ verdict: 'invalid' });
+  });
+
+  it('rejects an impossible month or day', () => {
+    expect(checkBirthNumber('123457/0100').reason).toContain('měsíc');
+    expect(checkBirthNumber('730532/1234').reason).toContain('den');
+  });
+
+  it('allows month +20 / +70 only from 2004', () => {
+    expect(checkBirthNumber('732515/1230').verdict).toBe('invalid');
+    expect(checkBirthNumber('047215/1240').verdict).toBe('valid');
+  });
+
+  it('leaves 9-digit numbers from before 1954 unchecked', () => {
+    expect(checkBirthNumber('320515/123').verdict).toBe('unchecked');
+  });
+});
+
+describe('checkCompanyId', () => {
+  it('checks the weighted check digit', () => {
+    expect(checkCompanyId('27082440').verdict).toBe('valid');
+    expect(checkCompanyId('27082441').verdict).toBe('invalid');
+  });
+
+  it('pads an IČO written without its leading zeros', () => {
+    expect(checkCompanyId('25596641').verdict).toBe('valid');
+    expect(checkCompanyId('123456789').verdict).toBe('invalid');
+  });
+});
+
+describe('checkVatNumber', () => {
+  it('checks a legal entity as CZ + IČO', () => {
+    expect(checkVatNumber('CZ27082440').verdict).toBe('valid');
+    expect(checkVatNumber('CZ 27082441').verdict).toBe('invalid');
+  });
+
+  it('checks a natural person as CZ + RČ', () => {
+    expect(checkVatNumber('CZ7305151238').verdict).toBe('valid');
+    expect(checkVatNumber('CZ7305151234').verdict).toBe('invalid');
+  });
+
+  it('leaves the special CZ6... numbers unchecked', () => {
+    expect(checkVatNumber('CZ699000123').verdict).toBe('unchecked');
+  });
+});
+
+describe('checkBankAccount', () => {
+  it('checks prefix and number by the ČNB weights', () => {
+    expect(checkBankAccount('19-2000145399/0800').verdict).toBe('valid');
+    expect(checkBankAccount('19-2000145398/0800').verdict).toBe('invalid');
+    expect(checkBankAccount('18-2000145399/0800').verdict).toBe('invalid');
+  });
+
+  it('leaves an unknown bank code unchecked', () => {
+    expect(checkBankAccount('19-2000145399/0801').verdict).toBe('unchecked');
+  });
+});
+
+describe('checkIban', () => {
+  it('checks mod 97 and the embedded Czech account', () => {
+    expect(checkIban('CZ65 0800 0000 1920 0014 5399').verdict).toBe('valid');
+    expect(checkIban('CZ66 0800 0000 1920 0014 5399').verdict).toBe('invalid');
+  });
+
+  it('checks the country length', () => {
+    expect(checkIban('CZ6508000000192000145').reason).toContain('24');
+  });
+
+  it('checks other countries by mod 97 only', () => {
+    expect(checkIban('DE89 3704 0044 0532 0130 00').verdict).toBe('valid');
+  });
+});
+
+describe('validateIdentifier', () => {
+  it('takes the kind from the query', () => {
+    expect(validateIdentifier('IČO 27082440', { query: 'IČO kupujícího' })).toMatchObject({ kind: 'companyId', verdict: 'valid' });
+    expect(validateIdentifier('123457/0100', { query: 'rodné číslo' })).toMatchObject({ kind: 'birthNumber', verdict: 'invalid' });
+    expect(validateIdentifier('2000145399/080', { query: 'číslo účtu' }).verdict).toBe('invalid');
+  });
+
+  it('reads an account with a known bank code as an account first', () => {
+    expect(validateIdentifier('123457/0100')).toMatchObject({ kind: 'bankAccount', verdict: 'valid' });
+  });
+
+  it('reports a shape-only guess that does not check out as unchecked', () => {
+    expect(validateIdentifier('730515/1234')).toMatchObject({ kind: 'birthNumber', verdict: 'unchecked' });
+    expect(validateIdentifier('1234/1111')).toMatchObject({ kind: 'bankAccount', verdict: 'unchecked' });
+  });
+
+  it('still validates what the shape makes clear', () => {
+    expect(validateIdentifier('730515/1238')).toMatchObject({ kind: 'birthNumber', verdict: 'valid' });
+    expect(validateIdentifier('CZ65 0800 0000 1920 0014 5399')).toMatchObject({ kind: 'iban', verdict: 'valid' });
+  });
+
+  it('has nothing to check in an answer without an identifier', () => {
+    expect(validateIdentifier('Nenalezeno', { query: 'IČO' }).verdict).toBe('unchecked');
+    expect(validateIdentifier('').verdict).toBe('unchecked');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Search, batch and classification through the mock provider (LLM_PROVIDER=mock)
+ * The model reads the normalized document (no diacritics), the fixtures are written in plain Czech.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { searchDocument, batchSearchDocument, classifyContract } from '../../server/extraction.js';
+import { removeDiacritics } from '../documentNormalizer.js';
+
+const CONTRACT = `Smlouva č. 2024/117
+
+Prodávající: Jan Novák, RČ 730515/1234, bytem Dlouhá 12, 110 00 Praha 1
+Kupující: Realitní společnost s.r.o., IČO: 27082440, DIČ: CZ27082440
+číslo účtu: 19-2000145399/0800
+
+Kupní cena činí 7 850 000 Kč. Předmětem je pozemek parc. č. 1234/5 a parc. č. 1236.`;
+
+// What the client sends to the model (aiSearch.js normalizeForAI)
+const DOCUMENT = removeDiacritics(CONTRACT);
+
+describe('mock provider', () => {
+  let provider;
+
+  beforeAll(() => {
+    provider = process.env.LLM_PROVIDER;
+    process.env.LLM_PROVIDER = 'mock';
+  });
+
+  afterAll(() => {
+    if (provider === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = provider;
+  });
+
+  it('finds values whose fixture patterns have diacritics', async () => {
+    const ico = await searchDocument('IČO', DOCUMENT, CONTRACT, { cache: false });
+    expect(ico.answer).toMatchObject({ value: '27082440', grounded: true });
+
+    const price = await searchDocument('Kupní cena', DOCUMENT, CONTRACT, { cache: false });
+    // Answered from the text the model reads, grounded in the one the user sees
+    expect(price.answer).toMatchObject({ value: '7 850 000 Kc', grounded: true });
+
+    const contract = await searchDocument('číslo smlouvy', DOCUMENT, CONTRACT, { cache: false });
+    expect(contract.answer.value).toBe('2024/117');
+  });
+
+  it('takes the account after its label, not the birth number', async () => {
+    const account = await searchDocument('číslo účtu', DOCUMENT, CONTRACT, { cache: false });
+    expect(account.answer.value).toBe('19-2000145399/0800');
+  });
+
+  it('answers a batch, repeated values as multiple', async () => {
+    const results = await batchSearchDocument(
+      ['IČO', 'DIČ', 'číslo účtu', 'parcelní čísla', 'výše úvěru'],
+      DOCUMENT, CONTRACT, { cache: false }
+    );
+    const valueOf = (query) => results.find(result => result.query === query);
+
+    expect(valueOf('IČO').value).toBe('27082440');
+    expect(valueOf('DIČ').value).toBe('CZ27082440');
+    expect(valueOf('číslo účtu').value).toBe('19-2000145399/0800');
+    expect(results.filter(result => result.query === 'parcelní čísla').map(result => result.value))
+      .toEqual(['1234/5', '1236']);
+    expect(valueOf('výše úvěru').value).toBe('Nenalezeno');
+  });
+
+  it('classifies through the model when keywords do not decide', async () => {
+    const result = await classifyContract(DOCUMENT);
+    expect(result.source).toBe('model');
+    expect(result.contractType).toBe('kupni');
+    expect(result.template).toBeTruthy();
+  });
+});
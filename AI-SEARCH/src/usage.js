@@ -0,0 +1,78 @@
+/**
+ * Token usage of the model calls
+ * The server books every call to the session id sent in the X-Session-Id header (see server/usage.js);
+ * this module keeps the id for the browser tab and formats the numbers for the UI and exports.
+ */
+
+import { hashDocument } from './resultCache.js';
+import { sentVersions } from './pseudonymizer.js';
+
+const SESSION_KEY = 'aiSearchSessionId';
+
+/**
+ * Session id of this browser tab (kept over page reloads)
+ */
+export function getSessionId() {
+  let sessionId = sessionStorage.getItem(SESSION_KEY);
+  if (!sessionId) {
+    sessionId = globalThis.crypto?.randomUUID?.() || `s-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    sessionStorage.setItem(SESSION_KEY, sessionId);
+  }
+  return sessionId;
+}
+
+export const sessionHeaders = () => ({ 'X-Session-Id': getSessionId() });
+
+export const emptyUsage = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+
+export const addUsage = (total, usage = {}) => ({
+  requests: total.requests + (usage.requests || 0),
+  inputTokens: total.inputTokens + (usage.inputTokens || 0),
+  outputTokens: total.outputTokens + (usage.outputTokens || 0),
+  cost: total.cost + (usage.cost || 0)
+});
+
+const formatNumber = (value) => value.toLocaleString('cs-CZ');
+
+/**
+ * "12 345 tokenů (11 000 vstup / 1 345 výstup) · ~0.0531 USD"
+ */
+export const formatUsage = (usage) =>
+  `${formatNumber(usage.inputTokens + usage.outputTokens)} tokenů (${formatNumber(usage.inputTokens)} vstup / ${formatNumber(usage.outputTokens)} výstup) · ~${usage.cost.toFixed(4)} USD`;
+
+/**
+ * Aggregated usage from the server
+ * @param {Object} filter - { sessionId?, batchId?, documentHash?, month? }
+ * @returns {Promise<Object>} - { currency, total, byDocument, byBatch, bySession, byMonth, byModel }
+ */
+export async function fetchUsage(filter = {}) {
+  const params = new URLSearchParams(Object.entries(filter).filter(([, value]) => value));
+  const response = await fetch(`/api/usage?${params}`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+}
+
+/**
+ * Usage of this session for an export - total plus the batch runs and documents of the exported rows
+ * @param {Object} scope - { batchIds: string[], documents: [{ name, text }] }
+ * @returns {Promise<Object>} - { currency, session, batches: [{ batchId, ...usage }], documents: [{ name, ...usage }] }
+ */
+export async function sessionUsageReport({ batchIds = [], documents = [] }) {
+  const summary = await fetchUsage({ sessionId: getSessionId() });
+  // A document sent pseudonymized is booked under the hash of the tokenized text
+  const hashes = await Promise.all(documents.map(doc => Promise.all(sentVersions(doc.text).map(hashDocument))));
+
+  return {
+    currency: summary.currency,
+    session: summary.total,
+    batches: batchIds
+      .filter(batchId => summary.byBatch[batchId])
+      .map(batchId => ({ batchId, ...summary.byBatch[batchId] })),
+    documents: documents
+      .map((doc, index) => ({
+        name: doc.name,
+        ...hashes[index].reduce((total, hash) => addUsage(total, summary.byDocument[hash]), emptyUsage())
+      }))
+      .filter(doc => doc.requests)
+  };
+}
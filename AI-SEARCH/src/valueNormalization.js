@@ -0,0 +1,225 @@
+/**
+ * Typed normalization of extracted values
+ * A raw answer ("7.850.000,- Kč", "15. prosince 2024", "3,45 %") becomes a typed value:
+ *   amount    number + ISO currency        7850000 CZK
+ *   date      ISO date                     2024-12-15
+ *   percent   number                       3.45 %
+ *   area      number of m²                 85 m²
+ *   duration  ISO 8601 duration            P36M
+ *   phone     E.164                        +420603123456
+ *   number    plain number                 12
+ * The typed value drives sorting in the table and numeric cells in the Excel export.
+ * The value may be a short phrase ("do 15. prosince 2024") - the first recognised part is used,
+ * the kind the query asks for ("kupní cena", "datum ...") is tried first.
+ */
+
+import { removeDiacritics } from './documentNormalizer.js';
+
+export const VALUE_KINDS = {
+  amount: 'částka',
+  date: 'datum',
+  percent: 'procento',
+  area: 'plocha',
+  duration: 'doba',
+  phone: 'telefon',
+  number: 'číslo'
+};
+
+// Currency words and symbols -> ISO 4217 (matched without diacritics, lowercase)
+const CURRENCIES = [
+  ['CZK', /^(?:kc|czk|kor(?:un|una|uny)(?: ceskych| ceske| ceska)?)$/],
+  ['EUR', /^(?:eur|euro|eur[ua]|€)$/],
+  ['USD', /^(?:usd|\$|dolar(?:u|y)?|americkych dolaru)$/],
+  ['GBP', /^(?:gbp|£|liber)$/],
+  ['CHF', /^(?:chf|frank(?:u|y)?)$/],
+  ['PLN', /^(?:pln|zl|zlotych)$/]
+];
+
+const CURRENCY_WORD = 'kč|kc|czk|korun[ay]?(?:\\s+česk(?:ých|é|á))?|korun[ay]?(?:\\s+ceskych)?|eur[ao]?|€|usd|\\$|dolar[uůy]?|gbp|£|chf|pln';
+const MULTIPLIER_WORD = 'mil(?:\\.|ion[uůy]?|i[oó]n)?|mld(?:\\.|\\b)|miliard[ay]?|tis(?:\\.|íc|ic)?';
+
+// English grouping ("1,250.50") only with a decimal point or several groups - "1,250" is Czech 1.25
+const NUMBER = '\\d{1,3}(?:,\\d{3})+\\.\\d+|\\d{1,3}(?:,\\d{3}){2,}|\\d{1,3}(?:[  .]\\d{3})+(?:,\\d+)?|\\d+(?:[.,]\\d+)?';
+
+const PATTERNS = {
+  amount: new RegExp(
+    `(?:(${CURRENCY_WORD})\\s*(${NUMBER})(?:\\s*(${MULTIPLIER_WORD}))?|(${NUMBER})(?:\\s*(${MULTIPLIER_WORD}))?\\s*(?:,-+|,–)?\\s*(${CURRENCY_WORD}))(?![\\p{L}])`,
+    'iu'
+  ),
+  // D.M.YY before anything numeric - "15.12.24" is a date, not the number 15.12
+  date: /(\d{4})-(\d{1,2})-(\d{1,2})|(?<!\d)(\d{1,2})\s*[./-]\s*(\d{1,2})\s*[./-]\s*(\d{4}|\d{2})(?!\d)|(\d{1,2})\.\s*(\p{L}+)\s+(\d{4})/u,
+  percent: new RegExp(`(${NUMBER})\\s*(?:%|procent[aou]?\\b)`, 'iu'),
+  area: new RegExp(`(${NUMBER})\\s*(m²|m2|m\\s?2\\b|metr[uůy]? čtverečn\\p{L}*|metru ctverecnich|ha\\b|hektar\\p{L}*)`, 'iu'),
+  duration: new RegExp(`(${NUMBER})\\s*(dn[ůuíi]|den|dny|pracovních dn[ůuí]|t[ýy]dn[ůuy]?|t[ýy]den|měsíc\\p{L}*|mesic\\p{L}*|rok[uůy]?|let)(?![\\p{L}])`, 'iu'),
+  phone: /(?:\+|00)\s?420[\s-]?(\d{3})[\s-]?(\d{3})[\s-]?(\d{3})\b|\b([2-9]\d{2})[\s-](\d{3})[\s-](\d{3})\b/,
+  number: new RegExp(`(?:^|[^\\d/])(${NUMBER})(?![\\d/])`)
+};
+
+// Kind the query asks for (without diacritics, lowercase)
+const QUERY_KINDS = [
+  ['date', /datum|\bdne\b|kdy\b|lhut|splatnost|termin|narozen/],
+  ['percent', /procent|rpsn|urok|sazb|%/],
+  ['area', /plocha|vymer|rozloh|\bm2\b/],
+  ['duration', /doba|trvani|na jak dlouho|vypovedni lhut|delka/],
+  ['phone', /telefon|\btel\b|mobil/],
+  ['amount', /cena|castk|jistin|splatk|poplat|pokut|najemne|kauc|zaloh|uver|hodnot/]
+];
+
+const KIND_ORDER = ['amount', 'date', 'percent', 'area', 'duration', 'phone', 'number'];
+
+// Month names - genitive ("15. prosince") and nominative, without diacritics
+const MONTHS = [
+  ['ledna', 'leden'], ['unora', 'unor'], ['brezna', 'brezen'], ['dubna', 'duben'],
+  ['kvetna', 'kveten'], ['cervna', 'cerven'], ['cervence', 'cervenec'], ['srpna', 'srpen'],
+  ['zari'], ['rijna', 'rijen'], ['listopadu', 'listopad'], ['prosince', 'prosinec']
+];
+
+const DURATION_UNITS = [
+  ['D', /^(?:dn|den|dny|pracovnich)/, 1],
+  ['W', /^(?:tydn|tyden)/, 7],
+  ['M', /^mesic/, 30.44],
+  ['Y', /^(?:rok|let)/, 365.25]
+];
+
+const plain = (value) => removeDiacritics(value).toLowerCase();
+
+/**
+ * Czech number - spaces / dots as thousands separators, decimal comma ("7.850.000,50", "1 250,5", "12.5")
+ */
+export function parseCzechNumber(raw) {
+  const compact = String(raw).replace(/[\s ]/g, '');
+  let normalized;
+  if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(compact)) normalized = compact.replace(/\./g, '').replace(',', '.');
+  else if (/^\d{1,3}(,\d{3})+\.\d+$|^\d{1,3}(,\d{3}){2,}$/.test(compact)) normalized = compact.replace(/,/g, ''); // 1,234,567.89
+  else normalized = compact.replace(',', '.');
+  const number = Number(normalized);
+  return Number.isFinite(number) ? number : null;
+}
+
+const multiplierOf = (word) => {
+  const normalized = plain(word || '');
+  if (!normalized) return 1;
+  if (/^(?:mld|miliard)/.test(normalized)) return 1e9;
+  if (/^mil/.test(normalized)) return 1e6;
+  return 1e3;
+};
+
+const currencyOf = (word) => {
+  const normalized = plain(word).replace(/\s+/g, ' ').trim();
+  return CURRENCIES.find(([, pattern]) => pattern.test(normalized))?.[0] || null;
+};
+
+// Rounds away float noise (0.1 * 3) without losing cents
+const round = (number) => Math.round(number * 1e6) / 1e6;
+
+const isoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Two-digit year - up to ten years ahead is this century ("15.12.24" -> 2024), the rest the last one ("3.4.85" -> 1985)
+const fullYear = (year) => {
+  if (year.length === 4) return Number(year);
+  const pivot = (new Date().getFullYear() + 10) % 100;
+  return Number(year) <= pivot ? 2000 + Number(year) : 1900 + Number(year);
+};
+
+const PARSERS = {
+  amount: (match) => {
+    const [, prefixCurrency, prefixNumber, prefixMultiplier, number, multiplier, suffixCurrency] = match;
+    const currency = currencyOf(prefixCurrency || suffixCurrency);
+    const parsed = parseCzechNumber(prefixNumber || number);
+    if (!currency || parsed === null) return null;
+    const amount = round(parsed * multiplierOf(prefixMultiplier || multiplier));
+    return { number: amount, unit: currency, canonical: `${amount} ${currency}` };
+  },
+
+  date: (match) => {
+    const [, isoYear, isoMonth, isoDay, day, month, year, wordDay, monthWord, wordYear] = match;
+    let iso = null;
+    if (isoYear) iso = isoDate(Number(isoYear), Number(isoMonth), Number(isoDay));
+    else if (year) iso = isoDate(fullYear(year), Number(month), Number(day));
+    else {
+      const monthIndex = MONTHS.findIndex(names => names.includes(plain(monthWord)));
+      if (monthIndex !== -1) iso = isoDate(Number(wordYear), monthIndex + 1, Number(wordDay));
+    }
+    return iso ? { number: Date.parse(iso), unit: null, canonical: iso, date: iso } : null;
+  },
+
+  percent: (match) => {
+    const number = parseCzechNumber(match[1]);
+    return number === null ? null : { number, unit: '%', canonical: `${number} %` };
+  },
+
+  area: (match) => {
+    const number = parseCzechNumber(match[1]);
+    if (number === null) return null;
+    const squareMetres = round(/^h/.test(plain(match[2])) ? number * 10000 : number);
+    return { number: squareMetres, unit: 'm²', canonical: `${squareMetres} m²` };
+  },
+
+  duration: (match) => {
+    const count = parseCzechNumber(match[1]);
+    const unit = DURATION_UNITS.find(([, pattern]) => pattern.test(plain(match[2])));
+    if (count === null || !unit) return null;
+    const [designator, , days] = unit;
+    // number = length in days, so "2 roky" sorts after "18 měsíců"
+    return { number: round(count * days), unit: designator, canonical: `P${count}${designator}` };
+  },
+
+  phone: (match) => {
+    const digits = match.slice(1).filter(Boolean).join('');
+    return { number: null, unit: null, canonical: `+420${digits}` };
+  },
+
+  number: (match) => {
+    const number = parseCzechNumber(match[1]);
+    return number === null ? null : { number, unit: null, canonical: String(number) };
+  }
+};
+
+/**
+ * Kind the query asks for, null when it does not say
+ */
+export function queryValueKind(query) {
+  const normalized = plain(query || '');
+  return QUERY_KINDS.find(([, pattern]) => pattern.test(normalized))?.[0] || null;
+}
+
+/**
+ * Typed value of an extracted string
+ * @param {string} value - Value as extracted
+ * @param {Object} options - { query } - the question the value answers
+ * @returns {Object|null} - { kind, number, unit, canonical, date? } - number is what the value sorts by
+ *   (amount, percent, m², days of a duration, ms of a date), null when nothing is recognised
+ */
+export function normalizeTypedValue(value, { query } = {}) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const expected = queryValueKind(query);
+  const order = expected ? [expected, ...KIND_ORDER.filter(kind => kind !== expected)] : KIND_ORDER;
+
+  for (const kind of order) {
+    const match = text.match(PATTERNS[kind]);
+    const parsed = match && PARSERS[kind](match);
+    if (parsed) return { kind, ...parsed };
+    // "31.02.2024" is a wrong date, not the number 31.02 ("5. odstavce 2024" is no date at all)
+    if (match && kind === 'date' && !match[8]) return null;
+  }
+  return null;
+}
+
+/**
+ * Compare two typed values for sorting - same kind by number (dates by day), otherwise by kind,
+ * untyped values last
+ */
+export function compareTypedValues(a, b) {
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+  if (a.kind !== b.kind) return KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind);
+  if (a.number !== null && b.number !== null) {
+    return a.number - b.number || String(a.unit).localeCompare(String(b.unit));
+  }
+  return a.canonical.localeCompare(b.canonical);
+}
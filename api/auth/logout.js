@@ -0,0 +1,5 @@
+// Vercel function - shared handler, same contract as the Express server (AI-SEARCH/server/routes.js)
+import { logout } from '../../AI-SEARCH/server/auth.js';
+import { vercelRoute } from '../../AI-SEARCH/server/routes.js';
+
+export default vercelRoute(logout);
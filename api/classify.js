@@ -0,0 +1,4 @@
+// Vercel function - shared handler, same contract as the Express server (AI-SEARCH/server/routes.js)
+import { classify, vercelRoute } from '../AI-SEARCH/server/routes.js';
+
+export default vercelRoute(classify);